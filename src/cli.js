@@ -0,0 +1,478 @@
+#!/usr/bin/env node
+import { realpathSync } from "fs";
+import { readdir, writeFile } from "node:fs/promises";
+import { isAbsolute, join, relative, resolve, sep } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+
+import {
+	DEFAULT_LINT_ROLES,
+	LINT_RULES,
+	compareSummaries,
+	formatLintDiagnostic,
+	lintPromptFile,
+	loadSummaryFromJSON,
+	parseTagFilter,
+	printComparison,
+	printSummary,
+	qc,
+	saveSummaryToHTML,
+	saveSummaryToJSON,
+	saveSummaryToJUnit
+} from "./main.js";
+
+/**
+ * @typedef {import('./main.js').QCSummary} QCSummary
+ * @typedef {import('./main.js').SummaryComparison} SummaryComparison
+ * @typedef {import('./main.js').LintResult} LintResult
+ * @typedef {import('./promptLint.js').LintSeverity} LintSeverity
+ */
+
+/**
+ * @callback Reporter
+ * @param {QCSummary} qcSummary
+ * @returns {void|Promise<void>}
+ *
+ * @callback Command
+ * @param {string[]} args
+ * @returns {Promise<number>} - The exit code
+ */
+
+export const DEFAULT_TEST_GLOB = "**/*.qc.{js,mjs}";
+export const DEFAULT_PROMPT_GLOB = "**/*.prompt.{json,yaml,yml,jsonl,md}";
+
+export const USAGE = `Usage: promptqc [run] [options] [globs...]
+       promptqc compare [options] <baseline.json> <current.json>
+       promptqc lint [options] [files or globs...]
+
+Finds test files (default '${DEFAULT_TEST_GLOB}'), runs the QCDefs they
+register with the shared 'qc' runner and exits with 1 if any of them failed.
+Skipped and filtered out tests are reported as skipped and don't fail the
+run, nor do tests skipped because the budget was used up.
+
+Options:
+  -p, --prompt-dir <dir>  Resolve relative prompt files against this directory
+  -f, --filter <regex>    Only run tests whose name matches
+  -t, --tags <expr>       Only run tests whose tags match, e.g. 'smoke && !slow'
+  --prompt-file <file>    Only run tests for this prompt file. Can be repeated
+  --prompt-grp <name>     Only run tests for this prompt group. Can be repeated
+  -o, --out <file>        Save the QCSummary to a JSON file
+  --junit <file>          Save the QCSummary to a JUnit XML file
+  --html <file>           Save the QCSummary to an HTML report
+  -r, --reporter <name>   console (default), json or none
+  -u, --update-snapshots  Rewrite snapshots that don't match and remove obsolete ones
+  --max-cost <n>          Stop starting tests once the priced usage costs n
+  --max-tokens <n>        Stop starting tests once n tokens have been used
+  -h, --help              Show this message
+
+Compare options:
+  -t, --tolerance <n>     Score drops up to n aren't regressions (default 0)
+  -o, --out <file>        Save the comparison to a JSON file
+  -r, --reporter <name>   console (default), json or none
+
+'compare' matches results in two saved QCSummaries by testName and promptGrp
+and exits with 1 if any of them regressed.
+
+Lint options:
+  --rule <rule=severity>  Set a rule to error, warning or off. Can be repeated
+  --role <role>           Also allow this message role. Can be repeated
+  --max-warnings <n>      Also exit with 1 if there are more than n warnings
+  -r, --reporter <name>   console (default), json or none
+
+'lint' checks prompt files (default '${DEFAULT_PROMPT_GLOB}') and prints
+one 'file:line:column: severity: message (rule)' line per problem. It exits
+with 1 if there are any errors. Rules: ${Object.keys(LINT_RULES).join(", ")}.`;
+
+/** @type {Object.<string, Reporter>} */
+export const REPORTERS = {
+	console: printSummary,
+	json: (qcSummary) => {
+		console.log(JSON.stringify(qcSummary, null, 2));
+	},
+	none: () => {}
+};
+
+/**
+ * Convert a glob to a RegExp for matching '/' separated relative paths.
+ * Supports '**', '*', '?' and '{a,b}'.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+	let source = "";
+	let inBraces = false;
+	for (let i = 0; i < glob.length; i++) {
+		const c = glob[i];
+		if (c === "*") {
+			if (glob[i + 1] === "*") {
+				// '**/' matches any number of directories, including none
+				if (glob[i + 2] === "/") {
+					source += "(?:.*/)?";
+					i += 2;
+				} else {
+					source += ".*";
+					i += 1;
+				}
+			} else {
+				source += "[^/]*";
+			}
+		} else if (c === "?") {
+			source += "[^/]";
+		} else if (c === "{") {
+			inBraces = true;
+			source += "(?:";
+		} else if (c === "}" && inBraces) {
+			inBraces = false;
+			source += ")";
+		} else if (c === "," && inBraces) {
+			source += "|";
+		} else {
+			source += c.replace(/[.+^$()|[\]\\]/g, "\\$&");
+		}
+	}
+	return new RegExp(`^${source}$`);
+}
+
+/**
+ * Find the files under a directory that match any of the globs.
+ * Skips node_modules and hidden directories. Returned paths are absolute and sorted.
+ * @param {string[]} globs - Relative to cwd
+ * @param {string} cwd
+ * @returns {Promise<string[]>}
+ */
+export async function findTestFiles(globs, cwd) {
+	const regExps = globs.map((glob) => globToRegExp(glob.replace(/^\.\//, "")));
+	/** @type {string[]} */
+	const found = [];
+
+	/**
+	 * @param {string} dir
+	 */
+	async function walk(dir) {
+		const dirents = await readdir(dir, { withFileTypes: true });
+		for (let dirent of dirents) {
+			const fullPath = join(dir, dirent.name);
+			if (dirent.isDirectory()) {
+				if (dirent.name !== "node_modules" && !dirent.name.startsWith(".")) {
+					await walk(fullPath);
+				}
+			} else {
+				const relPath = relative(cwd, fullPath).split(sep).join("/");
+				if (regExps.some((regExp) => regExp.test(relPath))) {
+					found.push(fullPath);
+				}
+			}
+		}
+	}
+
+	await walk(cwd);
+	return found.sort();
+}
+
+/**
+ * Find, import and run the test files.
+ * @param {string[]} args
+ * @returns {Promise<number>}
+ */
+async function runCommand(args) {
+	const { values, positionals } = parseArgs({
+		args,
+		allowPositionals: true,
+		options: {
+			"prompt-dir": { type: "string", short: "p" },
+			filter: { type: "string", short: "f" },
+			tags: { type: "string", short: "t" },
+			"prompt-file": { type: "string", multiple: true },
+			"prompt-grp": { type: "string", multiple: true },
+			out: { type: "string", short: "o" },
+			junit: { type: "string" },
+			html: { type: "string" },
+			reporter: { type: "string", short: "r", default: "console" },
+			"update-snapshots": { type: "boolean", short: "u" },
+			"max-cost": { type: "string" },
+			"max-tokens": { type: "string" },
+			help: { type: "boolean", short: "h" }
+		}
+	});
+
+	if (values.help) {
+		console.log(USAGE);
+		return 0;
+	}
+
+	const maxCost = values["max-cost"] === undefined ? undefined : Number(values["max-cost"]);
+	const maxTokens = values["max-tokens"] === undefined ? undefined : Number(values["max-tokens"]);
+	for (let [option, limit] of Object.entries({ "max-cost": maxCost, "max-tokens": maxTokens })) {
+		if (limit !== undefined && !(limit > 0)) {
+			console.error(`Bad --${option} '${values[/** @type {"max-cost"|"max-tokens"} */(option)]}'`);
+			return 2;
+		}
+	}
+
+	const reporterName = values.reporter ?? "console";
+	const reporter = REPORTERS[reporterName];
+	if (!reporter) {
+		console.error(`Unknown reporter '${reporterName}'. Use one of ${Object.keys(REPORTERS).join(", ")}`);
+		return 2;
+	}
+
+	/** @type {undefined|RegExp} */
+	let testNameFilter = undefined;
+	if (values.filter) {
+		try {
+			testNameFilter = new RegExp(values.filter);
+		} catch(e) {
+			console.error(`Bad --filter: ${e instanceof Error ? e.message : values.filter}`);
+			return 2;
+		}
+	}
+	if (values.tags !== undefined) {
+		try {
+			parseTagFilter(values.tags);
+		} catch(e) {
+			console.error(e instanceof Error ? e.message : `Bad --tags '${values.tags}'`);
+			return 2;
+		}
+	}
+
+	const cwd = process.cwd();
+	if (values["prompt-dir"]) {
+		qc.promptDir = resolve(cwd, values["prompt-dir"]);
+	}
+
+	const globs = positionals.length > 0 ? positionals : [DEFAULT_TEST_GLOB];
+	const testFiles = await findTestFiles(globs, cwd);
+	if (testFiles.length === 0) {
+		console.error(`No test files found for ${globs.map((glob) => `'${glob}'`).join(", ")}`);
+		return 2;
+	}
+
+	for (let testFile of testFiles) {
+		try {
+			await import(pathToFileURL(testFile).href);
+		} catch(e) {
+			console.error(`${relative(cwd, testFile)}: ${e instanceof Error ? e.toString() : "Problem importing file"}`);
+			return 2;
+		}
+	}
+
+	const qcSummary = await qc.run({
+		testNameFilter,
+		tagFilter: values.tags,
+		promptFileFilter: values["prompt-file"]?.map((promptFile) => resolve(cwd, promptFile)),
+		promptGrpFilter: values["prompt-grp"],
+		updateSnapshots: values["update-snapshots"] ?? false,
+		maxCost,
+		maxTokens
+	});
+	await reporter(qcSummary);
+	if (values.out) {
+		await saveSummaryToJSON(qcSummary, resolve(cwd, values.out));
+	}
+	if (values.junit) {
+		await saveSummaryToJUnit(qcSummary, resolve(cwd, values.junit));
+	}
+	if (values.html) {
+		await saveSummaryToHTML(qcSummary, resolve(cwd, values.html));
+	}
+
+	return qcSummary.qcResults.every((qcResult) => qcResult.passed || qcResult.skipped) ? 0 : 1;
+}
+
+/** @type {Object.<string, function(SummaryComparison): void>} */
+const COMPARISON_REPORTERS = {
+	console: printComparison,
+	json: (comparison) => {
+		console.log(JSON.stringify(comparison, null, 2));
+	},
+	none: () => {}
+};
+
+/**
+ * Compare two saved QCSummaries.
+ * @param {string[]} args
+ * @returns {Promise<number>}
+ */
+async function compareCommand(args) {
+	const { values, positionals } = parseArgs({
+		args,
+		allowPositionals: true,
+		options: {
+			tolerance: { type: "string", short: "t", default: "0" },
+			out: { type: "string", short: "o" },
+			reporter: { type: "string", short: "r", default: "console" },
+			help: { type: "boolean", short: "h" }
+		}
+	});
+
+	if (values.help) {
+		console.log(USAGE);
+		return 0;
+	}
+
+	if (positionals.length !== 2) {
+		console.error("'compare' needs a baseline and a current summary file");
+		return 2;
+	}
+
+	const tolerance = Number(values.tolerance);
+	if (Number.isNaN(tolerance) || tolerance < 0) {
+		console.error(`Bad --tolerance '${values.tolerance}'`);
+		return 2;
+	}
+
+	const reporterName = values.reporter ?? "console";
+	const reporter = COMPARISON_REPORTERS[reporterName];
+	if (!reporter) {
+		console.error(`Unknown reporter '${reporterName}'. Use one of ${Object.keys(COMPARISON_REPORTERS).join(", ")}`);
+		return 2;
+	}
+
+	const cwd = process.cwd();
+	const [baseline, current] = await Promise.all(
+		positionals.map((filepath) => loadSummaryFromJSON(resolve(cwd, filepath)))
+	);
+	const comparison = compareSummaries(baseline, current, { tolerance });
+	reporter(comparison);
+	if (values.out) {
+		await writeFile(resolve(cwd, values.out), JSON.stringify(comparison, null, 2), {
+			encoding: "utf8"
+		});
+	}
+
+	return comparison.hasRegressions ? 1 : 0;
+}
+
+/**
+ * @param {LintResult[]} lintResults
+ * @returns {{ numErrors: number, numWarnings: number }}
+ */
+function countLintProblems(lintResults) {
+	return {
+		numErrors: lintResults.reduce((sum, lintResult) => sum + lintResult.numErrors, 0),
+		numWarnings: lintResults.reduce((sum, lintResult) => sum + lintResult.numWarnings, 0)
+	};
+}
+
+/** @type {Object.<string, function(LintResult[]): void>} */
+const LINT_REPORTERS = {
+	console: (lintResults) => {
+		for (let lintResult of lintResults) {
+			lintResult.diagnostics.forEach((diagnostic) => console.log(formatLintDiagnostic(diagnostic)));
+		}
+		const { numErrors, numWarnings } = countLintProblems(lintResults);
+		console.log(`${numErrors} errors, ${numWarnings} warnings in ${lintResults.length} files`);
+	},
+	json: (lintResults) => {
+		console.log(JSON.stringify({ ...countLintProblems(lintResults), results: lintResults }, null, 2));
+	},
+	none: () => {}
+};
+
+/**
+ * Lint prompt files.
+ * @param {string[]} args
+ * @returns {Promise<number>}
+ */
+async function lintCommand(args) {
+	const { values, positionals } = parseArgs({
+		args,
+		allowPositionals: true,
+		options: {
+			rule: { type: "string", multiple: true },
+			role: { type: "string", multiple: true },
+			"max-warnings": { type: "string" },
+			reporter: { type: "string", short: "r", default: "console" },
+			help: { type: "boolean", short: "h" }
+		}
+	});
+
+	if (values.help) {
+		console.log(USAGE);
+		return 0;
+	}
+
+	/** @type {Object.<string, LintSeverity>} */
+	const rules = {};
+	for (let ruleArg of values.rule ?? []) {
+		const match = /^([^=]+)=(error|warning|off)$/.exec(ruleArg);
+		if (!match) {
+			console.error(`Bad --rule '${ruleArg}', expected rule=error, rule=warning or rule=off`);
+			return 2;
+		}
+		rules[match[1]] = /** @type {LintSeverity} */(match[2]);
+	}
+
+	const maxWarnings = values["max-warnings"] === undefined ? Infinity : Number(values["max-warnings"]);
+	if (Number.isNaN(maxWarnings) || maxWarnings < 0) {
+		console.error(`Bad --max-warnings '${values["max-warnings"]}'`);
+		return 2;
+	}
+
+	const reporterName = values.reporter ?? "console";
+	const reporter = LINT_REPORTERS[reporterName];
+	if (!reporter) {
+		console.error(`Unknown reporter '${reporterName}'. Use one of ${Object.keys(LINT_REPORTERS).join(", ")}`);
+		return 2;
+	}
+
+	// Arguments without glob characters are files, so they're linted whatever their name
+	const cwd = process.cwd();
+	const patterns = positionals.length > 0 ? positionals : [DEFAULT_PROMPT_GLOB];
+	const globs = patterns.filter((pattern) => /[*?{]/.test(pattern));
+	const files = patterns.filter((pattern) => !/[*?{]/.test(pattern)).map((file) => resolve(cwd, file));
+	if (globs.length > 0) {
+		files.push(...await findTestFiles(globs, cwd));
+	}
+	if (files.length === 0) {
+		console.error(`No prompt files found for ${patterns.map((pattern) => `'${pattern}'`).join(", ")}`);
+		return 2;
+	}
+
+	const lintOptions = { rules, roles: [...DEFAULT_LINT_ROLES, ...values.role ?? []] };
+	/** @type {LintResult[]} */
+	const lintResults = [];
+	for (let file of [...new Set(files)]) {
+		const relPath = relative(cwd, file);
+		lintResults.push(await lintPromptFile(isAbsolute(relPath) ? file : relPath, lintOptions));
+	}
+	reporter(lintResults);
+
+	const { numErrors, numWarnings } = countLintProblems(lintResults);
+	return numErrors > 0 || numWarnings > maxWarnings ? 1 : 0;
+}
+
+/** @type {Object.<string, Command>} */
+export const COMMANDS = {
+	run: runCommand,
+	compare: compareCommand,
+	lint: lintCommand
+};
+
+/**
+ * Run the promptqc command line. Returns the exit code.
+ * @param {string[]} argv - Without the node and script paths
+ * @returns {Promise<number>}
+ */
+export async function main(argv) {
+	let commandName = "run";
+	let args = argv;
+	if (argv.length > 0 && Object.prototype.hasOwnProperty.call(COMMANDS, argv[0])) {
+		commandName = argv[0];
+		args = argv.slice(1);
+	}
+
+	try {
+		return await COMMANDS[commandName](args);
+	} catch(e) {
+		// Mostly bad arguments from parseArgs or files that can't be read
+		console.error(e instanceof Error ? e.message : `Problem running '${commandName}'`);
+		console.error(USAGE);
+		return 2;
+	}
+}
+
+// Only run when called as a script, not when imported
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+	process.exitCode = await main(process.argv.slice(2));
+}
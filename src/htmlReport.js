@@ -0,0 +1,283 @@
+/**
+ * @typedef {Object} HTMLReportAssertion
+ * @property {string} type
+ * @property {string} lval
+ * @property {string} rval
+ * @property {string} message
+ *
+ * @typedef {Object} HTMLReportResult
+ * @property {string} testName
+ * @property {string} promptFile
+ * @property {string} promptGrp
+ * @property {"passed"|"failed"|"errored"|"skipped"} status
+ * @property {number} score
+ * @property {number} scoreReq
+ * @property {Object.<string, *>} timeStats - Numbers, apart from interChunkMs and unset streaming stats
+ * @property {*[]} prompts
+ * @property {HTMLReportAssertion[]} failedAssertions
+ * @property {Object.<string, *>} storedVars
+ * @property {null|string} error
+ * @property {null|string} skipReason
+ * @property {null|Object.<string, *>} usage - Token counts and cost, which is null when unpriced
+ *
+ * @typedef {Object} HTMLReportData
+ * @property {string} title
+ * @property {number} totalMs
+ * @property {HTMLReportResult[]} results
+ */
+
+const STYLE = `
+* { box-sizing: border-box; }
+body { margin: 0; padding: 24px; font: 14px/1.4 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; background: #f6f8fa; }
+h1 { margin: 0 0 8px; font-size: 20px; }
+.counts span { display: inline-block; margin-right: 16px; font-weight: 600; }
+.filters { display: flex; gap: 8px; margin: 16px 0; }
+.filters select, .filters input { padding: 4px 8px; font: inherit; border: 1px solid #d0d7de; border-radius: 6px; }
+.filters input { flex: 1; }
+table { width: 100%; border-collapse: collapse; background: #fff; }
+th, td { padding: 6px 8px; text-align: left; vertical-align: top; border-bottom: 1px solid #d0d7de; }
+th { background: #eaeef2; }
+tr.result { cursor: pointer; }
+tr.result:hover { background: #f3f4f6; }
+.status { font-weight: 600; text-transform: uppercase; font-size: 12px; }
+.passed { color: #1a7f37; }
+.failed { color: #cf222e; }
+.errored { color: #9a6700; }
+.skipped { color: #57606a; }
+.bar { display: flex; height: 10px; width: 160px; background: #eaeef2; border-radius: 3px; overflow: hidden; }
+.bar div { height: 100%; }
+.queueMs { background: #afb8c1; }
+.completionMs { background: #54aeff; }
+.testMs { background: #4ac26b; }
+.judgeMs { background: #c297ff; }
+.legend span { margin-right: 12px; }
+.legend i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; border-radius: 2px; }
+tr.detail td { background: #fafbfc; padding: 12px 16px; }
+.message { margin: 6px 0; padding: 8px 12px; border-radius: 6px; border: 1px solid #d0d7de; background: #fff; }
+.message .role { font-size: 12px; font-weight: 600; text-transform: uppercase; color: #57606a; }
+.message.system { border-left: 4px solid #8250df; }
+.message.user { border-left: 4px solid #0969da; }
+.message.assistant { border-left: 4px solid #1a7f37; }
+.message.tool { border-left: 4px solid #9a6700; }
+pre { margin: 4px 0 0; white-space: pre-wrap; word-break: break-word; font: 13px/1.4 ui-monospace, Menlo, Consolas, monospace; }
+h3 { margin: 12px 0 4px; font-size: 14px; }
+.error { color: #cf222e; }
+`;
+
+// Runs in the browser. Everything is rendered with textContent so report data can't inject markup.
+const SCRIPT = `
+const data = JSON.parse(document.getElementById("report-data").textContent);
+const tbody = document.querySelector("tbody");
+const statusFilter = document.getElementById("status-filter");
+const grpFilter = document.getElementById("grp-filter");
+const nameFilter = document.getElementById("name-filter");
+const maxMs = Math.max(1, ...data.results.map((r) => r.timeStats.totalMs || 0));
+
+function el(tag, className, text) {
+	const node = document.createElement(tag);
+	if (className) node.className = className;
+	if (text !== undefined) node.textContent = text;
+	return node;
+}
+
+function toText(value) {
+	return typeof value === "string" ? value : JSON.stringify(value, null, 2);
+}
+
+function renderPrompt(prompt) {
+	const role = prompt && typeof prompt === "object" && typeof prompt.role === "string" ? prompt.role : "";
+	const message = el("div", "message " + role);
+	message.appendChild(el("div", "role", role || "prompt"));
+	const content = role && prompt.content !== undefined ? prompt.content : prompt;
+	message.appendChild(el("pre", "", toText(content)));
+	return message;
+}
+
+function renderTable(headers, rows) {
+	const table = el("table");
+	const headRow = el("tr");
+	headers.forEach((header) => headRow.appendChild(el("th", "", header)));
+	table.appendChild(headRow);
+	rows.forEach((cells) => {
+		const row = el("tr");
+		cells.forEach((cell) => {
+			const td = el("td");
+			td.appendChild(el("pre", "", cell));
+			row.appendChild(td);
+		});
+		table.appendChild(row);
+	});
+	return table;
+}
+
+function formatTimeStats(timeStats) {
+	return Object.entries(timeStats)
+		.filter(([key, value]) => value !== null && value !== undefined)
+		.map(([key, value]) => {
+			if (typeof value === "object") {
+				return key + ": " + Object.entries(value).map(([p, ms]) => p + " " + ms + "ms").join(", ");
+			}
+			return key + ": " + value + (key === "numChunks" ? "" : "ms");
+		})
+		.join("\\n");
+}
+
+function formatUsage(usage) {
+	const lines = ["inputTokens: " + usage.inputTokens, "outputTokens: " + usage.outputTokens];
+	if (usage.cost !== null) {
+		lines.push("cost: $" + usage.cost.toFixed(4));
+	}
+	return lines.join("\\n");
+}
+
+function renderDetail(result) {
+	const td = el("td");
+	td.colSpan = 5;
+	if (result.error) {
+		td.appendChild(el("h3", "", "Error"));
+		td.appendChild(el("pre", "error", result.error));
+	}
+	if (result.skipReason) {
+		td.appendChild(el("h3", "", "Skipped"));
+		td.appendChild(el("pre", "", result.skipReason));
+	}
+	if (result.failedAssertions.length > 0) {
+		td.appendChild(el("h3", "", "Failed Assertions"));
+		td.appendChild(renderTable(
+			["Type", "lval", "rval", "Message"],
+			result.failedAssertions.map((a) => [a.type, a.lval, a.rval, a.message])
+		));
+	}
+	const storedVars = Object.entries(result.storedVars);
+	if (storedVars.length > 0) {
+		td.appendChild(el("h3", "", "Stored Vars"));
+		td.appendChild(renderTable(["Name", "Value"], storedVars.map(([name, value]) => [name, toText(value)])));
+	}
+	td.appendChild(el("h3", "", "Conversation"));
+	result.prompts.forEach((prompt) => td.appendChild(renderPrompt(prompt)));
+	td.appendChild(el("h3", "", "Time"));
+	td.appendChild(el("pre", "", formatTimeStats(result.timeStats)));
+	if (result.usage && result.usage.totalTokens > 0) {
+		td.appendChild(el("h3", "", "Usage"));
+		td.appendChild(el("pre", "", formatUsage(result.usage)));
+	}
+	const row = el("tr", "detail");
+	row.appendChild(td);
+	return row;
+}
+
+function renderBar(timeStats) {
+	const bar = el("div", "bar");
+	bar.title = timeStats.totalMs + "ms";
+	["queueMs", "completionMs", "testMs", "judgeMs"].forEach((key) => {
+		if (timeStats[key] > 0) {
+			const part = el("div", key);
+			part.style.width = (100 * timeStats[key] / maxMs) + "%";
+			bar.appendChild(part);
+		}
+	});
+	return bar;
+}
+
+function render() {
+	const name = nameFilter.value.toLowerCase();
+	tbody.textContent = "";
+	data.results.forEach((result) => {
+		if (statusFilter.value && result.status !== statusFilter.value) return;
+		if (grpFilter.value && result.promptGrp !== grpFilter.value) return;
+		if (name && !result.testName.toLowerCase().includes(name)) return;
+
+		const row = el("tr", "result");
+		row.appendChild(el("td", "status " + result.status, result.status));
+		row.appendChild(el("td", "", result.testName));
+		row.appendChild(el("td", "", result.promptGrp));
+		row.appendChild(el("td", "", result.score.toFixed(2) + " / " + result.scoreReq.toFixed(2)));
+		const timeCell = el("td");
+		timeCell.appendChild(renderBar(result.timeStats));
+		timeCell.appendChild(el("div", "", result.timeStats.totalMs + "ms"));
+		row.appendChild(timeCell);
+
+		let detail = null;
+		row.addEventListener("click", () => {
+			if (detail) {
+				detail.remove();
+				detail = null;
+			} else {
+				detail = renderDetail(result);
+				row.after(detail);
+			}
+		});
+		tbody.appendChild(row);
+	});
+}
+
+const counts = { passed: 0, failed: 0, errored: 0, skipped: 0 };
+data.results.forEach((result) => { counts[result.status] += 1; });
+const countsEl = document.querySelector(".counts");
+Object.entries(counts).forEach(([status, count]) => countsEl.appendChild(el("span", status, count + " " + status)));
+countsEl.appendChild(el("span", "", data.totalMs + "ms"));
+
+[...new Set(data.results.map((r) => r.promptGrp))].sort().forEach((grp) => {
+	const option = el("option", "", grp);
+	option.value = grp;
+	grpFilter.appendChild(option);
+});
+[statusFilter, grpFilter].forEach((input) => input.addEventListener("change", render));
+nameFilter.addEventListener("input", render);
+render();
+`;
+
+/**
+ * Escape text for use in HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHTML(text) {
+	return text
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+}
+
+/**
+ * Render the report data into a single HTML page that works offline.
+ * @param {HTMLReportData} data
+ * @returns {string}
+ */
+export function renderHTMLReport(data) {
+	// Keep the JSON from closing its script tag
+	const json = JSON.stringify(data).replace(/</g, "\\u003c");
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(data.title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHTML(data.title)}</h1>
+<div class="counts"></div>
+<div class="filters">
+<select id="status-filter">
+<option value="">All statuses</option>
+<option value="passed">Passed</option>
+<option value="failed">Failed</option>
+<option value="errored">Errored</option>
+<option value="skipped">Skipped</option>
+</select>
+<select id="grp-filter"><option value="">All prompt groups</option></select>
+<input id="name-filter" type="search" placeholder="Filter by test name">
+</div>
+<div class="legend"><span><i class="queueMs"></i>Queue</span><span><i class="completionMs"></i>Completion</span><span><i class="testMs"></i>Test</span><span><i class="judgeMs"></i>Judge</span></div>
+<table>
+<thead><tr><th>Status</th><th>Test</th><th>Prompt Group</th><th>Score / Req</th><th>Time</th></tr></thead>
+<tbody></tbody>
+</table>
+<script type="application/json" id="report-data">${json}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,358 @@
+/**
+ * A JSON Schema draft-07 subset validator, so structured output can be checked without extra packages.
+ *
+ * Supported keywords: type, enum, const, properties, required, additionalProperties, patternProperties,
+ * propertyNames, minProperties, maxProperties, items, additionalItems, contains, minItems, maxItems,
+ * uniqueItems, minLength, maxLength, pattern, minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+ * multipleOf, allOf, anyOf, oneOf, not, if/then/else and local $refs like '#/definitions/name'.
+ * Other keywords, like format, are ignored.
+ *
+ * @typedef {boolean|Object.<string, *>} JsonSchema
+ */
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+	if (value === null) {
+		return "null";
+	} else if (Array.isArray(value)) {
+		return "array";
+	} else if (typeof value === "number" && Number.isInteger(value)) {
+		return "integer";
+	}
+	return typeof value;
+}
+
+/**
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function isType(value, type) {
+	const valueType = typeOf(value);
+	return valueType === type || (type === "number" && valueType === "integer");
+}
+
+/**
+ * JSON equality, where key order doesn't matter.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function jsonEqual(a, b) {
+	if (a === b) {
+		return true;
+	}
+	if (typeOf(a) !== typeOf(b) || typeof a !== "object" || a === null) {
+		return false;
+	}
+	if (Array.isArray(a)) {
+		return a.length === b.length && a.every((item, i) => jsonEqual(item, b[i]));
+	}
+	const keys = Object.keys(a);
+	return keys.length === Object.keys(b).length
+		&& keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && jsonEqual(a[key], b[key]));
+}
+
+/**
+ * @param {string} path
+ * @param {string} key
+ * @returns {string}
+ */
+function joinPath(path, key) {
+	return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * @param {string} schemaPath
+ * @param {string|number} key
+ * @returns {string}
+ */
+function joinSchemaPath(schemaPath, key) {
+	return `${schemaPath}/${String(key).replace(/~/g, "~0").replace(/\//g, "~1")}`;
+}
+
+/**
+ * Compile a pattern or patternProperties key. Draft-07 patterns are ECMA-262 regexes, which often
+ * escape characters like '-' that the "u" flag rejects, so those are compiled without it.
+ * @param {string} pattern
+ * @returns {RegExp}
+ * @throws {SyntaxError}
+ */
+function compilePattern(pattern) {
+	try {
+		return new RegExp(pattern, "u");
+	} catch(e) {
+		return new RegExp(pattern);
+	}
+}
+
+/**
+ * Find the schema a local $ref like '#/definitions/name' points to.
+ * @param {JsonSchema} rootSchema
+ * @param {string} ref
+ * @returns {JsonSchema}
+ * @throws {Error}
+ */
+function resolveRef(rootSchema, ref) {
+	if (!ref.startsWith("#")) {
+		throw new Error(`Only local $refs are supported, not '${ref}'`);
+	}
+	/** @type {*} */
+	let schema = rootSchema;
+	const pointer = decodeURIComponent(ref.slice(1));
+	for (let part of pointer.split("/").slice(1)) {
+		const key = part.replace(/~1/g, "/").replace(/~0/g, "~");
+		if (!schema || typeof schema !== "object" || !Object.prototype.hasOwnProperty.call(schema, key)) {
+			throw new Error(`Can't resolve $ref '${ref}'`);
+		}
+		schema = schema[key];
+	}
+	return schema;
+}
+
+/**
+ * Validate a value against a JSON Schema. Returns an error for every failed keyword, as
+ * '<value path>: <message> (<schema path>)', e.g. '$.items[0].name: must be string (#/properties/items/items/properties/name/type)'.
+ * An empty array means the value is valid. Throws if the schema itself is bad.
+ * @param {*} value
+ * @param {JsonSchema} schema
+ * @returns {string[]}
+ * @throws {Error}
+ */
+export function validateJsonSchema(value, schema) {
+	/** @type {string[]} */
+	const errors = [];
+	validate(value, schema, "$", "#", schema, errors);
+	return errors;
+}
+
+/**
+ * @param {*} value
+ * @param {JsonSchema} schema
+ * @param {string} path - Where the value is, like '$.items[0]'
+ * @param {string} schemaPath - Where the schema is, like '#/properties/items'
+ * @param {JsonSchema} rootSchema - For resolving $refs
+ * @param {string[]} errors - Failures are pushed onto this
+ * @param {Set<string>} [activeRefs] - The $refs being resolved for this same value, to catch ones that loop
+ */
+function validate(value, schema, path, schemaPath, rootSchema, errors, activeRefs=new Set()) {
+	/**
+	 * @param {string} keyword
+	 * @param {string} message
+	 */
+	const fail = (keyword, message) => {
+		errors.push(`${path}: ${message} (${joinSchemaPath(schemaPath, keyword)})`);
+	};
+	/**
+	 * Check a value against a subschema without recording its errors
+	 * @param {*} subValue
+	 * @param {JsonSchema} subSchema
+	 * @param {string} subSchemaPath
+	 * @param {Set<string>} [refs] - A new set when subValue isn't the same value
+	 * @returns {string[]}
+	 */
+	const check = (subValue, subSchema, subSchemaPath, refs=activeRefs) => {
+		/** @type {string[]} */
+		const subErrors = [];
+		validate(subValue, subSchema, path, subSchemaPath, rootSchema, subErrors, refs);
+		return subErrors;
+	};
+
+	if (schema === true) {
+		return;
+	} else if (schema === false) {
+		errors.push(`${path}: no value is allowed (${schemaPath})`);
+		return;
+	} else if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+		throw new Error(`Bad schema at ${schemaPath}: must be an object or boolean`);
+	}
+
+	// In draft-07 a $ref replaces the rest of the schema
+	if (typeof schema.$ref === "string") {
+		if (activeRefs.has(schema.$ref)) {
+			throw new Error(`Bad schema at ${schemaPath}: $ref '${schema.$ref}' refers back to itself without checking any data`);
+		}
+		activeRefs.add(schema.$ref);
+		try {
+			validate(value, resolveRef(rootSchema, schema.$ref), path, joinSchemaPath(schemaPath, "$ref"), rootSchema, errors, activeRefs);
+		} finally {
+			activeRefs.delete(schema.$ref);
+		}
+		return;
+	}
+
+	if (schema.type !== undefined) {
+		const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+		if (!types.some((type) => isType(value, type))) {
+			fail("type", `must be ${types.join(" or ")}, not ${typeOf(value)}`);
+		}
+	}
+	if (Array.isArray(schema.enum) && !schema.enum.some((option) => jsonEqual(value, option))) {
+		fail("enum", `must be one of ${JSON.stringify(schema.enum)}`);
+	}
+	if (schema.const !== undefined && !jsonEqual(value, schema.const)) {
+		fail("const", `must be ${JSON.stringify(schema.const)}`);
+	}
+
+	if (typeof value === "string") {
+		// Count code points rather than UTF-16 units
+		const length = [...value].length;
+		if (typeof schema.minLength === "number" && length < schema.minLength) {
+			fail("minLength", `must have at least ${schema.minLength} characters`);
+		}
+		if (typeof schema.maxLength === "number" && length > schema.maxLength) {
+			fail("maxLength", `must have at most ${schema.maxLength} characters`);
+		}
+		if (typeof schema.pattern === "string" && !compilePattern(schema.pattern).test(value)) {
+			fail("pattern", `must match /${schema.pattern}/`);
+		}
+	}
+
+	if (typeof value === "number") {
+		if (typeof schema.minimum === "number" && value < schema.minimum) {
+			fail("minimum", `must be >= ${schema.minimum}`);
+		}
+		if (typeof schema.maximum === "number" && value > schema.maximum) {
+			fail("maximum", `must be <= ${schema.maximum}`);
+		}
+		if (typeof schema.exclusiveMinimum === "number" && value <= schema.exclusiveMinimum) {
+			fail("exclusiveMinimum", `must be > ${schema.exclusiveMinimum}`);
+		}
+		if (typeof schema.exclusiveMaximum === "number" && value >= schema.exclusiveMaximum) {
+			fail("exclusiveMaximum", `must be < ${schema.exclusiveMaximum}`);
+		}
+		if (typeof schema.multipleOf === "number" && schema.multipleOf > 0) {
+			const quotient = value / schema.multipleOf;
+			if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+				fail("multipleOf", `must be a multiple of ${schema.multipleOf}`);
+			}
+		}
+	}
+
+	if (Array.isArray(value)) {
+		if (typeof schema.minItems === "number" && value.length < schema.minItems) {
+			fail("minItems", `must have at least ${schema.minItems} items`);
+		}
+		if (typeof schema.maxItems === "number" && value.length > schema.maxItems) {
+			fail("maxItems", `must have at most ${schema.maxItems} items`);
+		}
+		if (schema.uniqueItems === true) {
+			const duplicate = value.findIndex((item, i) => value.slice(0, i).some((other) => jsonEqual(item, other)));
+			if (duplicate !== -1) {
+				fail("uniqueItems", `must have unique items, [${duplicate}] is a duplicate`);
+			}
+		}
+		if (Array.isArray(schema.items)) {
+			value.forEach((item, i) => {
+				const itemPath = `${path}[${i}]`;
+				if (i < schema.items.length) {
+					validate(item, schema.items[i], itemPath, joinSchemaPath(joinSchemaPath(schemaPath, "items"), i), rootSchema, errors);
+				} else if (schema.additionalItems !== undefined) {
+					validate(item, schema.additionalItems, itemPath, joinSchemaPath(schemaPath, "additionalItems"), rootSchema, errors);
+				}
+			});
+		} else if (schema.items !== undefined) {
+			value.forEach((item, i) => {
+				validate(item, schema.items, `${path}[${i}]`, joinSchemaPath(schemaPath, "items"), rootSchema, errors);
+			});
+		}
+		if (schema.contains !== undefined) {
+			const containsPath = joinSchemaPath(schemaPath, "contains");
+			if (!value.some((item) => check(item, schema.contains, containsPath, new Set()).length === 0)) {
+				fail("contains", "must contain a matching item");
+			}
+		}
+	}
+
+	if (typeOf(value) === "object") {
+		const keys = Object.keys(value);
+		if (typeof schema.minProperties === "number" && keys.length < schema.minProperties) {
+			fail("minProperties", `must have at least ${schema.minProperties} properties`);
+		}
+		if (typeof schema.maxProperties === "number" && keys.length > schema.maxProperties) {
+			fail("maxProperties", `must have at most ${schema.maxProperties} properties`);
+		}
+		if (Array.isArray(schema.required)) {
+			for (let key of schema.required) {
+				if (!Object.prototype.hasOwnProperty.call(value, key)) {
+					fail("required", `must have property '${key}'`);
+				}
+			}
+		}
+		if (schema.propertyNames !== undefined) {
+			for (let key of keys) {
+				for (let error of check(key, schema.propertyNames, joinSchemaPath(schemaPath, "propertyNames"), new Set())) {
+					errors.push(`${joinPath(path, key)} (name)${error.slice(path.length)}`);
+				}
+			}
+		}
+
+		const properties = schema.properties && typeof schema.properties === "object" ? schema.properties : {};
+		const patternProperties = schema.patternProperties && typeof schema.patternProperties === "object"
+			? schema.patternProperties
+			: {};
+		for (let key of keys) {
+			const keyPath = joinPath(path, key);
+			let matched = false;
+			if (Object.prototype.hasOwnProperty.call(properties, key)) {
+				matched = true;
+				const propertiesPath = joinSchemaPath(joinSchemaPath(schemaPath, "properties"), key);
+				validate(value[key], properties[key], keyPath, propertiesPath, rootSchema, errors);
+			}
+			for (let [pattern, patternSchema] of Object.entries(patternProperties)) {
+				if (compilePattern(pattern).test(key)) {
+					matched = true;
+					const patternPath = joinSchemaPath(joinSchemaPath(schemaPath, "patternProperties"), pattern);
+					validate(value[key], patternSchema, keyPath, patternPath, rootSchema, errors);
+				}
+			}
+			if (!matched && schema.additionalProperties !== undefined) {
+				if (schema.additionalProperties === false) {
+					errors.push(`${keyPath}: is not an allowed property (${joinSchemaPath(schemaPath, "additionalProperties")})`);
+				} else {
+					const additionalPath = joinSchemaPath(schemaPath, "additionalProperties");
+					validate(value[key], schema.additionalProperties, keyPath, additionalPath, rootSchema, errors);
+				}
+			}
+		}
+	}
+
+	if (Array.isArray(schema.allOf)) {
+		schema.allOf.forEach((/** @type {JsonSchema} */ subSchema, /** @type {number} */ i) => {
+			validate(value, subSchema, path, joinSchemaPath(joinSchemaPath(schemaPath, "allOf"), i), rootSchema, errors, activeRefs);
+		});
+	}
+	if (Array.isArray(schema.anyOf)) {
+		const results = schema.anyOf.map((/** @type {JsonSchema} */ subSchema, /** @type {number} */ i) => {
+			return check(value, subSchema, joinSchemaPath(joinSchemaPath(schemaPath, "anyOf"), i));
+		});
+		if (results.every((/** @type {string[]} */ subErrors) => subErrors.length > 0)) {
+			fail("anyOf", "must match at least one schema in anyOf");
+			errors.push(...results.flat());
+		}
+	}
+	if (Array.isArray(schema.oneOf)) {
+		const results = schema.oneOf.map((/** @type {JsonSchema} */ subSchema, /** @type {number} */ i) => {
+			return check(value, subSchema, joinSchemaPath(joinSchemaPath(schemaPath, "oneOf"), i));
+		});
+		const numMatched = results.filter((/** @type {string[]} */ subErrors) => subErrors.length === 0).length;
+		if (numMatched === 0) {
+			fail("oneOf", "must match exactly one schema in oneOf, matched none");
+			errors.push(...results.flat());
+		} else if (numMatched > 1) {
+			fail("oneOf", `must match exactly one schema in oneOf, matched ${numMatched}`);
+		}
+	}
+	if (schema.not !== undefined && check(value, schema.not, joinSchemaPath(schemaPath, "not")).length === 0) {
+		fail("not", "must not match the schema in not");
+	}
+	if (schema.if !== undefined) {
+		const branch = check(value, schema.if, joinSchemaPath(schemaPath, "if")).length === 0 ? "then" : "else";
+		if (schema[branch] !== undefined) {
+			validate(value, schema[branch], path, joinSchemaPath(schemaPath, branch), rootSchema, errors, activeRefs);
+		}
+	}
+}
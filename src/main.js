@@ -1,15 +1,44 @@
-import { statSync } from "fs";
+import { readFileSync, statSync } from "fs";
 import { readFile, writeFile } from "node:fs/promises";
+import { createHash } from "node:crypto";
+import { dirname, isAbsolute, resolve } from "node:path";
 import * as assert from "node:assert";
+import { isDeepStrictEqual } from "node:util";
+
+import { renderHTMLReport } from "./htmlReport.js";
+import { validateJsonSchema } from "./jsonSchema.js";
+import { getPromptFileFormat, parseJSON, parsePromptJSONL, parsePromptMarkdown, parsePromptText } from "./promptFormats.js";
+import { DEFAULT_LINT_ROLES, LINT_RULES, formatLintDiagnostic, getLintSeverities, lintPromptText } from "./promptLint.js";
+import { ProviderError, anthropic, ollama, openAICompatible } from "./providers.js";
+import { parseYAML } from "./yaml.js";
+
+export {
+	DEFAULT_LINT_ROLES,
+	LINT_RULES,
+	ProviderError,
+	anthropic,
+	formatLintDiagnostic,
+	getPromptFileFormat,
+	lintPromptText,
+	ollama,
+	openAICompatible,
+	parseJSON,
+	parsePromptJSONL,
+	parsePromptMarkdown,
+	parsePromptText,
+	parseYAML,
+	validateJsonSchema
+};
 
 /** @typedef {import('fs').Stats} Stats */
 
-/** @typedef {"ParseConfig"|"ReadPromptFile"|"CallCompletion"|"TestFunc"|"ResponsePrompt"} Step */
+/** @typedef {"ParseConfig"|"ReadPromptFile"|"CallCompletion"|"CallTool"|"TestFunc"|"ResponsePrompt"} Step */
 /** @type {Object.<Step, Step>} */
 export const Step = Object.freeze({
 	ParseConfig: "ParseConfig",
 	ReadPromptFile: "ReadPromptFile",
 	CallCompletion: "CallCompletion",
+	CallTool: "CallTool",
 	TestFunc: "TestFunc",
 	ResponsePrompt: "ResponsePrompt"
 });
@@ -18,27 +47,270 @@ export const Step = Object.freeze({
  * @typedef {string|object} Prompt
  * 
  * @typedef {Object.<string, Prompt[]>} PromptMap
+ *
+ * @typedef {import('./promptFormats.js').PromptFileFormat} PromptFileFormat
+ *
+ * @typedef {Object} PromptGrpDef - A prompt group written as an object instead of an array
+ * @property {string} [extends] - Prompt group whose prompts come first, from this file or an imported one
+ * @property {Prompt[]} [prompts] - Added after the extended group's prompts
+ *
+ * @typedef {Object} ComposedPrompts - Resolved prompts and the file they were defined in
+ * @property {Prompt[]} prompts
+ * @property {string} origin
+ *
+ * @typedef {Object} PromptSource - A prompt file with its composition resolved
+ * @property {Map<string, ComposedPrompts>} fragments - Its own and imported fragments
+ * @property {Map<string, ComposedPrompts>} groups - Its own and imported prompt groups
+ * @property {string[]} ownGroups - The prompt groups defined in the file itself
+ *
+ * @typedef {import('./promptFormats.js').PromptLocations} PromptLocations
+ * @typedef {import('./promptLint.js').LintOptions} LintOptions
+ * @typedef {import('./promptLint.js').LintDiagnostic} LintDiagnostic
+ *
+ * @typedef {Object} LintResult
+ * @property {string} file
+ * @property {LintDiagnostic[]} diagnostics - Sorted by position
+ * @property {number} numErrors
+ * @property {number} numWarnings
  * 
  * @typedef {Object} QConfig
  * @property {string} testName
  * @property {string} promptFile
  * @property {string} promptGrp
  * @property {number} [scoreReq] - Defaults to 1.0
+ * @property {TemplateVars} [vars] - Values for the {{placeholders}} in the prompt group
+ * @property {string} [dataset] - Set when the QConfig was made from a row of a cases file
+ * @property {string} [modelKey] - Set when the QConfig was made for one model of a matrix
+ * @property {TestCase} [testCase]
+ * @property {number} [samples] - Number of times to call and test the completion. Defaults to 1
+ * @property {number} [k] - The k for pass@k and pass^k. Defaults to samples
+ * @property {PassCriteria} [passCriteria] - Sample stat checked against scoreReq. Defaults to "mean"
+ * @property {number} [timeoutMs] - Max time for each completion call
+ * @property {number} [retries] - Times to retry a failed completion call. Defaults to 0
+ * @property {number} [retryDelayMs] - Wait before the first retry, doubled for each one after. Defaults to 1000
+ * @property {RetryableFunc} [retryable] - Decides which errors get retried. Defaults to all of them
+ * @property {string} [modelId] - Identifies the model behind the completionFunc, e.g. for cassettes
+ * @property {CassetteConfig} [cassette] - Overrides the QCRunner's cassette
+ * @property {ConversationConfig} [conversation] - Makes the QCDef a multi-turn conversation
+ * @property {Object.<string, ToolHandler>} [tools] - Mock tools run when the response calls them
+ * @property {number} [maxToolRounds] - Max times tools are run before each response is tested. Defaults to 10
+ * @property {ReduceChunksFunc} [reduceChunks] - Assembles a streamed response. Defaults to joining string chunks
+ * @property {string[]} [tags] - Used to pick tests with RunOptions#tagFilter
+ * @property {boolean} [only] - Only run the QCDefs marked only, if any are
+ * @property {boolean} [skip] - Don't run the QCDef, but still report it as skipped
  * 
  * @typedef {Object} PartialQConfig
  * @property {number} [scoreReq]
+ * @property {TemplateVars} [vars]
+ * @property {number} [samples]
+ * @property {number} [k]
+ * @property {PassCriteria} [passCriteria]
+ * @property {number} [timeoutMs]
+ * @property {number} [retries]
+ * @property {number} [retryDelayMs]
+ * @property {RetryableFunc} [retryable]
+ * @property {string} [modelId]
+ * @property {CassetteConfig} [cassette]
+ * @property {Object.<string, ToolHandler>} [tools]
+ * @property {number} [maxToolRounds]
+ * @property {ReduceChunksFunc} [reduceChunks]
+ * @property {string[]} [tags]
+ * @property {boolean} [only]
+ * @property {boolean} [skip]
+ *
+ * @callback ReduceChunksFunc
+ * @param {*[]} chunks - Every chunk the completion streamed, in order
+ * @returns {*} - The response
+ *
+ * @callback ToolHandler
+ * @param {*} args - The parsed arguments of the call
+ * @param {ToolCall} toolCall
+ * @returns {*} - The tool's result, strings are sent as-is and anything else as JSON
+ *
+ * @typedef {Object} ToolCall
+ * @property {string} id
+ * @property {string} name
+ * @property {*} args - Parsed from JSON for OpenAI-style calls, or the raw string if it isn't valid JSON
+ *
+ * @typedef {Object} ToolCallTrace
+ * @property {string} id
+ * @property {string} name
+ * @property {*} args
+ * @property {*} result - What the ToolHandler returned
+ * @property {number} turn - The conversation turn, starting at 0
+ * @property {number} round - The tool round within the turn, starting at 0
+ *
+ * @callback ArgsMatcherFunc
+ * @param {*} args
+ * @returns {boolean}
+ *
+ * @typedef {Object.<string, *>|ArgsMatcherFunc} ArgsMatcher
+ *
+ * @typedef {string|Prompt} UserTurn - Strings are sent as user messages
+ *
+ * @callback StopWhenFunc
+ * @param {*} response - The turn's response
+ * @param {number} turn - Starts at 0
+ * @returns {boolean} - True to end the conversation
+ *
+ * @typedef {Object} ConversationConfig
+ * @property {UserTurn[]} [userTurns] - User messages sent after each reply, unless the test calls QContext#reply
+ * @property {number} [maxTurns] - Max completion calls in the conversation. Defaults to 10
+ * @property {StopWhenFunc} [stopWhen]
+ *
+ * @typedef {ConversationConfig & PartialQConfig} ConversationOptions
+ *
+ * @typedef {Object} TurnResult
+ * @property {number} turn - Starts at 0
+ * @property {number} numAssertions
+ * @property {number} numPassed
+ * @property {number} numFailed
+ * @property {number} score - The score of just this turn's assertions
+ * @property {ResultTimeStats} timeStats
+ *
+ * @typedef {"off"|"record"|"replay"|"auto"} CassetteMode
+ *
+ * @typedef {Object} CassetteConfig
+ * @property {string} [file] - JSON file the responses are recorded to and replayed from
+ * @property {CassetteMode} [mode] - Defaults to "auto"
+ *
+ * @typedef {Object} CassetteEntry
+ * @property {string} modelId
+ * @property {number} sample
+ * @property {Prompt[]} prompts
+ * @property {*} response
+ * @property {*[]} [chunks] - Set when the response was streamed
+ *
+ * @typedef {Object} QCRunnerOptions
+ * @property {CassetteConfig} [cassette] - Default cassette for every QCDef
+ * @property {string} [promptDir] - Relative promptFiles are resolved against this directory
+ * @property {string} [snapshotFile] - Defaults to a .snap.json file next to each prompt file
+ * @property {PricingTable} [pricing] - Prices each QCResult's token usage by its modelId
+ *
+ * @typedef {Object} RunContext
+ * @property {CompletionScheduler} [scheduler] - Throttles the completion calls
+ * @property {RunBudget} [budget] - Shared by every QCDef in the run
+ * @property {PricingTable} [pricing]
+ * @property {Cassette} [cassette]
+ * @property {CassetteMode} [cassetteMode]
+ * @property {SnapshotFile} [snapshotFile]
+ * @property {EmbeddingCache} [embeddingCache]
+ *
+ * @typedef {"mean"|"min"|"max"|"passAtK"|"passHatK"} PassCriteria
+ *
+ * @typedef {Object.<string, *>} TemplateVars
+ *
+ * @typedef {Object} TestCase
+ * @property {number} index - Row index in the cases file
+ * @property {string} name - Value of the key column or the row index
+ * @property {Object.<string, *>} row - The full parsed row
+ * @property {TemplateVars} vars
+ * @property {Object.<string, *>} expected
+ *
+ * @typedef {Object} EachKeyOptions
+ * @property {string} [keyColumn] - Dotted path into the row used to name each case
+ *
+ * @typedef {PartialQConfig & EachKeyOptions} EachOptions
  * 
  * @typedef {Object} SummaryTimeStats
  * @property {number} totalMs
- * @property {number} avgMs
+ * @property {number} avgMs - Over the tests that weren't skipped, 0 if none ran
  * 
  * @typedef {Object} ResultTimeStats
  * @property {number} totalMs
+ * @property {number} queueMs - Time spent waiting on the run's concurrency and rate limits
  * @property {number} completionMs
- * @property {number} testMs
+ * @property {number} testMs - Not including judgeMs
+ * @property {number} judgeMs - Time spent waiting on assertJudge's judge calls
+ * @property {null|number} ttftMs - Time to the first chunk of the first streamed completion
+ * @property {null|number} numChunks - Chunks streamed by every completion
+ * @property {null|ChunkLatencyStats} interChunkMs - Time between streamed chunks
+ *
+ * @typedef {Object} ChunkLatencyStats
+ * @property {number} p50
+ * @property {number} p90
+ * @property {number} p99
+ * @property {number} max
+ *
+ * @typedef {Object} StreamTimes
+ * @property {number[]} firstChunkMs - Time to the first chunk of each streamed completion
+ * @property {number} numChunks
+ * @property {number[]} gapsMs - Time between each chunk and the one before it
+ *
+ * @typedef {Object} CompletionResult
+ * @property {*} response - Only set when the completion didn't stream
+ * @property {null|*[]} chunks - Only set when the completion streamed
+ * @property {number[]} chunkTimes - When each chunk arrived, in ms after the completion was called
+ *
+ * @typedef {Object} RunOptions
+ * @property {number} [concurrency] - Max completion calls in flight at once. Defaults to 1 with a budget
+ * @property {number} [requestsPerMinute] - Max completion calls started per minute
+ * @property {number} [tokensPerMinute] - Max estimated prompt tokens sent per minute
+ * @property {EstimateTokensFunc} [estimateTokens] - Defaults to estimatePromptTokens
+ * @property {number} [timeoutMs] - Default for each QConfig
+ * @property {number} [retries] - Default for each QConfig
+ * @property {number} [retryDelayMs] - Default for each QConfig
+ * @property {RetryableFunc} [retryable] - Default for each QConfig
+ * @property {AbortSignal} [signal] - Cancels every completion call in the run
+ * @property {RegExp} [testNameFilter] - Only run the QCDefs whose testName matches
+ * @property {string} [tagFilter] - Only run the QCDefs whose tags match, e.g. "smoke && !slow"
+ * @property {string[]} [promptFileFilter] - Only run the QCDefs for these prompt files, resolved like their promptFile
+ * @property {string[]} [promptGrpFilter] - Only run the QCDefs for these prompt groups
+ * @property {boolean} [updateSnapshots] - Rewrite snapshots that don't match and remove obsolete ones
+ * @property {number} [maxCost] - Stop starting tests once the run's priced usage costs this much
+ * @property {number} [maxTokens] - Stop starting tests once the run has used this many tokens
+ *
+ * @typedef {Object} Usage
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ *
+ * @typedef {Object} ModelPricing
+ * @property {number} inputPerMTok - Cost of a million input tokens
+ * @property {number} outputPerMTok - Cost of a million output tokens
+ *
+ * @typedef {Object.<string, ModelPricing>} PricingTable - Keyed by modelId
+ *
+ * @typedef {Object} ResultUsage
+ * @property {number} numCalls - Completion calls that reported usage
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} totalTokens
+ * @property {null|number} cost - Null when the model has no pricing
+ *
+ * @typedef {Object} UsageTotals
+ * @property {number} numResults
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} totalTokens
+ * @property {null|number} cost - Total of the priced results, null when none were priced
+ * @property {number} numUnpriced - Results that used tokens but couldn't be priced
+ *
+ * @typedef {Object} PromptGrpUsageTotals - Groups with the same name in different files are kept apart
+ * @property {string} promptFile
+ * @property {string} promptGrp
+ *
+ * @typedef {Object} UsageStats
+ * @property {UsageTotals} total
+ * @property {Object.<string, UsageTotals>} byModel - Results without a modelId are under "(none)"
+ * @property {(PromptGrpUsageTotals & UsageTotals)[]} byPromptGrp - In the order the groups were first run
+ *
+ * @typedef {Object} RunBudget
+ * @property {null|number} maxCost
+ * @property {null|number} maxTokens
+ * @property {number} cost
+ * @property {number} tokens
+ *
+ * @callback TagPredicate
+ * @param {string[]} tags
+ * @returns {boolean}
+ *
+ * @callback EstimateTokensFunc
+ * @param {Prompt[]} prompts
+ * @returns {number}
  *
  * @typedef {Object} QCResult
  * @property {string} testName
+ * @property {string} promptFile
  * @property {string} promptGrp
  * @property {Prompt[]} prompts
  * @property {number} numAssertions
@@ -51,22 +323,190 @@ export const Step = Object.freeze({
  * @property {StoredVars} storedVars
  * @property {ResultTimeStats} timeStats
  * @property {null|QError} error
+ * @property {null|string} dataset
+ * @property {null|SampleStats} sampleStats - Only set when there's more than 1 sample
+ * @property {QCResult[]} samples - Each sample's result when there's more than 1 sample
+ * @property {number} numRetries
+ * @property {QError[]} attemptErrors - The error from every failed completion attempt
+ * @property {boolean} replayed - True if the response came from a cassette instead of the completionFunc
+ * @property {TurnResult[]} turns - Each turn's score and times for conversations
+ * @property {ToolCallTrace[]} toolCalls - Every tool call run by the mock tools
+ * @property {null|string} modelId
+ * @property {null|string} modelKey - The key of the completionFunc it ran with in QCRunner#matrix
+ * @property {ResultUsage} usage - Tokens used by the completion calls, not counting replayed ones
+ * @property {string[]} tags
+ * @property {boolean} skipped - True if the test was never started, e.g. because it was filtered out or the run's budget was used up
+ * @property {null|string} skipReason
+ *
+ * @typedef {Object} SampleStats
+ * @property {number} numSamples
+ * @property {number} numPassed
+ * @property {number} k
+ * @property {PassCriteria} passCriteria
+ * @property {number[]} scores
+ * @property {number} mean
+ * @property {number} min
+ * @property {number} max
+ * @property {number} stdDev
+ * @property {number} passAtK
+ * @property {number} passHatK
  * 
+ * @typedef {Object} DatasetStats
+ * @property {number} numCases
+ * @property {number} numPassed
+ * @property {number} numFailed
+ * @property {number} numErrors
+ * @property {number} meanScore
+ * @property {number} passRate
+ *
+ * @typedef {Object} ModelStats
+ * @property {number} numResults
+ * @property {number} numPassed
+ * @property {number} numErrors
+ * @property {number} meanScore
+ * @property {number} passRate
+ * @property {number} meanMs - Mean total time of the results
+ * @property {null|number} cost - Total of the priced results, null when none were priced
+ *
+ * @typedef {Object} PromptGrpModelComparison
+ * @property {string} promptFile
+ * @property {string} promptGrp
+ * @property {Object.<string, ModelStats>} models - Keyed by modelKey
+ * @property {null|string} best - The modelKey that did best on the prompt group
+ *
+ * @typedef {Object} ModelComparison
+ * @property {string[]} modelKeys - In the order they were first run
+ * @property {PromptGrpModelComparison[]} promptGrps
+ * @property {Object.<string, ModelStats>} totals - Each model over every prompt group
+ * @property {Object.<string, number>} numBest - How many prompt groups each model did best on
+ *
+ * @typedef {"regressed"|"improved"|"unchanged"|"added"|"removed"|"skipped"} ComparisonStatus
+ *
+ * @typedef {Object} ResultComparison
+ * @property {string} testName
+ * @property {string} promptGrp
+ * @property {ComparisonStatus} status
+ * @property {null|number} baselineScore
+ * @property {null|number} currentScore
+ * @property {number} scoreDelta
+ * @property {null|boolean} baselinePassed
+ * @property {null|boolean} currentPassed
+ * @property {boolean} newlyFailing
+ * @property {boolean} newlyPassing
+ * @property {boolean} newError
+ * @property {null|number} baselineMs
+ * @property {null|number} currentMs
+ * @property {number} msDelta
+ *
+ * @typedef {Object} SummaryComparison
+ * @property {number} tolerance
+ * @property {ResultComparison[]} results
+ * @property {number} numRegressed
+ * @property {number} numImproved
+ * @property {number} numUnchanged
+ * @property {number} numAdded
+ * @property {number} numRemoved
+ * @property {number} numSkipped
+ * @property {number} numNewlyFailing
+ * @property {number} numNewlyPassing
+ * @property {number} numNewErrors
+ * @property {number} totalMsDelta
+ * @property {boolean} hasRegressions
+ *
+ * @typedef {Object} ComparisonOptions
+ * @property {number} [tolerance] - Score drops up to this much aren't regressions. Defaults to 0
+ *
+ * @typedef {Object} JUnitOptions
+ * @property {"promptFile"|"promptGrp"} [groupBy] - What each testsuite holds. Defaults to "promptFile"
+ *
  * @typedef {Object} QCSummary
  * @property {QCResult[]} qcResults
+ * @property {Object.<string, DatasetStats>} datasetStats
+ * @property {null|ModelComparison} modelComparison - Only set when there are QCResults from QCRunner#matrix
+ * @property {SnapshotStats} snapshotStats
+ * @property {UsageStats} usageStats
  * @property {SummaryTimeStats} timeStats
  *
- * @typedef {"StrictEqual"|"DeepStrictEqual"|"Includes"} AssertionType
+ * @typedef {Object} SnapshotStats
+ * @property {number} numAdded
+ * @property {number} numUpdated
+ * @property {number} numRemoved - Obsolete snapshots removed while updating snapshots
+ * @property {string[]} obsolete - Snapshots no test checked, as "file: testName | promptGrp | name"
+ *
+ * @typedef {Object} AssertOptions
+ * @property {string} [message] - Why the assertion matters, shown when it fails
+ * @property {number} [weight] - How much the assertion counts towards the score. Defaults to 1
+ * @property {boolean} [critical] - Fail the QCResult when this fails, whatever the score
+ *
+ * @typedef {Object} SnapshotOptions
+ * @property {boolean} [normalizeWhitespace] - Collapse runs of whitespace in strings and trim them
+ * @property {string[]} [ignoreFields] - Dotted paths of JSON fields to leave out. JSON strings are parsed first
+ * @property {string} [message]
+ * @property {number} [weight]
+ * @property {boolean} [critical]
+ *
+ * @typedef {Object} JudgeOptions
+ * @property {number} [threshold] - The lowest passing score, from 0 to 1. Defaults to 0.5
+ * @property {string} [message]
+ * @property {number} [weight]
+ * @property {boolean} [critical]
+ *
+ * @typedef {Object} JudgeVerdict
+ * @property {number} score - From 0 to 1
+ * @property {string} reasoning
+ *
+ * @typedef {Object} SimilarOptions
+ * @property {number} [threshold] - The lowest passing similarity, from -1 to 1. Defaults to 0.8
+ * @property {EmbedFunc} [embed] - Defaults to comparing character trigrams locally
+ * @property {string} [message]
+ * @property {number} [weight]
+ * @property {boolean} [critical]
+ *
+ * @typedef {Map<EmbedFunc, Map<string, Promise<number[]>>>} EmbeddingCache
+ *
+ * @typedef {import('./jsonSchema.js').JsonSchema} JsonSchema
+ *
+ * @typedef {"StrictEqual"|"DeepStrictEqual"|"Includes"|"Snapshot"|"Judge"|"Similar"|"Matches"|"ValidJSON"|"JsonSchema"|"ToolCalled"|"ToolNotCalled"} AssertionType
  * 
  * @typedef {Object} Assertion
  * @property {*} lval
  * @property {*} rval
  * @property {AssertionType} type
  * @property {boolean} result
+ * @property {number} weight
+ * @property {string} [message]
+ * @property {boolean} [critical]
+ * @property {string} [name] - The snapshot name for Snapshot assertions
+ * @property {string} [diff] - How a Snapshot assertion's value differs from its snapshot
+ * @property {number} [score] - The judge's score for Judge assertions
+ * @property {number} [threshold] - The lowest passing score or similarity for Judge and Similar assertions
+ * @property {string} [reasoning] - The judge's reasoning for Judge assertions
+ * @property {*} [judgeReply] - The judge's raw reply for Judge assertions
+ * @property {number} [similarity] - The cosine similarity for Similar assertions
+ * @property {string[]} [errors] - Why a ValidJSON or JsonSchema assertion failed
  *
  * @callback CompletionFunc
  * @param {Prompt[]} prompts
- * @returns {Promise<*>}
+ * @param {CompletionOptions} [options]
+ * @returns {Promise<*>|AsyncIterable<*>} - A response, or an async iterable of chunks to stream
+ *
+ * @callback EmbedFunc
+ * @param {string} text
+ * @returns {number[]|Promise<number[]>}
+ *
+ * @callback JudgeFunc
+ * @param {Prompt[]} prompts - The grading prompt built by assertJudge
+ * @returns {Promise<*>} - A string or a Prompt with string content
+ *
+ * @typedef {Object} CompletionOptions
+ * @property {AbortSignal} signal - Aborted when the call times out or the run is cancelled
+ * @property {number} attempt - Starts at 0 and goes up by 1 for each retry
+ * @property {function(Usage): void} reportUsage - Reports the tokens used, instead of returning them on the response
+ *
+ * @callback RetryableFunc
+ * @param {Error} error - What the completion threw, or a QTimeoutError
+ * @param {number} attempt - The attempt that failed
+ * @returns {boolean}
  *
  * @callback TestFuncSync
  * @param {QContext} q
@@ -89,6 +529,16 @@ export const Step = Object.freeze({
  * @typedef {Object.<string, StoredVal>} StoredVars
  */
 
+/** @type {PassCriteria[]} */
+const PASS_CRITERIA = ["mean", "min", "max", "passAtK", "passHatK"];
+
+/** @type {CassetteMode[]} */
+const CASSETTE_MODES = ["off", "record", "replay", "auto"];
+
+const DEFAULT_MAX_TURNS = 10;
+
+const DEFAULT_MAX_TOOL_ROUNDS = 10;
+
 /** @type {TestFunc} */
 export const COMPLETE_ONLY_TEST = (q, response) => {};
 
@@ -119,6 +569,34 @@ export class QError extends Error {
 	}
 }
 
+// A completion call that took longer than its timeoutMs
+export class QTimeoutError extends QError {
+	/**
+	 * Construct a QTimeoutError
+	 * @param {string} message
+	 * @param {string} step
+	 */
+	constructor(message, step) {
+		super(message, undefined, step);
+		/** @type {string} */
+		this.name = "QTimeoutError";
+	}
+}
+
+// A test that wasn't started because the run's budget was used up
+export class QBudgetError extends QError {
+	/**
+	 * Construct a QBudgetError
+	 * @param {string} message
+	 * @param {string} step
+	 */
+	constructor(message, step) {
+		super(message, undefined, step);
+		/** @type {string} */
+		this.name = "QBudgetError";
+	}
+}
+
 // This is an unexpected Error that happens during an Assertion
 export class AssertionError extends Error {
 	/**
@@ -139,18 +617,25 @@ export class AssertionError extends Error {
 	}
 }
 
-// TODO: Allow custom string with your assert if things fail
 export class QContext {
 	/**
 	 * Create a QContext object
 	 * @param {QConfig} qConfig
+	 * @param {SnapshotFile} [snapshotFile] - Where assertMatchesSnapshot keeps its snapshots
+	 * @param {boolean} [updateSnapshots]
+	 * @param {EmbeddingCache} [embeddingCache] - Shared by every QContext in a run
 	 */
-	constructor(qConfig) {
+	constructor(qConfig, snapshotFile=undefined, updateSnapshots=false, embeddingCache=new Map()) {
 		/** @type {QConfig} */
 		this.qConfig = qConfig;
 		this.numAssertions = 0;
 		this.numPassed = 0;
 		this.numFailed = 0;
+		// The score is the passed weight over the total weight
+		this.totalWeight = 0;
+		this.passedWeight = 0;
+		// A failed critical assertion fails the QCResult
+		this.criticalFailed = false;
 		// We start off passing basically, including letting the score be 1.0
 		this.score = 1.0;
 		
@@ -165,6 +650,70 @@ export class QContext {
 
 		/** @type {StoredVars} */
 		this.storedVars = {};
+
+		// Only set for QCDefs created from a cases file
+		/** @type {undefined|TestCase} */
+		this.testCase = qConfig.testCase;
+		/** @type {Object.<string, *>} */
+		this.expected = qConfig.testCase?.expected ?? {};
+
+		/** @type {undefined|SnapshotFile} */
+		this.snapshotFile = snapshotFile;
+		this.updateSnapshots = updateSnapshots;
+		// Used to name snapshots that aren't given a name
+		this.numSnapshots = 0;
+
+		// Time at least one of assertJudge's judge calls was in flight, kept out of testMs.
+		// Judges run in parallel only count once, so it's timed from when the first starts
+		this.judgeMs = 0;
+		this.numJudging = 0;
+		this.startJudging = 0;
+
+		/** @type {EmbeddingCache} */
+		this.embeddingCache = embeddingCache;
+
+		// The current turn of a conversation and the prompts sent for it
+		this.turn = 0;
+		/** @type {Prompt[]} */
+		this.history = [];
+		/** @type {undefined|UserTurn} */
+		this.nextUserTurn = undefined;
+		this.stopped = false;
+
+		// Every tool call the mock tools have run so far
+		/** @type {ToolCallTrace[]} */
+		this.toolCalls = [];
+
+		// The raw chunks of the response being tested, empty if it wasn't streamed
+		/** @type {*[]} */
+		this.chunks = [];
+	}
+
+	/**
+	 * Move on to a conversation's next turn.
+	 * @param {number} turn
+	 * @param {Prompt[]} history - The prompts sent for this turn
+	 */
+	startTurn(turn, history) {
+		this.turn = turn;
+		this.history = history;
+		this.nextUserTurn = undefined;
+	}
+
+	/**
+	 * Set the user message sent after this turn's response in a conversation,
+	 * instead of the next scripted user turn.
+	 * @param {UserTurn} userTurn
+	 */
+	reply(userTurn) {
+		this.nextUserTurn = userTurn;
+	}
+
+	/**
+	 * End a conversation after this turn.
+	 */
+	stop() {
+		this.stopped = true;
 	}
 
 	/**
@@ -186,22 +735,24 @@ export class QContext {
 	 * Assert Equals with automatic StrictEquals / DeepStrictEquals detection
 	 * @param {*} lval
 	 * @param {*} rval
+	 * @param {AssertOptions} [assertOptions]
 	 * @returns {boolean}
 	 */
-	assertEqual(lval, rval) {
+	assertEqual(lval, rval, assertOptions={}) {
 		if (typeof lval === "object" && typeof rval === "object") {
-			return this.assertDeepStrictEqual(lval, rval);
+			return this.assertDeepStrictEqual(lval, rval, assertOptions);
 		} else {
-			return this.assertStrictEqual(lval, rval);
+			return this.assertStrictEqual(lval, rval, assertOptions);
 		}
 	}
 
 	/**
 	 * @param {*} lval
 	 * @param {*} rval
+	 * @param {AssertOptions} [assertOptions]
 	 * @returns {boolean}
 	 */
-	assertStrictEqual(lval, rval) {
+	assertStrictEqual(lval, rval, assertOptions={}) {
 		let result = false;
 		try {
 			result = lval === rval;
@@ -216,16 +767,17 @@ export class QContext {
 		}
 
 		// ObjectEquals and Equals, but just use Equals for an easy life
-		this.logAssertion(lval, rval, "StrictEqual", result);
+		this.logAssertion(lval, rval, "StrictEqual", result, {}, assertOptions);
 		return result;
 	}
 
 	/**
 	 * @param {object} lval
 	 * @param {object} rval
+	 * @param {AssertOptions} [assertOptions]
 	 * @returns {boolean}
 	 */
-	assertDeepStrictEqual(lval, rval) {
+	assertDeepStrictEqual(lval, rval, assertOptions={}) {
 		let result = false;
 		try {
 			assert.deepStrictEqual(lval, rval);
@@ -243,16 +795,17 @@ export class QContext {
 		}
 
 		// ObjectEquals and Equals, but just use Equals for an easy life
-		this.logAssertion(lval, rval, "DeepStrictEqual", result);
+		this.logAssertion(lval, rval, "DeepStrictEqual", result, {}, assertOptions);
 		return result;
 	}
 
 	/**
 	 * @param {*} lval
 	 * @param {*} rval
+	 * @param {AssertOptions} [assertOptions]
 	 * @returns {boolean}
 	 */
-	assertIncludes(lval, rval) {
+	assertIncludes(lval, rval, assertOptions={}) {
 		let result = false;
 
 		try {
@@ -273,45 +826,361 @@ export class QContext {
 			}
 		}
 
-		this.logAssertion(lval, rval, "Includes", result);
+		this.logAssertion(lval, rval, "Includes", result, {}, assertOptions);
+		return result;
+	}
+
+	/**
+	 * Assert that a string matches a regular expression.
+	 * @param {*} str - A string, or a Prompt whose content is matched
+	 * @param {RegExp|string} regex
+	 * @param {AssertOptions} [assertOptions]
+	 * @returns {boolean}
+	 */
+	assertMatches(str, regex, assertOptions={}) {
+		const text = getReplyText(str);
+		if (text === undefined) {
+			throw new AssertionError("'str' must be a string");
+		}
+		let regExp;
+		try {
+			// Copy it so a global or sticky lastIndex doesn't carry over between calls
+			regExp = new RegExp(regex);
+		} catch(e) {
+			throw new AssertionError(e instanceof Error ? e.toString() : "Bad 'regex'", e instanceof Error ? e : undefined);
+		}
+
+		const result = regExp.test(text);
+		this.logAssertion(text, regExp.toString(), "Matches", result, {}, assertOptions);
+		return result;
+	}
+
+	/**
+	 * Assert that a string is valid JSON. JSON in a fenced code block is found and parsed,
+	 * so replies like "Here you go: ```json {...} ```" work.
+	 * @param {*} str - A string, or a Prompt whose content is parsed
+	 * @param {AssertOptions} [assertOptions]
+	 * @returns {*} - The parsed value, or undefined if it isn't valid JSON
+	 */
+	assertValidJSON(str, assertOptions={}) {
+		const text = getReplyText(str);
+		if (text === undefined) {
+			throw new AssertionError("'str' must be a string");
+		}
+
+		const parsed = parseJSONText(text);
+		this.logAssertion(text, undefined, "ValidJSON", parsed.error === undefined, {
+			errors: parsed.error === undefined ? undefined : [parsed.error]
+		}, assertOptions);
+		return parsed.value;
+	}
+
+	/**
+	 * Assert that a value matches a JSON Schema. Failures list every value and schema path that failed.
+	 * See jsonSchema.js for the supported draft-07 keywords.
+	 * @param {*} value
+	 * @param {JsonSchema} schema
+	 * @param {AssertOptions} [assertOptions]
+	 * @returns {boolean}
+	 */
+	assertJsonSchema(value, schema, assertOptions={}) {
+		let errors;
+		try {
+			errors = validateJsonSchema(value, schema);
+		} catch(e) {
+			throw new AssertionError(e instanceof Error ? e.toString() : "Bad 'schema'", e instanceof Error ? e : undefined);
+		}
+
+		const result = errors.length === 0;
+		this.logAssertion(value, schema, "JsonSchema", result, {
+			errors: result ? undefined : errors
+		}, assertOptions);
+		return result;
+	}
+
+	/**
+	 * Assert that a tool was called, optionally with matching arguments. An object matcher passes
+	 * when every field it has matches the arguments, so other arguments are ignored. RegExp fields
+	 * match strings. A function matcher is given the arguments and returns whether they match.
+	 * @param {*} response - A response with OpenAI or Anthropic style tool calls, or a ToolCall array like q.toolCalls
+	 * @param {string} name
+	 * @param {ArgsMatcher} [argsMatcher]
+	 * @param {AssertOptions} [assertOptions]
+	 * @returns {boolean}
+	 */
+	assertToolCalled(response, name, argsMatcher=undefined, assertOptions={}) {
+		const toolCalls = extractToolCalls(response);
+		let result = false;
+		try {
+			result = toolCalls.some((toolCall) => {
+				if (toolCall.name !== name) {
+					return false;
+				} else if (typeof argsMatcher === "function") {
+					return Boolean(argsMatcher(toolCall.args));
+				}
+				return argsMatcher === undefined || matchesPartial(toolCall.args, argsMatcher);
+			});
+		} catch(e) {
+			throw new AssertionError(e instanceof Error ? e.toString() : "'argsMatcher' failed", e instanceof Error ? e : undefined);
+		}
+
+		const rval = typeof argsMatcher === "object" ? { name, args: argsMatcher } : { name };
+		this.logAssertion(toolCalls.map(({ name, args }) => ({ name, args })), rval, "ToolCalled", result, {}, assertOptions);
+		return result;
+	}
+
+	/**
+	 * Assert that a tool wasn't called, or that no tools were called if there's no name.
+	 * @param {*} response - A response with OpenAI or Anthropic style tool calls, or a ToolCall array like q.toolCalls
+	 * @param {string} [name]
+	 * @param {AssertOptions} [assertOptions]
+	 * @returns {boolean}
+	 */
+	assertToolNotCalled(response, name=undefined, assertOptions={}) {
+		const toolCalls = extractToolCalls(response);
+		const result = !toolCalls.some((toolCall) => name === undefined || toolCall.name === name);
+		this.logAssertion(toolCalls.map(({ name, args }) => ({ name, args })), { name }, "ToolNotCalled", result, {}, assertOptions);
+		return result;
+	}
+
+	/**
+	 * Assert that a value matches its stored snapshot. The first time it's checked the
+	 * snapshot is written and the assertion passes. Snapshots are named in the order
+	 * they're checked unless a name is given.
+	 * It's async because the snapshot file is read the first time a snapshot in it is checked.
+	 * @param {*} value - Must be JSON serializable
+	 * @param {string} [name]
+	 * @param {SnapshotOptions} [snapshotOptions]
+	 * @returns {Promise<boolean>}
+	 */
+	async assertMatchesSnapshot(value, name=undefined, snapshotOptions={}) {
+		const snapshotFile = this.snapshotFile;
+		if (!snapshotFile) {
+			throw new AssertionError("Snapshots can only be checked in a QCRunner run");
+		}
+		// Numbered before waiting on the file, so the names follow the order of the calls
+		this.numSnapshots += 1;
+		const snapshotName = name ?? String(this.numSnapshots);
+
+		let normalized;
+		try {
+			normalized = normalizeSnapshot(value, snapshotOptions);
+		} catch(e) {
+			throw new AssertionError(e instanceof Error ? e.message : "Snapshot value must be JSON serializable", e instanceof Error ? e : undefined);
+		}
+
+		await snapshotFile.load();
+		if (snapshotFile.loadError) {
+			// A bad snapshot file shouldn't be written over
+			throw new AssertionError(snapshotFile.loadError.message, snapshotFile.loadError);
+		}
+
+		const testKey = makeSnapshotTestKey(this.qConfig);
+		const snapshot = snapshotFile.get(testKey, snapshotName);
+		let result = true;
+		let diff = undefined;
+		if (!snapshot) {
+			snapshotFile.set(testKey, snapshotName, normalized);
+			snapshotFile.numAdded += 1;
+		} else if (!isDeepStrictEqual(snapshot.value, normalized)) {
+			if (this.updateSnapshots) {
+				snapshotFile.set(testKey, snapshotName, normalized);
+				snapshotFile.numUpdated += 1;
+			} else {
+				result = false;
+				diff = diffLines(
+					JSON.stringify(snapshot.value, null, 2),
+					JSON.stringify(normalized, null, 2)
+				);
+			}
+		}
+
+		this.logAssertion(normalized, snapshot?.value, "Snapshot", result, { name: snapshotName, diff }, snapshotOptions);
+		return result;
+	}
+
+	/**
+	 * Assert that a judge model scores the response at or above the threshold on a rubric.
+	 * The judge is sent a grading prompt and should reply with a score from 0 to 1, or a PASS/FAIL verdict.
+	 * @param {*} response - A string, or a Prompt whose content is graded
+	 * @param {string} rubric - What a good response looks like
+	 * @param {JudgeFunc} judgeFunc
+	 * @param {JudgeOptions} [judgeOptions]
+	 * @returns {Promise<boolean>}
+	 */
+	async assertJudge(response, rubric, judgeFunc, judgeOptions={}) {
+		const { threshold=0.5 } = judgeOptions;
+		if (typeof threshold !== "number" || Number.isNaN(threshold) || threshold < 0 || threshold > 1) {
+			throw new AssertionError("'threshold' must be a number from 0 to 1");
+		}
+		const responseText = getReplyText(response) ?? JSON.stringify(response);
+
+		if (this.numJudging === 0) {
+			this.startJudging = performance.now();
+		}
+		this.numJudging += 1;
+		let judgeReply;
+		try {
+			judgeReply = await judgeFunc(makeJudgePrompts(responseText, rubric));
+		} catch(e) {
+			if (e instanceof Error) {
+				throw new AssertionError(`Judge call failed: ${e.toString()}`, e);
+			} else {
+				throw new AssertionError("Judge call failed", undefined);
+			}
+		} finally {
+			this.numJudging -= 1;
+			if (this.numJudging === 0) {
+				this.judgeMs += performance.now() - this.startJudging;
+			}
+		}
+
+		const verdict = parseJudgeReply(judgeReply);
+		if (!verdict) {
+			throw new AssertionError("Couldn't find a score or verdict in the judge's reply");
+		}
+
+		const result = verdict.score >= threshold;
+		this.logAssertion(responseText, rubric, "Judge", result, {
+			score: verdict.score,
+			threshold,
+			reasoning: verdict.reasoning,
+			judgeReply
+		}, judgeOptions);
+		return result;
+	}
+
+	/**
+	 * Assert that two texts mean about the same thing, using the cosine similarity of their embeddings.
+	 * Without an embed function the texts' character trigrams are compared, which catches rewording but not synonyms.
+	 * @param {*} actual - A string, or a Prompt whose content is compared
+	 * @param {string} expected
+	 * @param {SimilarOptions} [similarOptions]
+	 * @returns {Promise<boolean>}
+	 */
+	async assertSimilar(actual, expected, similarOptions={}) {
+		const { threshold=0.8, embed=undefined } = similarOptions;
+		if (typeof threshold !== "number" || Number.isNaN(threshold) || threshold < -1 || threshold > 1) {
+			throw new AssertionError("'threshold' must be a number from -1 to 1");
+		}
+		const actualText = getReplyText(actual);
+		if (actualText === undefined || typeof expected !== "string") {
+			throw new AssertionError("'actual' and 'expected' must be strings");
+		}
+
+		let similarity;
+		if (embed) {
+			let vectors;
+			try {
+				vectors = await Promise.all([this.getEmbedding(embed, actualText), this.getEmbedding(embed, expected)]);
+			} catch(e) {
+				if (e instanceof Error) {
+					throw new AssertionError(`Embedding failed: ${e.toString()}`, e);
+				} else {
+					throw new AssertionError("Embedding failed", undefined);
+				}
+			}
+			similarity = cosineSimilarity(vectors[0], vectors[1]);
+			if (Number.isNaN(similarity)) {
+				throw new AssertionError("'embed' must return non-empty vectors of numbers of the same length");
+			}
+		} else {
+			similarity = ngramSimilarity(actualText, expected);
+		}
+
+		const result = similarity >= threshold;
+		this.logAssertion(actualText, expected, "Similar", result, {
+			similarity: roundToNearest100th(similarity),
+			threshold
+		}, similarOptions);
 		return result;
 	}
 
+	/**
+	 * Get a text's embedding, only calling embed once per text and embed function in a run.
+	 * @param {EmbedFunc} embed
+	 * @param {string} text
+	 * @returns {Promise<number[]>}
+	 */
+	getEmbedding(embed, text) {
+		let cache = this.embeddingCache.get(embed);
+		if (!cache) {
+			cache = new Map();
+			this.embeddingCache.set(embed, cache);
+		}
+		let embedding = cache.get(text);
+		if (!embedding) {
+			embedding = Promise.resolve().then(() => embed(text));
+			// Don't cache failures so a later assertion can try again
+			embedding.catch(() => cache?.delete(text));
+			cache.set(text, embedding);
+		}
+		return embedding;
+	}
+
 	/**
 	 * @param {*} lval
 	 * @param {*} rval
 	 * @param {AssertionType} assertType
 	 * @param {boolean} result
+	 * @param {Partial<Assertion>} [details] - Extra info kept on the Assertion, undefined values are left out
+	 * @param {AssertOptions} [assertOptions]
 	 */
-	logAssertion(lval, rval, assertType, result) {
+	logAssertion(lval, rval, assertType, result, details={}, { message=undefined, weight=1, critical=false }={}) {
+		if (typeof weight !== "number" || !Number.isFinite(weight) || weight < 0) {
+			throw new AssertionError("'weight' must be a number >= 0");
+		}
+		if (message !== undefined && typeof message !== "string") {
+			throw new AssertionError("'message' must be a string");
+		}
+
 		const idx = this.numAssertions;
 		/** @type{Assertion} */
 		const assertion = {
 			lval: lval,
 			rval: rval,
 			type: assertType,
-			result: result
+			result: result,
+			weight: weight
 		};
+		if (message !== undefined) {
+			assertion.message = message;
+		}
+		if (critical) {
+			assertion.critical = true;
+		}
+		const definedDetails = { ...details };
+		for (let key of /** @type {(keyof Assertion)[]} */(Object.keys(definedDetails))) {
+			if (definedDetails[key] === undefined) {
+				delete definedDetails[key];
+			}
+		}
+		Object.assign(assertion, definedDetails);
 		this.assertions.push(assertion);
 		this.numAssertions += 1;
+		this.totalWeight += weight;
 		if (result) {
 			this.numPassed += 1;
+			this.passedWeight += weight;
 		} else {
 			this.numFailed += 1;
 			this.failedAssertions.push(assertion);
+			if (critical) {
+				this.criticalFailed = true;
+			}
 		}
 		this.calcScore();
 	}
 
 	/**
-	 * Calculate and save score based on current assertions. Doesn't round.
+	 * Calculate and save score based on the weights of the current assertions. Doesn't round.
 	 * @returns {number}
 	 */
 	calcScore() {
-		if (this.numAssertions === 0) {
+		if (this.totalWeight === 0) {
 			return 1.0;
 		}
-		this.score = this.numPassed / this.numAssertions;
+		this.score = this.passedWeight / this.totalWeight;
 		return this.score;
 	}
 
@@ -325,148 +1194,2381 @@ export class QContext {
 }
 
 /**
- * Check that we have a valid PromptMap.
- * Returns an error message if there's a problem.
- * @param {Object.<string, *>} possPromptMap
- * @returns {string|null}
+ * Get the text of a completion or judge reply, which is either a string or a Prompt with string content.
+ * @param {*} reply
+ * @returns {undefined|string}
  */
-export function checkValidPromptMap(possPromptMap) {
-	const promptGrps = Object.keys(possPromptMap);
-	if (promptGrps.length === 0) {
-		return "No prompt groups defined";
-	}
-	for (let promptGrp of promptGrps) {
-		/** @type {*} */
-		const prompts = possPromptMap[promptGrp];
-		if (!Array.isArray(prompts)) {
-			return `'${promptGrp}' missing array of prompts`;
-		}
+function getReplyText(reply) {
+	if (typeof reply === "string") {
+		return reply;
+	} else if (reply && typeof reply === "object" && typeof reply.content === "string") {
+		return reply.content;
 	}
-	return null;
+	return undefined;
 }
 
 /**
- * Read in a prompt file to a PromptMap. Assumes filepath exists.
+ * Build the grading prompt assertJudge sends to the judge.
+ * @param {string} responseText
+ * @param {string} rubric
+ * @returns {Prompt[]}
+ */
+export function makeJudgePrompts(responseText, rubric) {
+	return [
+		{
+			role: "system",
+			content: [
+				"You are grading a response against a rubric.",
+				"Explain your reasoning, then give a score from 0 to 1 where 1 fully meets the rubric.",
+				"Reply in exactly this format:",
+				"REASONING: <your reasoning>",
+				"SCORE: <a number from 0 to 1>"
+			].join("\n")
+		},
+		{
+			role: "user",
+			content: `<rubric>\n${rubric}\n</rubric>\n\n<response>\n${responseText}\n</response>`
+		}
+	];
+}
+
+/**
+ * Parse a score and reasoning out of a judge's reply. Understands JSON with a 'score' or 'verdict',
+ * 'SCORE: 0.8', 'SCORE: 4/5' and 'VERDICT: PASS|FAIL'. Returns null if there's no valid score.
+ * @param {*} reply - A string or a Prompt with string content
+ * @returns {null|JudgeVerdict}
+ */
+export function parseJudgeReply(reply) {
+	const text = getReplyText(reply);
+	if (text === undefined) {
+		return null;
+	}
+
+	const jsonMatch = text.match(/\{[\s\S]*\}/);
+	if (jsonMatch) {
+		try {
+			const data = JSON.parse(jsonMatch[0]);
+			const reasoning = typeof data.reasoning === "string" ? data.reasoning : "";
+			if (typeof data.score === "number") {
+				return data.score >= 0 && data.score <= 1 ? { score: data.score, reasoning } : null;
+			} else if (typeof data.verdict === "string" && /^(pass|fail)$/i.test(data.verdict)) {
+				return { score: /^pass$/i.test(data.verdict) ? 1 : 0, reasoning };
+			}
+		} catch(e) {
+			// Not JSON, so try the plain text formats
+		}
+	}
+
+	const reasoningMatch = text.match(/reasoning\s*:\s*([\s\S]*?)\s*(?=^\s*(?:score|verdict)\s*:|$(?![\s\S]))/im);
+	const reasoning = reasoningMatch ? reasoningMatch[1] : "";
+
+	const scoreMatch = text.match(/score\s*:\s*(\d+(?:\.\d+)?)(?:\s*\/\s*(\d+(?:\.\d+)?))?/i);
+	if (scoreMatch) {
+		const outOf = scoreMatch[2] !== undefined ? Number(scoreMatch[2]) : 1;
+		const score = Number(scoreMatch[1]) / outOf;
+		return outOf > 0 && score >= 0 && score <= 1 ? { score, reasoning } : null;
+	}
+
+	const verdictMatch = text.match(/verdict\s*:\s*(pass|fail)/i);
+	if (verdictMatch) {
+		return { score: verdictMatch[1].toLowerCase() === "pass" ? 1 : 0, reasoning };
+	}
+	return null;
+}
+
+/**
+ * Get the tool calls from an OpenAI style message (tool_calls or function_call), an Anthropic
+ * style message (tool_use content blocks), a provider adapter's response (toolCalls) or an array of ToolCalls.
+ * @param {*} response
+ * @returns {ToolCall[]}
+ */
+export function extractToolCalls(response) {
+	if (Array.isArray(response)) {
+		return response.filter((toolCall) => toolCall && typeof toolCall.name === "string");
+	}
+	if (!response || typeof response !== "object") {
+		return [];
+	}
+
+	/** @type {ToolCall[]} */
+	const toolCalls = [];
+	/**
+	 * @param {*} args
+	 * @returns {*}
+	 */
+	const parseArgs = (args) => {
+		if (typeof args !== "string") {
+			return args ?? {};
+		}
+		try {
+			return JSON.parse(args);
+		} catch(e) {
+			return args;
+		}
+	};
+	if (Array.isArray(response.toolCalls)) {
+		toolCalls.push(...extractToolCalls(response.toolCalls));
+	} else if (Array.isArray(response.tool_calls)) {
+		response.tool_calls.forEach((/** @type {*} */ toolCall, /** @type {number} */ i) => {
+			if (toolCall?.function && typeof toolCall.function.name === "string") {
+				toolCalls.push({
+					id: toolCall.id ?? `call_${i}`,
+					name: toolCall.function.name,
+					args: parseArgs(toolCall.function.arguments)
+				});
+			}
+		});
+	} else if (response.function_call && typeof response.function_call.name === "string") {
+		toolCalls.push({
+			id: response.function_call.name,
+			name: response.function_call.name,
+			args: parseArgs(response.function_call.arguments)
+		});
+	}
+	if (Array.isArray(response.content)) {
+		response.content.forEach((/** @type {*} */ block, /** @type {number} */ i) => {
+			if (block?.type === "tool_use" && typeof block.name === "string") {
+				toolCalls.push({ id: block.id ?? `toolu_${i}`, name: block.name, args: block.input ?? {} });
+			}
+		});
+	}
+	return toolCalls;
+}
+
+/**
+ * Check that every field in expected matches actual. Nested objects are matched the same way,
+ * RegExps match strings and everything else has to be deep strictly equal.
+ * @param {*} actual
+ * @param {*} expected
+ * @returns {boolean}
+ */
+export function matchesPartial(actual, expected) {
+	if (expected instanceof RegExp) {
+		return typeof actual === "string" && new RegExp(expected).test(actual);
+	} else if (expected && typeof expected === "object" && !Array.isArray(expected)) {
+		return Boolean(actual) && typeof actual === "object" && !Array.isArray(actual)
+			&& Object.keys(expected).every((key) => matchesPartial(actual[key], expected[key]));
+	}
+	return isDeepStrictEqual(actual, expected);
+}
+
+/**
+ * Make the prompts that give tool results back to the model, in the same style as the response that called them.
+ * @param {*} response
+ * @param {{ toolCall: ToolCall, result: * }[]} results
+ * @returns {Prompt[]}
+ */
+function makeToolResultPrompts(response, results) {
+	/**
+	 * @param {*} result
+	 * @returns {string}
+	 */
+	const toText = (result) => typeof result === "string" ? result : JSON.stringify(result) ?? "";
+	if (Array.isArray(response.content)) {
+		return [{
+			role: "user",
+			content: results.map(({ toolCall, result }) => ({
+				type: "tool_result",
+				tool_use_id: toolCall.id,
+				content: toText(result)
+			}))
+		}];
+	} else if (response.function_call) {
+		return results.map(({ toolCall, result }) => ({ role: "function", name: toolCall.name, content: toText(result) }));
+	}
+	return results.map(({ toolCall, result }) => ({ role: "tool", tool_call_id: toolCall.id, content: toText(result) }));
+}
+
+/**
+ * Parse JSON that might be wrapped in a fenced code block or surrounded by other text.
+ * Tries the whole text, then each fenced code block, then the outermost braces or brackets.
+ * @param {string} text
+ * @returns {{ value: *, error?: string }}
+ */
+export function parseJSONText(text) {
+	const candidates = [text];
+	for (let match of text.matchAll(/```[\w-]*[^\S\n]*\n?([\s\S]*?)```/g)) {
+		candidates.push(match[1]);
+	}
+	const objectMatch = text.match(/\{[\s\S]*\}/);
+	if (objectMatch) {
+		candidates.push(objectMatch[0]);
+	}
+	const arrayMatch = text.match(/\[[\s\S]*\]/);
+	if (arrayMatch) {
+		candidates.push(arrayMatch[0]);
+	}
+
+	let error = "Empty string";
+	for (let candidate of candidates) {
+		try {
+			return { value: JSON.parse(candidate) };
+		} catch(e) {
+			// Keep the error for the whole text, it's the most useful one
+			if (candidate === text) {
+				error = e instanceof Error ? e.message : "Invalid JSON";
+			}
+		}
+	}
+	return { value: undefined, error };
+}
+
+/**
+ * Calculate the cosine similarity of two vectors.
+ * Returns NaN if they aren't arrays of numbers of the same non-zero length, and 0 if either is all zeros.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export function cosineSimilarity(a, b) {
+	if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) {
+		return NaN;
+	}
+	let dot = 0;
+	let normA = 0;
+	let normB = 0;
+	for (let i = 0; i < a.length; i++) {
+		if (typeof a[i] !== "number" || typeof b[i] !== "number") {
+			return NaN;
+		}
+		dot += a[i] * b[i];
+		normA += a[i] * a[i];
+		normB += b[i] * b[i];
+	}
+	if (normA === 0 || normB === 0) {
+		return 0;
+	}
+	return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Count the character n-grams of a text, ignoring case, punctuation and extra whitespace.
+ * @param {string} text
+ * @param {number} n
+ * @returns {Map<string, number>}
+ */
+function countNgrams(text, n) {
+	const normalized = ` ${text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim()} `;
+	/** @type {Map<string, number>} */
+	const counts = new Map();
+	for (let i = 0; i + n <= normalized.length; i++) {
+		const ngram = normalized.slice(i, i + n);
+		counts.set(ngram, (counts.get(ngram) ?? 0) + 1);
+	}
+	return counts;
+}
+
+/**
+ * The cosine similarity of two texts' character n-gram counts. Needs no embedding service.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [n]
+ * @returns {number}
+ */
+export function ngramSimilarity(a, b, n=3) {
+	const countsA = countNgrams(a, n);
+	const countsB = countNgrams(b, n);
+	let dot = 0;
+	for (let [ngram, count] of countsA) {
+		dot += count * (countsB.get(ngram) ?? 0);
+	}
+	let normA = 0;
+	for (let count of countsA.values()) {
+		normA += count * count;
+	}
+	let normB = 0;
+	for (let count of countsB.values()) {
+		normB += count * count;
+	}
+	if (normA === 0 || normB === 0) {
+		return 0;
+	}
+	return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Make the key a QConfig's snapshots are kept under.
+ * @param {QConfig} qConfig
+ * @returns {string}
+ */
+export function makeSnapshotTestKey(qConfig) {
+	return `${qConfig.testName} | ${qConfig.promptGrp}`;
+}
+
+/**
+ * Get the default snapshot file for a prompt file, e.g. 'a.prompt.json' -> 'a.prompt.snap.json'.
+ * @param {string} promptFile
+ * @returns {string}
+ */
+export function defaultSnapshotFile(promptFile) {
+	return `${promptFile.replace(/\.[^./\\]+$/, "")}.snap.json`;
+}
+
+/**
+ * Prepare a value to be compared with or stored as a snapshot.
+ * Throws if the value isn't JSON serializable.
+ * @param {*} value
+ * @param {SnapshotOptions} snapshotOptions
+ * @returns {*}
+ * @throws {Error}
+ */
+export function normalizeSnapshot(value, { normalizeWhitespace=false, ignoreFields=[] }={}) {
+	const json = JSON.stringify(value);
+	if (json === undefined) {
+		throw new Error("Snapshot value must be JSON serializable");
+	}
+	/** @type {*} */
+	let normalized = JSON.parse(json);
+
+	if (ignoreFields.length > 0) {
+		if (typeof normalized === "string") {
+			try {
+				normalized = JSON.parse(normalized);
+			} catch(e) {
+				// Not JSON, so there are no fields to ignore
+			}
+		}
+		for (let field of ignoreFields) {
+			deletePath(normalized, field.split("."));
+		}
+	}
+
+	if (normalizeWhitespace) {
+		normalized = JSON.parse(JSON.stringify(normalized, (key, val) => {
+			return typeof val === "string" ? val.replace(/\s+/g, " ").trim() : val;
+		}));
+	}
+	return normalized;
+}
+
+/**
+ * Delete a dotted path from an object, going into every element of arrays along the way.
+ * @param {*} value
+ * @param {string[]} path
+ */
+function deletePath(value, path) {
+	if (!value || typeof value !== "object" || path.length === 0) {
+		return;
+	}
+	if (Array.isArray(value)) {
+		for (let item of value) {
+			deletePath(item, path);
+		}
+	} else if (path.length === 1) {
+		delete value[path[0]];
+	} else {
+		deletePath(value[path[0]], path.slice(1));
+	}
+}
+
+/**
+ * Diff two texts line by line. Lines only in the expected text start with '- ',
+ * lines only in the actual text start with '+ ' and shared lines with '  '.
+ * @param {string} expected
+ * @param {string} actual
+ * @returns {string}
+ */
+export function diffLines(expected, actual) {
+	const a = expected.split("\n");
+	const b = actual.split("\n");
+	// Longest common subsequence lengths of the suffixes
+	/** @type {number[][]} */
+	const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+	for (let i = a.length - 1; i >= 0; i--) {
+		for (let j = b.length - 1; j >= 0; j--) {
+			lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+		}
+	}
+
+	/** @type {string[]} */
+	const lines = [];
+	let i = 0;
+	let j = 0;
+	while (i < a.length || j < b.length) {
+		if (i < a.length && j < b.length && a[i] === b[j]) {
+			lines.push(`  ${a[i]}`);
+			i++;
+			j++;
+		} else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+			lines.push(`- ${a[i]}`);
+			i++;
+		} else {
+			lines.push(`+ ${b[j]}`);
+			j++;
+		}
+	}
+	return lines.join("\n");
+}
+
+/**
+ * Read a JSON file that might not exist yet, like a snapshot or cassette file.
+ * @param {string} filepath
+ * @param {string} kind - What the file is, for the error message
+ * @param {string} key - The object property the file has to have
+ * @returns {Promise<undefined|Object.<string, *>>} - Undefined if the file doesn't exist
+ * @throws {Error} - If the file can't be read or isn't the right shape
+ */
+async function readOptionalJSONFile(filepath, kind, key) {
+	let json;
+	try {
+		json = await readFile(filepath, {
+			encoding: "utf8"
+		});
+	} catch(e) {
+		if (e instanceof Error && /** @type {NodeJS.ErrnoException} */(e).code === "ENOENT") {
+			return undefined;
+		}
+		throw e;
+	}
+
+	try {
+		const data = JSON.parse(json);
+		if (!data || typeof data[key] !== "object") {
+			throw new Error(`missing '${key}'`);
+		}
+		return data;
+	} catch(e) {
+		const reason = e instanceof Error ? e.message : "Error parsing json";
+		throw new Error(`${filepath}: Bad ${kind} file: ${reason}`);
+	}
+}
+
+/**
+ * Snapshots for assertMatchesSnapshot kept in a JSON file,
+ * keyed by testName and promptGrp and then by snapshot name.
+ */
+export class SnapshotFile {
+	/**
+	 * Create a SnapshotFile. It's loaded the first time it's used, or by calling load.
+	 * @param {string} filepath
+	 */
+	constructor(filepath) {
+		this.filepath = filepath;
+		/** @type {Object.<string, Object.<string, *>>} */
+		this.snapshots = {};
+		this.dirty = false;
+		// Set once the file starts loading
+		/** @type {undefined|Promise<void>} */
+		this.loading = undefined;
+		/** @type {null|Error} */
+		this.loadError = null;
+		this.numAdded = 0;
+		this.numUpdated = 0;
+
+		// "testKey\nname" of each snapshot that was checked
+		/** @type {Set<string>} */
+		this.checked = new Set();
+		// Tests whose testFunc finished, so any of their snapshots left unchecked are obsolete
+		/** @type {Set<string>} */
+		this.finishedTests = new Set();
+	}
+
+	/**
+	 * Read in the snapshot file, unless it already has been. A file that doesn't exist yet has no snapshots.
+	 * If the file can't be read, loadError is set instead of throwing
+	 * so that a bad file doesn't get written over.
+	 * @returns {Promise<void>}
+	 */
+	load() {
+		if (!this.loading) {
+			this.loading = readOptionalJSONFile(this.filepath, "snapshot", "snapshots").then((data) => {
+				this.snapshots = data?.snapshots ?? {};
+			}, (e) => {
+				this.loadError = e instanceof Error ? e : new Error(`${this.filepath}: Problem reading file`);
+			});
+		}
+		return this.loading;
+	}
+
+	/**
+	 * Get a snapshot and mark it as checked.
+	 * @param {string} testKey
+	 * @param {string} name
+	 * @returns {undefined|{ value: * }}
+	 */
+	get(testKey, name) {
+		this.checked.add(`${testKey}\n${name}`);
+		const testSnapshots = this.snapshots[testKey];
+		if (!testSnapshots || !Object.prototype.hasOwnProperty.call(testSnapshots, name)) {
+			return undefined;
+		}
+		return { value: testSnapshots[name] };
+	}
+
+	/**
+	 * @param {string} testKey
+	 * @param {string} name
+	 * @param {*} value
+	 */
+	set(testKey, name, value) {
+		this.checked.add(`${testKey}\n${name}`);
+		this.snapshots[testKey] = this.snapshots[testKey] ?? {};
+		this.snapshots[testKey][name] = value;
+		this.dirty = true;
+	}
+
+	/**
+	 * Find the snapshots that weren't checked, either because their test no longer checks them
+	 * or because their test no longer exists.
+	 * @param {Set<string>} registeredTests - Keys of every QCDef in the runner, even ones that didn't run
+	 * @returns {{ testKey: string, name: string }[]}
+	 */
+	findObsolete(registeredTests) {
+		/** @type {{ testKey: string, name: string }[]} */
+		const obsolete = [];
+		for (let [testKey, testSnapshots] of Object.entries(this.snapshots)) {
+			if (registeredTests.has(testKey) && !this.finishedTests.has(testKey)) {
+				continue;
+			}
+			for (let name of Object.keys(testSnapshots)) {
+				if (!this.checked.has(`${testKey}\n${name}`)) {
+					obsolete.push({ testKey, name });
+				}
+			}
+		}
+		return obsolete;
+	}
+
+	/**
+	 * Remove a snapshot.
+	 * @param {string} testKey
+	 * @param {string} name
+	 */
+	remove(testKey, name) {
+		delete this.snapshots[testKey]?.[name];
+		if (this.snapshots[testKey] && Object.keys(this.snapshots[testKey]).length === 0) {
+			delete this.snapshots[testKey];
+		}
+		this.dirty = true;
+	}
+
+	/**
+	 * Write the snapshot file if anything changed, with sorted keys for stable diffs.
+	 */
+	async save() {
+		if (!this.dirty) {
+			return;
+		}
+		/** @type {Object.<string, Object.<string, *>>} */
+		const snapshots = {};
+		for (let testKey of Object.keys(this.snapshots).sort()) {
+			/** @type {Object.<string, *>} */
+			const testSnapshots = {};
+			for (let name of Object.keys(this.snapshots[testKey]).sort()) {
+				testSnapshots[name] = this.snapshots[testKey][name];
+			}
+			snapshots[testKey] = testSnapshots;
+		}
+		const outJSON = JSON.stringify({ version: 1, snapshots }, null, 2) + "\n";
+		await writeFile(this.filepath, outJSON, {
+			encoding: "utf8"
+		});
+		this.dirty = false;
+	}
+}
+
+/**
+ * Check that we have a valid PromptMap.
+ * Returns an error message if there's a problem.
+ * @param {Object.<string, *>} possPromptMap
+ * @returns {string|null}
+ */
+export function checkValidPromptMap(possPromptMap) {
+	const promptGrps = Object.keys(possPromptMap);
+	if (promptGrps.length === 0) {
+		return "No prompt groups defined";
+	}
+	for (let promptGrp of promptGrps) {
+		/** @type {*} */
+		const prompts = possPromptMap[promptGrp];
+		if (!Array.isArray(prompts)) {
+			return `'${promptGrp}' missing array of prompts`;
+		}
+	}
+	return null;
+}
+
+// Matches {{name}} and {{ name }}
+const TEMPLATE_VAR_REGEX = /\{\{\s*([A-Za-z_$][\w$]*)\s*\}\}/g;
+
+/**
+ * Apply a function to every templatable string in a prompt.
+ * That's a string prompt, a string 'content', or the 'text' of content parts.
+ * @param {Prompt} prompt
+ * @param {function(string): string} func
+ * @returns {Prompt}
+ */
+function mapPromptText(prompt, func) {
+	if (typeof prompt === "string") {
+		return func(prompt);
+	}
+	if (!prompt || typeof prompt !== "object") {
+		return prompt;
+	}
+
+	/** @type {*} */
+	const content = /** @type {*} */(prompt).content;
+	if (typeof content === "string") {
+		return { ...prompt, content: func(content) };
+	} else if (Array.isArray(content)) {
+		return {
+			...prompt,
+			content: content.map((part) => {
+				if (part && typeof part === "object" && typeof part.text === "string") {
+					return { ...part, text: func(part.text) };
+				}
+				return part;
+			})
+		};
+	}
+	return prompt;
+}
+
+/**
+ * Fill in the {{placeholders}} in a list of prompts. Doesn't modify the given prompts.
+ * Throws a QError if a placeholder has no value or a var is never used,
+ * so that a literal {{placeholder}} is never sent to a model.
+ * @param {Prompt[]} prompts
+ * @param {TemplateVars} [vars]
+ * @returns {Prompt[]}
+ * @throws {QError}
+ */
+export function renderPrompts(prompts, vars={}) {
+	/** @type {Set<string>} */
+	const missing = new Set();
+	/** @type {Set<string>} */
+	const used = new Set();
+
+	const rendered = prompts.map((prompt) => mapPromptText(prompt, (text) => {
+		return text.replace(TEMPLATE_VAR_REGEX, (match, name) => {
+			if (!Object.prototype.hasOwnProperty.call(vars, name)) {
+				missing.add(name);
+				return match;
+			}
+			used.add(name);
+			const value = vars[name];
+			return typeof value === "object" ? JSON.stringify(value) : String(value);
+		});
+	}));
+
+	if (missing.size > 0) {
+		const names = [...missing].map((name) => `'${name}'`).join(", ");
+		throw new QError(`Missing template vars: ${names}`, undefined, Step.ParseConfig);
+	}
+
+	const unused = Object.keys(vars).filter((name) => !used.has(name));
+	if (unused.length > 0) {
+		const names = unused.map((name) => `'${name}'`).join(", ");
+		throw new QError(`Unused template vars: ${names}`, undefined, Step.ParseConfig);
+	}
+	return rendered;
+}
+
+/**
+ * Read and parse a prompt file, without checking that it's a PromptMap.
+ * @param {string} filepath
+ * @returns {Promise<Object.<string, *>>}
+ * @throws {Error}
+ */
+async function parsePromptFile(filepath) {
+	const text = await readFile(filepath, {
+		encoding: "utf8"
+	});
+
+	if (!text.trim()) {
+		throw new Error(`${filepath}: File is empty`);
+	}
+
+	const format = getPromptFileFormat(filepath);
+	/** @type {*} */
+	let data;
+	try {
+		// Editors on Windows can add a byte order mark
+		data = parsePromptText(text.replace(/^\uFEFF/, ""), format);
+	} catch(e) {
+		throw new Error(`${filepath}: ${e instanceof Error ? e.message : `Error parsing ${format}`}`);
+	}
+
+	if (!data || typeof data !== "object" || Array.isArray(data)) {
+		throw new Error(`${filepath}: Error parsing ${format}, expected prompt groups`);
+	}
+	return data;
+}
+
+/**
+ * Add the fragments or groups of an imported file to the ones seen so far.
+ * The same name can only be imported twice if both come from the same file.
+ * @param {Map<string, ComposedPrompts>} imported
+ * @param {Map<string, ComposedPrompts>} adding
+ * @param {string} kind
+ * @param {string} filepath - The importing file
+ * @throws {Error}
+ */
+function mergeImported(imported, adding, kind, filepath) {
+	for (let [name, composed] of adding) {
+		const existing = imported.get(name);
+		if (existing && existing.origin !== composed.origin) {
+			throw new Error(`${filepath}: ${kind} '${name}' is imported from both ${existing.origin} and ${composed.origin}`);
+		}
+		imported.set(name, composed);
+	}
+}
+
+/**
+ * Load a prompt file and resolve its composition:
+ * - '$import' lists files, relative to this one, whose fragments and prompt groups can be used here
+ * - '$fragments' names a Prompt or Prompt[] that messages can include with { "$ref": "name" }
+ * - A prompt group can be a PromptGrpDef that extends another group and adds prompts to it
+ * Fragments and groups defined in the file are used over imported ones with the same name.
+ * @param {string} filepath
+ * @param {string[]} importStack - Resolved paths of the files importing this one, ending with this one
+ * @returns {Promise<PromptSource>}
+ * @throws {Error}
+ */
+async function loadPromptSource(filepath, importStack) {
+	const data = await parsePromptFile(filepath);
+
+	/** @type {*} */
+	const imports = data.$import ?? [];
+	const importPaths = typeof imports === "string" ? [imports] : imports;
+	if (!Array.isArray(importPaths) || !importPaths.every((importPath) => typeof importPath === "string")) {
+		throw new Error(`${filepath}: '$import' must be a file path or an array of them`);
+	}
+	/** @type {Map<string, ComposedPrompts>} */
+	const importedFragments = new Map();
+	/** @type {Map<string, ComposedPrompts>} */
+	const importedGroups = new Map();
+	for (let importPath of importPaths) {
+		const resolvedPath = resolve(dirname(filepath), importPath);
+		if (importStack.includes(resolvedPath)) {
+			throw new Error(`${filepath}: Import cycle ${[...importStack, resolvedPath].join(" -> ")}`);
+		}
+		/** @type {PromptSource} */
+		let source;
+		try {
+			source = await loadPromptSource(resolvedPath, [...importStack, resolvedPath]);
+		} catch(e) {
+			const code = /** @type {*} */(e)?.code;
+			if (code === "ENOENT") {
+				throw new Error(`${filepath}: Imported file '${importPath}' doesn't exist`);
+			}
+			throw e;
+		}
+		mergeImported(importedFragments, source.fragments, "Fragment", filepath);
+		mergeImported(importedGroups, source.groups, "Prompt group", filepath);
+	}
+
+	/** @type {*} */
+	const fragmentDefs = data.$fragments ?? {};
+	if (!fragmentDefs || typeof fragmentDefs !== "object" || Array.isArray(fragmentDefs)) {
+		throw new Error(`${filepath}: '$fragments' must be an object of named prompts`);
+	}
+	/** @type {Object.<string, *>} */
+	const groupDefs = {};
+	for (let [name, groupDef] of Object.entries(data)) {
+		if (name === "$import" || name === "$fragments") {
+			continue;
+		} else if (name.startsWith("$")) {
+			throw new Error(`${filepath}: Unknown key '${name}', only '$import' and '$fragments' are allowed`);
+		}
+		groupDefs[name] = groupDef;
+	}
+
+	/** @type {Map<string, ComposedPrompts>} */
+	const fragments = new Map(importedFragments);
+	/** @type {Map<string, ComposedPrompts>} */
+	const groups = new Map(importedGroups);
+
+	/**
+	 * Replace the { "$ref": "name" } messages with their fragment's prompts
+	 * @param {*[]} messages
+	 * @param {string[]} refStack - Fragments being resolved, to catch cycles
+	 * @param {string} where - Names the group or fragment in errors
+	 * @returns {Prompt[]}
+	 */
+	const resolveMessages = (messages, refStack, where) => messages.flatMap((message) => {
+		if (!message || typeof message !== "object" || !Object.prototype.hasOwnProperty.call(message, "$ref")) {
+			return [message];
+		}
+		const ref = message.$ref;
+		if (typeof ref !== "string" || Object.keys(message).length !== 1) {
+			throw new Error(`${filepath}: ${where}: A '$ref' message must be just { "$ref": "fragment name" }`);
+		}
+		if (refStack.includes(ref)) {
+			throw new Error(`${filepath}: ${where}: $ref cycle ${[...refStack, ref].join(" -> ")}`);
+		}
+		const fragment = resolveFragment(ref, refStack);
+		if (!fragment) {
+			throw new Error(`${filepath}: ${where}: $ref '${ref}' doesn't exist`);
+		}
+		return fragment.prompts;
+	});
+
+	/** @type {Set<string>} */
+	const resolvedFragments = new Set();
+	/**
+	 * @param {string} name
+	 * @param {string[]} refStack
+	 * @returns {undefined|ComposedPrompts}
+	 */
+	const resolveFragment = (name, refStack) => {
+		if (!Object.prototype.hasOwnProperty.call(fragmentDefs, name) || resolvedFragments.has(name)) {
+			return fragments.get(name);
+		}
+		const fragmentDef = fragmentDefs[name];
+		const messages = Array.isArray(fragmentDef) ? fragmentDef : [fragmentDef];
+		const prompts = resolveMessages(messages, [...refStack, name], `Fragment '${name}'`);
+		const composed = { prompts, origin: filepath };
+		fragments.set(name, composed);
+		resolvedFragments.add(name);
+		return composed;
+	};
+
+	/** @type {Set<string>} */
+	const resolvedGroups = new Set();
+	/**
+	 * @param {string} name
+	 * @param {string[]} groupStack - Groups being resolved, to catch cycles
+	 * @returns {undefined|ComposedPrompts}
+	 */
+	const resolveGroup = (name, groupStack) => {
+		if (!Object.prototype.hasOwnProperty.call(groupDefs, name) || resolvedGroups.has(name)) {
+			return groups.get(name);
+		}
+		const groupDef = groupDefs[name];
+		/** @type {Prompt[]} */
+		let prompts;
+		if (Array.isArray(groupDef)) {
+			prompts = resolveMessages(groupDef, [], `Prompt group '${name}'`);
+		} else if (groupDef && typeof groupDef === "object") {
+			const unknownKeys = Object.keys(groupDef).filter((key) => key !== "extends" && key !== "prompts");
+			if (unknownKeys.length > 0) {
+				throw new Error(`${filepath}: Prompt group '${name}': Unknown key '${unknownKeys[0]}', only 'extends' and 'prompts' are allowed`);
+			}
+			const ownPrompts = groupDef.prompts ?? [];
+			if (!Array.isArray(ownPrompts)) {
+				throw new Error(`${filepath}: Prompt group '${name}': 'prompts' must be an array`);
+			}
+			/** @type {Prompt[]} */
+			let basePrompts = [];
+			if (groupDef.extends !== undefined) {
+				const baseName = groupDef.extends;
+				if (typeof baseName !== "string") {
+					throw new Error(`${filepath}: Prompt group '${name}': 'extends' must be a prompt group name`);
+				}
+				if ([...groupStack, name].includes(baseName)) {
+					throw new Error(`${filepath}: Prompt group '${name}': extends cycle ${[...groupStack, name, baseName].join(" -> ")}`);
+				}
+				const base = resolveGroup(baseName, [...groupStack, name]);
+				if (!base) {
+					throw new Error(`${filepath}: Prompt group '${name}': extends '${baseName}', which doesn't exist`);
+				}
+				basePrompts = base.prompts;
+			}
+			prompts = [...basePrompts, ...resolveMessages(ownPrompts, [], `Prompt group '${name}'`)];
+		} else {
+			throw new Error(`${filepath}: '${name}' missing array of prompts`);
+		}
+		const composed = { prompts, origin: filepath };
+		groups.set(name, composed);
+		resolvedGroups.add(name);
+		return composed;
+	};
+
+	for (let name of Object.keys(fragmentDefs)) {
+		resolveFragment(name, []);
+	}
+	for (let name of Object.keys(groupDefs)) {
+		resolveGroup(name, []);
+	}
+	return { fragments, groups, ownGroups: Object.keys(groupDefs) };
+}
+
+/**
+ * Read in a prompt file to a PromptMap. Assumes filepath exists.
+ * The file is read as UTF-8 and parsed as JSON, YAML, JSONL or Markdown by its extension.
+ * Imports, fragment $refs and groups that extend other groups are resolved, see loadPromptSource.
  * @param {string} filepath
  * @returns {Promise<PromptMap>}
  * @throws {Error}
  */
-export async function readPromptFile(filepath) {
-	const json = await readFile(filepath, {
-		encoding: "ascii"
+export async function readPromptFile(filepath) {
+	const source = await loadPromptSource(filepath, [resolve(filepath)]);
+
+	/** @type {PromptMap} */
+	const promptMap = {};
+	for (let promptGrp of source.ownGroups) {
+		promptMap[promptGrp] = source.groups.get(promptGrp)?.prompts ?? [];
+	}
+
+	// Let's check that it's actually a PromptMap
+	const errorMsg = checkValidPromptMap(promptMap);
+	if (errorMsg) {
+		throw new Error(`${filepath}: ${errorMsg}`);
+	}
+	return promptMap;
+}
+
+/**
+ * Lint a prompt file, see LINT_RULES for what's checked.
+ * Unless the file has syntax errors or invalid groups, its imports, $refs and extends
+ * are also resolved, and any problem with them is reported under the 'composition' rule.
+ * @param {string} filepath
+ * @param {LintOptions} [lintOptions]
+ * @returns {Promise<LintResult>}
+ * @throws {Error} - If the file can't be read or lintOptions are bad
+ */
+export async function lintPromptFile(filepath, lintOptions={}) {
+	const severities = getLintSeverities(lintOptions.rules);
+	const text = await readFile(filepath, {
+		encoding: "utf8"
+	});
+	// Files with these problems can't be resolved, so look for them even if their rules are off
+	const blockingRules = ["invalid-group", "duplicate-group"];
+	const rules = { ...lintOptions.rules };
+	blockingRules.forEach((rule) => { rules[rule] = "error"; });
+	const allDiagnostics = lintPromptText(text, getPromptFileFormat(filepath), { ...lintOptions, rules }, filepath);
+	const diagnostics = allDiagnostics.filter((diagnostic) => severities[diagnostic.rule] !== "off")
+		.map((diagnostic) => blockingRules.includes(diagnostic.rule)
+			? { ...diagnostic, severity: /** @type {"error"|"warning"} */(severities[diagnostic.rule]) }
+			: diagnostic);
+
+	const canResolve = !allDiagnostics.some((diagnostic) => diagnostic.rule === "syntax" || blockingRules.includes(diagnostic.rule));
+	const severity = severities.composition;
+	if (canResolve && severity !== "off") {
+		try {
+			await loadPromptSource(filepath, [resolve(filepath)]);
+		} catch(e) {
+			const fullMessage = e instanceof Error ? e.message : "Problem resolving the file";
+			const message = fullMessage.startsWith(`${filepath}: `) ? fullMessage.slice(filepath.length + 2) : fullMessage;
+			// Point at what the error names, or at the imports if it's from another file
+			/** @type {(string|number)[]} */
+			let path = ["$import"];
+			/** @type {null|string} */
+			let promptGrp = null;
+			const named = /^(Prompt group|Fragment) '([^']*)'/.exec(message);
+			if (message !== fullMessage && named) {
+				promptGrp = named[1] === "Prompt group" ? named[2] : null;
+				path = promptGrp === null ? ["$fragments", named[2]] : [promptGrp];
+			}
+			/** @type {PromptLocations} */
+			const locations = { locations: new Map(), duplicateKeys: [] };
+			parsePromptText(text.replace(/^\uFEFF/, ""), getPromptFileFormat(filepath), locations);
+			const { line, column } = locations.locations.get(JSON.stringify(path)) ?? { line: 1, column: 1 };
+			diagnostics.push({ file: filepath, line, column, severity, rule: "composition", message, promptGrp });
+			diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+		}
+	}
+
+	return {
+		file: filepath,
+		diagnostics,
+		numErrors: diagnostics.filter((diagnostic) => diagnostic.severity === "error").length,
+		numWarnings: diagnostics.filter((diagnostic) => diagnostic.severity === "warning").length
+	};
+}
+
+/**
+ * Load a group of prompts from a given file with its {{placeholders}} filled in.
+ * Returns an empty array if the prompt group does not exist.
+ * @param {string} filepath
+ * @param {string} promptGrp
+ * @param {TemplateVars} [vars]
+ * @returns {Promise<Prompt[]>}
+ * @throws {Error}
+ */
+export async function loadPromptGrp(filepath, promptGrp, vars={}) {
+	if (!filepath || !promptGrp) {
+		return [];
+	}
+	const promptMap = await readPromptFile(filepath);
+	const prompts = promptMap[promptGrp];
+	if (!prompts) {
+		return [];
+	}
+	return renderPrompts(prompts, vars);
+}
+
+/**
+ * Parse CSV text into rows of objects keyed by the header row.
+ * Supports quoted fields with commas, newlines and "" escapes.
+ * @param {string} text
+ * @returns {Object.<string, string>[]}
+ * @throws {Error}
+ */
+export function parseCSV(text) {
+	/** @type {string[][]} */
+	const records = [];
+	/** @type {string[]} */
+	let record = [];
+	let field = "";
+	let inQuotes = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const c = text[i];
+		if (inQuotes) {
+			if (c === '"') {
+				if (text[i + 1] === '"') {
+					field += '"';
+					i++;
+				} else {
+					inQuotes = false;
+				}
+			} else {
+				field += c;
+			}
+		} else if (c === '"') {
+			inQuotes = true;
+		} else if (c === ",") {
+			record.push(field);
+			field = "";
+		} else if (c === "\n" || c === "\r") {
+			if (c === "\r" && text[i + 1] === "\n") {
+				i++;
+			}
+			record.push(field);
+			records.push(record);
+			record = [];
+			field = "";
+		} else {
+			field += c;
+		}
+	}
+	if (inQuotes) {
+		throw new Error("Unterminated quoted field");
+	}
+	if (field || record.length > 0) {
+		record.push(field);
+		records.push(record);
+	}
+
+	// Skip blank lines
+	const nonEmpty = records.filter((r) => r.length > 1 || r[0] !== "");
+	if (nonEmpty.length === 0) {
+		return [];
+	}
+	const [header, ...rows] = nonEmpty;
+	return rows.map((r, rowIdx) => {
+		if (r.length !== header.length) {
+			throw new Error(`Row ${rowIdx + 1} has ${r.length} columns, expected ${header.length}`);
+		}
+		/** @type {Object.<string, string>} */
+		const row = {};
+		header.forEach((column, colIdx) => {
+			row[column] = r[colIdx];
+		});
+		return row;
+	});
+}
+
+/**
+ * Read a JSONL or CSV cases file into TestCases.
+ * A row's template vars come from its 'vars' object, or its 'vars.*' columns in a CSV,
+ * and its expected values from 'expected' or 'expected.*' the same way.
+ * @param {string} filepath
+ * @param {string} [keyColumn] - Dotted path into the row used to name each case
+ * @returns {TestCase[]}
+ * @throws {Error}
+ */
+export function readCasesFile(filepath, keyColumn=undefined) {
+	const text = readFileSync(filepath, {
+		encoding: "utf8"
+	});
+
+	/** @type {Object.<string, *>[]} */
+	let rows;
+	const lowerPath = filepath.toLowerCase();
+	if (lowerPath.endsWith(".csv")) {
+		rows = parseCSV(text).map((flatRow) => {
+			/** @type {Object.<string, *>} */
+			const row = {};
+			for (let [column, value] of Object.entries(flatRow)) {
+				const match = /^(vars|expected)\.(.+)$/.exec(column);
+				if (match) {
+					row[match[1]] = row[match[1]] ?? {};
+					row[match[1]][match[2]] = value;
+				} else {
+					row[column] = value;
+				}
+			}
+			return row;
+		});
+	} else if (lowerPath.endsWith(".jsonl") || lowerPath.endsWith(".ndjson")) {
+		rows = [];
+		const lines = text.split(/\r?\n/);
+		for (let i = 0; i < lines.length; i++) {
+			if (!lines[i].trim()) {
+				continue;
+			}
+			try {
+				rows.push(JSON.parse(lines[i]));
+			} catch(e) {
+				throw new Error(`${filepath}:${i + 1}: Error parsing json`);
+			}
+		}
+	} else {
+		throw new Error(`${filepath}: Cases file must be .jsonl, .ndjson or .csv`);
+	}
+
+	return rows.map((row, index) => {
+		if (!row || typeof row !== "object" || Array.isArray(row)) {
+			throw new Error(`${filepath}: Case ${index} must be an object`);
+		}
+
+		let name = String(index);
+		if (keyColumn) {
+			/** @type {*} */
+			let value = row;
+			for (let key of keyColumn.split(".")) {
+				value = value?.[key];
+			}
+			if (value === undefined || value === null) {
+				throw new Error(`${filepath}: Case ${index} is missing key column '${keyColumn}'`);
+			}
+			name = String(value);
+		}
+
+		return {
+			index,
+			name,
+			row,
+			vars: row.vars ?? {},
+			expected: row.expected ?? {}
+		};
+	});
+}
+
+/**
+ * Calculate the aggregate stats for each dataset in a list of QCResults.
+ * @param {QCResult[]} qcResults
+ * @returns {Object.<string, DatasetStats>}
+ */
+export function calcDatasetStats(qcResults) {
+	/** @type {Object.<string, DatasetStats>} */
+	const datasetStats = {};
+	for (let qcResult of qcResults) {
+		if (!qcResult.dataset || qcResult.skipped) {
+			continue;
+		}
+		const stats = datasetStats[qcResult.dataset] ?? {
+			numCases: 0,
+			numPassed: 0,
+			numFailed: 0,
+			numErrors: 0,
+			meanScore: 0,
+			passRate: 0
+		};
+		datasetStats[qcResult.dataset] = stats;
+
+		// Use meanScore as a running total until the end
+		stats.numCases += 1;
+		stats.meanScore += qcResult.score;
+		if (qcResult.passed) {
+			stats.numPassed += 1;
+		} else {
+			stats.numFailed += 1;
+		}
+		if (qcResult.error) {
+			stats.numErrors += 1;
+		}
+	}
+
+	for (let stats of Object.values(datasetStats)) {
+		stats.meanScore = roundToNearest100th(stats.meanScore / stats.numCases);
+		stats.passRate = roundToNearest100th(stats.numPassed / stats.numCases);
+	}
+	return datasetStats;
+}
+
+/**
+ * Compare the models of QCRunner#matrix runs by prompt group. The best model for
+ * each prompt group has the highest mean score, then pass rate, then the lowest
+ * cost and then the lowest mean time. Skipped results aren't counted.
+ * @param {QCResult[]} qcResults
+ * @returns {null|ModelComparison} - Null when none of the QCResults came from a matrix
+ */
+export function compareModels(qcResults) {
+	/** @returns {ModelStats} */
+	const createStats = () => ({
+		numResults: 0,
+		numPassed: 0,
+		numErrors: 0,
+		meanScore: 0,
+		passRate: 0,
+		meanMs: 0,
+		cost: null
+	});
+	/** @type {ModelComparison} */
+	const comparison = {
+		modelKeys: [],
+		promptGrps: [],
+		totals: {},
+		numBest: {}
+	};
+	/** @type {Map<string, PromptGrpModelComparison>} */
+	const byPromptGrp = new Map();
+
+	for (let qcResult of qcResults) {
+		if (qcResult.modelKey === null || qcResult.modelKey === undefined || qcResult.skipped) {
+			continue;
+		}
+		const modelKey = qcResult.modelKey;
+		if (!comparison.modelKeys.includes(modelKey)) {
+			comparison.modelKeys.push(modelKey);
+			comparison.totals[modelKey] = createStats();
+			comparison.numBest[modelKey] = 0;
+		}
+		const grpKey = JSON.stringify([qcResult.promptFile, qcResult.promptGrp]);
+		let grpComparison = byPromptGrp.get(grpKey);
+		if (!grpComparison) {
+			grpComparison = {
+				promptFile: qcResult.promptFile,
+				promptGrp: qcResult.promptGrp,
+				models: {},
+				best: null
+			};
+			byPromptGrp.set(grpKey, grpComparison);
+			comparison.promptGrps.push(grpComparison);
+		}
+		grpComparison.models[modelKey] = grpComparison.models[modelKey] ?? createStats();
+
+		// Use meanScore and meanMs as running totals until the end
+		for (let stats of [grpComparison.models[modelKey], comparison.totals[modelKey]]) {
+			stats.numResults += 1;
+			stats.meanScore += qcResult.score;
+			stats.meanMs += qcResult.timeStats.totalMs;
+			if (qcResult.passed) {
+				stats.numPassed += 1;
+			}
+			if (qcResult.error) {
+				stats.numErrors += 1;
+			}
+			const cost = qcResult.usage?.cost ?? null;
+			if (cost !== null) {
+				stats.cost = (stats.cost ?? 0) + cost;
+			}
+		}
+	}
+
+	if (comparison.modelKeys.length === 0) {
+		return null;
+	}
+
+	/** @param {ModelStats} stats */
+	const finishStats = (stats) => {
+		stats.meanScore = roundToNearest100th(stats.meanScore / stats.numResults);
+		stats.passRate = roundToNearest100th(stats.numPassed / stats.numResults);
+		stats.meanMs = roundToNearest100th(stats.meanMs / stats.numResults);
+	};
+	/**
+	 * Negative when a did better than b. Unpriced models don't win or lose on cost.
+	 * @param {ModelStats} a
+	 * @param {ModelStats} b
+	 * @returns {number}
+	 */
+	const compareStats = (a, b) => {
+		if (a.meanScore !== b.meanScore) {
+			return b.meanScore - a.meanScore;
+		}
+		if (a.passRate !== b.passRate) {
+			return b.passRate - a.passRate;
+		}
+		if (a.cost !== null && b.cost !== null && a.cost !== b.cost) {
+			return a.cost - b.cost;
+		}
+		return a.meanMs - b.meanMs;
+	};
+
+	for (let stats of Object.values(comparison.totals)) {
+		finishStats(stats);
+	}
+	for (let grpComparison of comparison.promptGrps) {
+		Object.values(grpComparison.models).forEach(finishStats);
+		for (let [modelKey, stats] of Object.entries(grpComparison.models)) {
+			if (grpComparison.best === null || compareStats(stats, grpComparison.models[grpComparison.best]) < 0) {
+				grpComparison.best = modelKey;
+			}
+		}
+		if (grpComparison.best !== null) {
+			comparison.numBest[grpComparison.best] += 1;
+		}
+	}
+	return comparison;
+}
+
+/**
+ * Total up the token usage and cost of a list of QCResults, overall, by modelId and by promptGrp.
+ * Skipped results aren't counted.
+ * @param {QCResult[]} qcResults
+ * @returns {UsageStats}
+ */
+export function calcUsageStats(qcResults) {
+	/** @returns {UsageTotals} */
+	const createTotals = () => ({
+		numResults: 0,
+		inputTokens: 0,
+		outputTokens: 0,
+		totalTokens: 0,
+		cost: null,
+		numUnpriced: 0
+	});
+	/** @type {UsageStats} */
+	const usageStats = {
+		total: createTotals(),
+		byModel: {},
+		byPromptGrp: []
+	};
+	/** @type {Map<string, PromptGrpUsageTotals & UsageTotals>} */
+	const byPromptGrp = new Map();
+
+	for (let qcResult of qcResults) {
+		if (qcResult.skipped || !qcResult.usage) {
+			continue;
+		}
+		const modelKey = qcResult.modelId ?? "(none)";
+		usageStats.byModel[modelKey] = usageStats.byModel[modelKey] ?? createTotals();
+		const grpKey = JSON.stringify([qcResult.promptFile, qcResult.promptGrp]);
+		let grpTotals = byPromptGrp.get(grpKey);
+		if (!grpTotals) {
+			grpTotals = { promptFile: qcResult.promptFile, promptGrp: qcResult.promptGrp, ...createTotals() };
+			byPromptGrp.set(grpKey, grpTotals);
+			usageStats.byPromptGrp.push(grpTotals);
+		}
+
+		const usage = qcResult.usage;
+		for (let totals of [usageStats.total, usageStats.byModel[modelKey], grpTotals]) {
+			totals.numResults += 1;
+			totals.inputTokens += usage.inputTokens;
+			totals.outputTokens += usage.outputTokens;
+			totals.totalTokens += usage.totalTokens;
+			if (usage.cost !== null) {
+				totals.cost = (totals.cost ?? 0) + usage.cost;
+			} else if (usage.totalTokens > 0) {
+				totals.numUnpriced += 1;
+			}
+		}
+	}
+	return usageStats;
+}
+
+/**
+ * Roughly estimate the number of tokens in a list of prompts, at about 4 characters per token.
+ * @param {Prompt[]} prompts
+ * @returns {number}
+ */
+export function estimatePromptTokens(prompts) {
+	return Math.ceil(JSON.stringify(prompts).length / 4);
+}
+
+/**
+ * Queues completion calls so that only so many are in flight at once,
+ * and only so many requests and tokens are sent within a rolling window.
+ */
+export class CompletionScheduler {
+	/**
+	 * Create a CompletionScheduler. Limits that aren't given aren't enforced.
+	 * @param {Object} limits
+	 * @param {number} [limits.concurrency]
+	 * @param {number} [limits.requestsPerMinute]
+	 * @param {number} [limits.tokensPerMinute]
+	 * @param {number} [limits.windowMs] - Length of the rate limit window. Defaults to a minute
+	 */
+	constructor({ concurrency=Infinity, requestsPerMinute=Infinity, tokensPerMinute=Infinity, windowMs=60000 }={}) {
+		this.concurrency = concurrency;
+		this.requestsPerMinute = requestsPerMinute;
+		this.tokensPerMinute = tokensPerMinute;
+		this.windowMs = windowMs;
+		this.numActive = 0;
+
+		/** @type {{ tokens: number, resolve: function(): void }[]} */
+		this.queue = [];
+		// Requests started within the current window
+		/** @type {{ time: number, tokens: number }[]} */
+		this.sent = [];
+		/** @type {undefined|ReturnType<typeof setTimeout>} */
+		this.timer = undefined;
+	}
+
+	/**
+	 * Wait for a turn to make a request. Every acquire must be followed by a release.
+	 * @param {number} [tokens] - Estimated tokens the request will use
+	 * @returns {Promise<void>}
+	 */
+	acquire(tokens=0) {
+		return new Promise((resolve) => {
+			this.queue.push({ tokens, resolve });
+			this.pump();
+		});
+	}
+
+	/**
+	 * Mark a request as finished so the next one can start.
+	 */
+	release() {
+		this.numActive -= 1;
+		this.pump();
+	}
+
+	/**
+	 * Start as many queued requests as the limits allow.
+	 */
+	pump() {
+		while (this.queue.length > 0 && this.numActive < this.concurrency) {
+			const now = performance.now();
+			this.sent = this.sent.filter((entry) => now - entry.time < this.windowMs);
+
+			const next = this.queue[0];
+			const waitMs = this.calcWaitMs(next.tokens, now);
+			if (waitMs > 0) {
+				if (!this.timer) {
+					this.timer = setTimeout(() => {
+						this.timer = undefined;
+						this.pump();
+					}, waitMs);
+				}
+				return;
+			}
+
+			this.queue.shift();
+			this.numActive += 1;
+			this.sent.push({ time: now, tokens: next.tokens });
+			next.resolve();
+		}
+	}
+
+	/**
+	 * How long until a request with the given tokens fits in the rate limits.
+	 * @param {number} tokens
+	 * @param {number} now
+	 * @returns {number}
+	 */
+	calcWaitMs(tokens, now) {
+		let waitMs = 0;
+		if (this.sent.length >= this.requestsPerMinute) {
+			const oldest = this.sent[this.sent.length - this.requestsPerMinute];
+			waitMs = oldest.time + this.windowMs - now;
+		}
+
+		// A request bigger than the whole limit gets to go on its own
+		let usedTokens = this.sent.reduce((total, entry) => total + entry.tokens, 0);
+		for (let entry of this.sent) {
+			if (usedTokens + tokens <= this.tokensPerMinute) {
+				break;
+			}
+			usedTokens -= entry.tokens;
+			waitMs = Math.max(waitMs, entry.time + this.windowMs - now);
+		}
+		return waitMs;
+	}
+}
+
+/**
+ * JSON.stringify with object keys sorted, so equal values always give the same string.
+ * @param {*} value
+ * @returns {string}
+ */
+export function stableStringify(value) {
+	return JSON.stringify(value, (key, val) => {
+		if (val && typeof val === "object" && !Array.isArray(val)) {
+			/** @type {Object.<string, *>} */
+			const sorted = {};
+			for (let k of Object.keys(val).sort()) {
+				sorted[k] = val[k];
+			}
+			return sorted;
+		}
+		return val;
+	});
+}
+
+/**
+ * Hash the prompts sent to a model into a cassette key.
+ * @param {Prompt[]} prompts
+ * @param {string} modelId
+ * @param {number} sample
+ * @returns {string}
+ */
+export function hashCompletionKey(prompts, modelId, sample) {
+	return createHash("sha256")
+		.update(stableStringify({ modelId, sample, prompts }))
+		.digest("hex");
+}
+
+/**
+ * Recorded completion responses kept in a JSON file.
+ * The file is written with sorted keys and no timestamps so it can be committed
+ * and its diffs reviewed.
+ */
+export class Cassette {
+	/**
+	 * Create a Cassette. Call load before using it.
+	 * @param {string} filepath
+	 */
+	constructor(filepath) {
+		this.filepath = filepath;
+		/** @type {Object.<string, CassetteEntry>} */
+		this.entries = {};
+		this.dirty = false;
+		/** @type {null|Error} */
+		this.loadError = null;
+	}
+
+	/**
+	 * Read in the cassette file. A file that doesn't exist yet is an empty cassette.
+	 * If the file can't be read, loadError is set instead of throwing
+	 * so that a bad file doesn't get recorded over.
+	 */
+	async load() {
+		try {
+			this.entries = (await readOptionalJSONFile(this.filepath, "cassette", "entries"))?.entries ?? {};
+		} catch(e) {
+			this.loadError = e instanceof Error ? e : new Error(`${this.filepath}: Problem reading file`);
+		}
+	}
+
+	/**
+	 * Get a copy of a recorded entry.
+	 * @param {string} key
+	 * @returns {undefined|CassetteEntry}
+	 */
+	get(key) {
+		const entry = this.entries[key];
+		return entry ? JSON.parse(JSON.stringify(entry)) : undefined;
+	}
+
+	/**
+	 * Record an entry. The response is copied so later changes to it aren't recorded.
+	 * @param {string} key
+	 * @param {CassetteEntry} entry
+	 */
+	set(key, entry) {
+		this.entries[key] = JSON.parse(JSON.stringify(entry));
+		this.dirty = true;
+	}
+
+	/**
+	 * Write the cassette file if anything was recorded.
+	 */
+	async save() {
+		if (!this.dirty) {
+			return;
+		}
+		/** @type {Object.<string, CassetteEntry>} */
+		const entries = {};
+		for (let key of Object.keys(this.entries).sort()) {
+			entries[key] = this.entries[key];
+		}
+		const outJSON = JSON.stringify({ version: 1, entries }, null, 2) + "\n";
+		await writeFile(this.filepath, outJSON, {
+			encoding: "utf8"
+		});
+		this.dirty = false;
+	}
+}
+
+/**
+ * Create an empty QCResult for a QConfig that hasn't passed yet.
+ * @param {QConfig} qConfig
+ * @returns {QCResult}
+ */
+function createQCResult(qConfig) {
+	return {
+		testName: qConfig.testName,
+		promptFile: qConfig.promptFile,
+		promptGrp: qConfig.promptGrp,
+		prompts: [],
+		numAssertions: 0,
+		numPassed: 0,
+		numFailed: 0,
+		score: 0.0,
+		scoreReq: qConfig.scoreReq ?? 1.0,
+		passed: false,
+		failedAssertions: [],
+		storedVars: {},
+		timeStats: {
+			totalMs: 0,
+			queueMs: 0,
+			completionMs: 0,
+			testMs: 0,
+			judgeMs: 0,
+			ttftMs: null,
+			numChunks: null,
+			interChunkMs: null
+		},
+		error: null,
+		dataset: qConfig.dataset ?? null,
+		sampleStats: null,
+		samples: [],
+		numRetries: 0,
+		attemptErrors: [],
+		replayed: false,
+		turns: [],
+		toolCalls: [],
+		modelId: qConfig.modelId ?? null,
+		modelKey: qConfig.modelKey ?? null,
+		tags: qConfig.tags ?? [],
+		usage: {
+			numCalls: 0,
+			inputTokens: 0,
+			outputTokens: 0,
+			totalTokens: 0,
+			cost: null
+		},
+		skipped: false,
+		skipReason: null
+	};
+}
+
+/**
+ * Wait for a number of milliseconds, or until the signal aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal=undefined) {
+	return new Promise((resolve) => {
+		if (signal?.aborted) {
+			resolve();
+			return;
+		}
+		// The signal is shared by the whole run, so the listener can't outlive the wait
+		const onAbort = () => {
+			clearTimeout(timer);
+			resolve();
+		};
+		const timer = setTimeout(() => {
+			signal?.removeEventListener("abort", onAbort);
+			resolve();
+		}, ms);
+		signal?.addEventListener("abort", onAbort, { once: true });
 	});
+}
 
-	if (!json) {
-		throw new Error(`${filepath}: File is empty`);
+/**
+ * Settle with the promise, or reject with the signal's reason if it aborts first.
+ * This way a completion that ignores its signal can't hang the run.
+ * @param {*} promise
+ * @param {AbortSignal} signal
+ * @returns {Promise<*>}
+ */
+function raceAbort(promise, signal) {
+	return new Promise((resolve, reject) => {
+		if (signal.aborted) {
+			reject(signal.reason);
+			return;
+		}
+		const onAbort = () => reject(signal.reason);
+		signal.addEventListener("abort", onAbort, { once: true });
+		Promise.resolve(promise)
+			.then(resolve, reject)
+			.finally(() => signal.removeEventListener("abort", onAbort));
+	});
+}
+
+/**
+ * @param {*} value
+ * @returns {value is AsyncIterable<*>}
+ */
+function isAsyncIterable(value) {
+	return Boolean(value) && typeof value[Symbol.asyncIterator] === "function";
+}
+
+/**
+ * Read every chunk from a streamed completion, noting when each one arrived.
+ * Stops reading and closes the stream if the signal aborts, even while it's waiting on a chunk.
+ * @param {AsyncIterable<*>} stream
+ * @param {number} startMs - When the completion was called
+ * @param {AbortSignal} signal
+ * @returns {Promise<CompletionResult>}
+ */
+async function readStream(stream, startMs, signal) {
+	/** @type {*[]} */
+	const chunks = [];
+	/** @type {number[]} */
+	const chunkTimes = [];
+	const iterator = stream[Symbol.asyncIterator]();
+	// raceAbort stops the wait on a stalled stream, but only return() lets go of its socket or timers
+	const onAbort = () => {
+		Promise.resolve(iterator.return?.()).catch(() => {});
+	};
+	if (signal.aborted) {
+		onAbort();
+		return { response: undefined, chunks, chunkTimes };
+	}
+	signal.addEventListener("abort", onAbort, { once: true });
+	try {
+		while (true) {
+			const { done, value } = await iterator.next();
+			if (done || signal.aborted) {
+				break;
+			}
+			chunkTimes.push(performance.now() - startMs);
+			chunks.push(value);
+		}
+	} finally {
+		signal.removeEventListener("abort", onAbort);
 	}
+	return { response: undefined, chunks, chunkTimes };
+}
 
-	// /** @type {Object.<string, *>} */
-	const data = JSON.parse(json);
+/**
+ * The default ReduceChunksFunc, which joins string chunks.
+ * @param {*[]} chunks
+ * @returns {string}
+ * @throws {Error}
+ */
+function joinStringChunks(chunks) {
+	if (!chunks.every((chunk) => typeof chunk === "string")) {
+		throw new Error("Streamed chunks must be strings unless 'reduceChunks' is given");
+	}
+	return chunks.join("");
+}
 
-	if (!data) {
-		throw new Error(`${filepath}: Error parsing json`);
+/**
+ * Get a percentile of some values using the nearest rank.
+ * @param {number[]} values
+ * @param {number} percentile - From 0 to 100
+ * @returns {number}
+ */
+export function calcPercentile(values, percentile) {
+	if (values.length === 0) {
+		return NaN;
 	}
+	const sorted = [...values].sort((a, b) => a - b);
+	const rank = Math.ceil(percentile / 100 * sorted.length);
+	return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
 
-	// Let's check that it's actually a PromptMap
-	const errorMsg = checkValidPromptMap(data);
-	if (errorMsg) {
-		throw new Error(`${filepath}: ${errorMsg}`);
+/**
+ * Record the streaming stats on a ResultTimeStats. Leaves them null if nothing streamed.
+ * @param {ResultTimeStats} timeStats
+ * @param {StreamTimes} streamTimes
+ */
+function setStreamStats(timeStats, streamTimes) {
+	if (streamTimes.firstChunkMs.length === 0) {
+		return;
 	}
-	const promptMap = /** @type{PromptMap} */data;
-	return promptMap;
+	timeStats.ttftMs = roundToNearest100th(streamTimes.firstChunkMs[0]);
+	timeStats.numChunks = streamTimes.numChunks;
+	const gapsMs = streamTimes.gapsMs;
+	timeStats.interChunkMs = gapsMs.length === 0 ? null : {
+		p50: roundToNearest100th(calcPercentile(gapsMs, 50)),
+		p90: roundToNearest100th(calcPercentile(gapsMs, 90)),
+		p99: roundToNearest100th(calcPercentile(gapsMs, 99)),
+		max: roundToNearest100th(Math.max(...gapsMs))
+	};
 }
 
 /**
- * Load a group of prompts from a given file.
- * Returns an empty array if the prompt group does not exist.
- * @param {string} filepath
- * @param {string} promptGrp
- * @returns {Promise<Prompt[]>}
- * @throws {Error}
+ * Add a completion's chunk times to StreamTimes.
+ * @param {StreamTimes} streamTimes
+ * @param {number[]} chunkTimes
  */
-export async function loadPromptGrp(filepath, promptGrp) {
-	if (!filepath || !promptGrp) {
-		return [];
+function addChunkTimes(streamTimes, chunkTimes) {
+	if (chunkTimes.length === 0) {
+		return;
 	}
-	const promptMap = await readPromptFile(filepath);
-	return promptMap[promptGrp] ?? [];
+	streamTimes.firstChunkMs.push(chunkTimes[0]);
+	streamTimes.numChunks += chunkTimes.length;
+	for (let i = 1; i < chunkTimes.length; i++) {
+		streamTimes.gapsMs.push(chunkTimes[i] - chunkTimes[i - 1]);
+	}
+}
+
+/**
+ * Check a Usage reported by a completion. Returns an error message if there's a problem.
+ * @param {*} usage
+ * @returns {string|null}
+ */
+function checkUsage(usage) {
+	if (!usage || typeof usage !== "object") {
+		return "'usage' must be an object with 'inputTokens' and 'outputTokens'";
+	}
+	for (let key of ["inputTokens", "outputTokens"]) {
+		const tokens = usage[key];
+		if (tokens !== undefined && (typeof tokens !== "number" || !(tokens >= 0))) {
+			return `'usage.${key}' must be a number >= 0`;
+		}
+	}
+	return null;
+}
+
+/**
+ * Find the token usage on a completion's response or its streamed chunks.
+ * Understands OpenAI's prompt_tokens and completion_tokens, Anthropic's input_tokens
+ * and output_tokens, and inputTokens and outputTokens. When the chunks each carry
+ * part of the usage, the last count seen for each wins.
+ * @param {*} response
+ * @param {*[]} [chunks]
+ * @returns {null|Usage} - Null if there's no usage
+ */
+export function extractUsage(response, chunks=[]) {
+	/** @type {undefined|number} */
+	let inputTokens = undefined;
+	/** @type {undefined|number} */
+	let outputTokens = undefined;
+	for (let value of [...chunks, response]) {
+		// Anthropic's message_start event has the usage on its message
+		const usage = value?.usage ?? value?.message?.usage;
+		if (!usage || typeof usage !== "object") {
+			continue;
+		}
+		const input = usage.inputTokens ?? usage.input_tokens ?? usage.prompt_tokens;
+		const output = usage.outputTokens ?? usage.output_tokens ?? usage.completion_tokens;
+		if (typeof input === "number") {
+			inputTokens = input;
+		}
+		if (typeof output === "number") {
+			outputTokens = output;
+		}
+	}
+	if (inputTokens === undefined && outputTokens === undefined) {
+		return null;
+	}
+	return { inputTokens: inputTokens ?? 0, outputTokens: outputTokens ?? 0 };
+}
+
+/**
+ * Calculate what a completion's usage cost.
+ * @param {Usage} usage
+ * @param {ModelPricing} modelPricing
+ * @returns {number}
+ */
+export function calcCost(usage, modelPricing) {
+	return (usage.inputTokens * modelPricing.inputPerMTok + usage.outputTokens * modelPricing.outputPerMTok) / 1_000_000;
+}
+
+/**
+ * Get the pricing for a modelId, if there is any.
+ * @param {undefined|PricingTable} pricing
+ * @param {null|string} modelId
+ * @returns {undefined|ModelPricing}
+ */
+function getModelPricing(pricing, modelId) {
+	if (!pricing || modelId === null || !Object.prototype.hasOwnProperty.call(pricing, modelId)) {
+		return undefined;
+	}
+	return pricing[modelId];
+}
+
+/**
+ * Add a completion's usage to its QCResult and the run's budget.
+ * @param {RunContext} runContext
+ * @param {QCResult} qcResult
+ * @param {Usage} usage
+ */
+function recordUsage(runContext, qcResult, usage) {
+	const resultUsage = qcResult.usage;
+	const tokens = usage.inputTokens + usage.outputTokens;
+	resultUsage.numCalls += 1;
+	resultUsage.inputTokens += usage.inputTokens;
+	resultUsage.outputTokens += usage.outputTokens;
+	resultUsage.totalTokens += tokens;
+
+	const budget = runContext.budget;
+	if (budget) {
+		budget.tokens += tokens;
+	}
+	const modelPricing = getModelPricing(runContext.pricing, qcResult.modelId);
+	if (modelPricing) {
+		const cost = calcCost(usage, modelPricing);
+		resultUsage.cost = (resultUsage.cost ?? 0) + cost;
+		if (budget) {
+			budget.cost += cost;
+		}
+	}
+}
+
+/**
+ * Check if the run has used up its budget.
+ * @param {undefined|RunBudget} budget
+ * @returns {boolean}
+ */
+function isBudgetUsedUp(budget) {
+	if (!budget) {
+		return false;
+	}
+	return (budget.maxCost !== null && budget.cost >= budget.maxCost)
+		|| (budget.maxTokens !== null && budget.tokens >= budget.maxTokens);
 }
 
 /**
- * Process QCDef
+ * Call the completion, waiting on the scheduler, timing out and retrying as configured.
+ * A completion that returns an async iterable is read to the end, within the same timeout.
+ * Records the retries, attempt errors, times and usage on the QCResult.
  * @param {QCDef} qcDef
  * @param {Prompt[]} prompts
- * @returns {Promise<QCResult>}
+ * @param {RunOptions} runOptions
+ * @param {RunContext} runContext
+ * @param {QCResult} qcResult
+ * @param {boolean} startsTest - True for the test's first call, which isn't made once the budget is used up
+ * @returns {Promise<CompletionResult>}
+ * @throws {QError}
  */
-export async function processQCDef(qcDef, prompts) {
-	const startTotal = performance.now();
-	/** @type {ResultTimeStats} */
-	const timeStats = {
-		totalMs: 0,
-		completionMs: 0,
-		testMs: 0
+async function callCompletion(qcDef, prompts, runOptions, runContext, qcResult, startsTest) {
+	const qConfig = qcDef.qConfig;
+	const scheduler = runContext.scheduler;
+	const timeoutMs = qConfig.timeoutMs ?? runOptions.timeoutMs;
+	const retries = qConfig.retries ?? runOptions.retries ?? 0;
+	const retryDelayMs = qConfig.retryDelayMs ?? runOptions.retryDelayMs ?? 1000;
+	const retryable = qConfig.retryable ?? runOptions.retryable ?? (() => true);
+	const estimateTokens = runOptions.estimateTokens ?? estimatePromptTokens;
+	const runSignal = runOptions.signal;
+	const timeStats = qcResult.timeStats;
+
+	for (let attempt = 0; ; attempt++) {
+		// Only the completion is throttled, tests run as soon as they have a response
+		const startQueue = performance.now();
+		if (scheduler) {
+			await scheduler.acquire(estimateTokens(prompts));
+		}
+		const startCompletion = performance.now();
+		timeStats.queueMs = roundToNearest100th(timeStats.queueMs + startCompletion - startQueue);
+		// Checked after waiting on the scheduler, so calls finished in the meantime are counted
+		if (startsTest && attempt === 0 && isBudgetUsedUp(runContext.budget)) {
+			scheduler?.release();
+			throw new QBudgetError("The run's budget was used up before this test started", Step.CallCompletion);
+		}
+
+		const controller = new AbortController();
+		const onRunAbort = () => {
+			const cause = runSignal?.reason instanceof Error ? runSignal.reason : undefined;
+			controller.abort(new QError("Run was cancelled", cause, Step.CallCompletion));
+		};
+		if (runSignal?.aborted) {
+			onRunAbort();
+		}
+		runSignal?.addEventListener("abort", onRunAbort, { once: true });
+		/** @type {undefined|ReturnType<typeof setTimeout>} */
+		let timer = undefined;
+		if (timeoutMs !== undefined) {
+			timer = setTimeout(() => {
+				controller.abort(
+					new QTimeoutError(`'completionFunc' timed out after ${timeoutMs}ms`, Step.CallCompletion)
+				);
+			}, timeoutMs);
+		}
+
+		/** @type {null|Usage} */
+		let attemptUsage = null;
+		/** @param {Usage} usage */
+		const reportUsage = (usage) => {
+			const usageError = checkUsage(usage);
+			if (usageError) {
+				throw new TypeError(usageError);
+			}
+			attemptUsage = {
+				inputTokens: (attemptUsage?.inputTokens ?? 0) + (usage.inputTokens ?? 0),
+				outputTokens: (attemptUsage?.outputTokens ?? 0) + (usage.outputTokens ?? 0)
+			};
+		};
+
+		/** @type {QError} */
+		let qError;
+		try {
+			const result = await raceAbort(
+				qcDef.completionFunc(prompts, { signal: controller.signal, attempt, reportUsage }),
+				controller.signal
+			);
+			/** @type {CompletionResult} */
+			const completionResult = isAsyncIterable(result)
+				? await raceAbort(readStream(result, startCompletion, controller.signal), controller.signal)
+				: { response: result, chunks: null, chunkTimes: [] };
+			attemptUsage = attemptUsage ?? extractUsage(completionResult.response, completionResult.chunks ?? []);
+			return completionResult;
+		} catch(e) {
+			if (controller.signal.aborted && controller.signal.reason instanceof QError) {
+				qError = controller.signal.reason;
+			} else if (e instanceof Error) {
+				qError = new QError("", e, Step.CallCompletion);
+			} else {
+				qError = new QError("Unknown error occurred in 'completionFunc'", undefined, Step.CallCompletion);
+			}
+		} finally {
+			clearTimeout(timer);
+			runSignal?.removeEventListener("abort", onRunAbort);
+			// Failed attempts can still have used tokens. Recorded before the next call is let through
+			if (attemptUsage) {
+				recordUsage(runContext, qcResult, attemptUsage);
+			}
+			scheduler?.release();
+			timeStats.completionMs = roundToNearest100th(timeStats.completionMs + performance.now() - startCompletion);
+		}
+
+		qcResult.attemptErrors.push(qError);
+		if (runSignal?.aborted || attempt >= retries || !retryable(qError.cause ?? qError, attempt)) {
+			throw qError;
+		}
+
+		qcResult.numRetries += 1;
+		// The backoff isn't part of completionMs, only of totalMs
+		await sleep(retryDelayMs * 2 ** attempt, runSignal);
+	}
+}
+
+/**
+ * Calculate pass@k: the chance that at least one of k samples, drawn from
+ * n samples with c passing, passes.
+ * @param {number} n
+ * @param {number} c
+ * @param {number} k
+ * @returns {number}
+ */
+export function calcPassAtK(n, c, k) {
+	if (n - c < k) {
+		return 1.0;
+	}
+	let allFail = 1.0;
+	for (let i = n - c + 1; i <= n; i++) {
+		allFail *= 1 - k / i;
+	}
+	return 1 - allFail;
+}
+
+/**
+ * Calculate pass^k: the chance that all k samples, drawn from
+ * n samples with c passing, pass.
+ * @param {number} n
+ * @param {number} c
+ * @param {number} k
+ * @returns {number}
+ */
+export function calcPassHatK(n, c, k) {
+	let allPass = 1.0;
+	for (let i = 0; i < k; i++) {
+		allPass *= Math.max(c - i, 0) / (n - i);
+	}
+	return allPass;
+}
+
+/**
+ * Calculate the spread of the scores from a sampled QCDef.
+ * @param {number[]} scores
+ * @param {boolean[]} passes
+ * @param {number} k
+ * @param {PassCriteria} passCriteria
+ * @returns {SampleStats}
+ */
+export function calcSampleStats(scores, passes, k, passCriteria) {
+	const n = scores.length;
+	const numPassed = passes.filter((passed) => passed).length;
+	const mean = scores.reduce((total, score) => total + score, 0) / n;
+	const variance = scores.reduce((total, score) => total + (score - mean) ** 2, 0) / n;
+	return {
+		numSamples: n,
+		numPassed,
+		k,
+		passCriteria,
+		scores,
+		mean: roundToNearest100th(mean),
+		min: Math.min(...scores),
+		max: Math.max(...scores),
+		stdDev: roundToNearest100th(Math.sqrt(variance)),
+		passAtK: roundToNearest100th(calcPassAtK(n, numPassed, k)),
+		passHatK: roundToNearest100th(calcPassHatK(n, numPassed, k))
 	};
+}
+
+/**
+ * Get the response for a turn's prompts, from the cassette or by calling the completion.
+ * Records the response to the cassette if it's recording.
+ * @param {QCDef} qcDef
+ * @param {Prompt[]} prompts
+ * @param {RunOptions} runOptions
+ * @param {RunContext} runContext
+ * @param {number} sample
+ * @param {QCResult} qcResult - Gets the completion's retries, times and usage
+ * @param {boolean} [startsTest] - True for the test's first call
+ * @returns {Promise<{ response: *, replayed: boolean, chunks: *[], chunkTimes: number[] }>}
+ * @throws {QError}
+ */
+async function getResponse(qcDef, prompts, runOptions, runContext, sample, qcResult, startsTest=false) {
+	const { cassette, cassetteMode="off" } = runContext;
+	if (cassette?.loadError) {
+		throw new QError("Cassette couldn't be loaded", cassette.loadError, Step.CallCompletion);
+	}
+	const modelId = qcDef.qConfig.modelId ?? "";
+	const cassetteKey = cassette ? hashCompletionKey(prompts, modelId, sample) : "";
+
+	if (cassette && (cassetteMode === "replay" || cassetteMode === "auto")) {
+		const entry = cassette.get(cassetteKey);
+		if (entry) {
+			return { response: entry.response, replayed: true, chunks: entry.chunks ?? [], chunkTimes: [] };
+		} else if (cassetteMode === "replay") {
+			throw new QError(
+				`No recorded response in '${cassette.filepath}' for these prompts and modelId '${modelId}'`,
+				undefined,
+				Step.CallCompletion
+			);
+		}
+	}
+
+	/** @type {CompletionResult} */
+	let result;
+	try {
+		result = await callCompletion(qcDef, prompts, runOptions, runContext, qcResult, startsTest);
+	} catch(e) {
+		if (e instanceof QError) {
+			throw e;
+		}
+		throw new QError("Unknown error occurred in 'completionFunc'", undefined, Step.CallCompletion);
+	}
+
+	let response = result.response;
+	if (result.chunks) {
+		try {
+			response = (qcDef.qConfig.reduceChunks ?? joinStringChunks)(result.chunks);
+		} catch(e) {
+			if (e instanceof Error) {
+				throw new QError("", e, Step.CallCompletion);
+			}
+			throw new QError("Unknown error occurred in 'reduceChunks'", undefined, Step.CallCompletion);
+		}
+	}
+	if (!response) {
+		throw new QError("'completionFunc' returned an empty value", undefined, Step.CallCompletion);
+	}
+
+	if (cassette && (cassetteMode === "record" || cassetteMode === "auto")) {
+		/** @type {CassetteEntry} */
+		const entry = { modelId, sample, prompts, response };
+		if (result.chunks) {
+			entry.chunks = result.chunks;
+		}
+		cassette.set(cassetteKey, entry);
+	}
+	return { response, replayed: false, chunks: result.chunks ?? [], chunkTimes: result.chunkTimes };
+}
+
+/**
+ * Run the mock tool for a tool call.
+ * @param {Object.<string, ToolHandler>} tools
+ * @param {ToolCall} toolCall
+ * @returns {Promise<*>}
+ * @throws {QError}
+ */
+async function runTool(tools, toolCall) {
+	if (!Object.prototype.hasOwnProperty.call(tools, toolCall.name)) {
+		throw new QError(`No mock tool named '${toolCall.name}'`, undefined, Step.CallTool);
+	}
+	try {
+		return await tools[toolCall.name](toolCall.args, toolCall);
+	} catch(e) {
+		if (e instanceof Error) {
+			throw new QError("", e, Step.CallTool);
+		}
+		throw new QError(`Unknown error occurred in tool '${toolCall.name}'`, undefined, Step.CallTool);
+	}
+}
 
-	const scoreReq = qcDef.qConfig.scoreReq ?? 1.0;
+/**
+ * Find the user prompt for a conversation's next turn, from QContext#reply or the script of user turns.
+ * Returns undefined when the conversation is over.
+ * @param {ConversationConfig} conversation
+ * @param {QContext} qContext
+ * @param {*} response
+ * @param {number} turn
+ * @returns {undefined|Prompt}
+ * @throws {QError}
+ */
+function getNextUserPrompt(conversation, qContext, response, turn) {
+	if (qContext.stopped) {
+		return undefined;
+	}
+	if (conversation.stopWhen) {
+		let stop;
+		try {
+			stop = conversation.stopWhen(response, turn);
+		} catch(e) {
+			if (e instanceof Error) {
+				throw new QError("", e, Step.ResponsePrompt);
+			}
+			throw new QError("Unknown error occurred in 'stopWhen'", undefined, Step.ResponsePrompt);
+		}
+		if (stop) {
+			return undefined;
+		}
+	}
+
+	/** @type {*} */
+	const userTurn = qContext.nextUserTurn ?? conversation.userTurns?.[turn];
+	if (userTurn === undefined) {
+		return undefined;
+	} else if (typeof userTurn === "string") {
+		return { role: "user", content: userTurn };
+	} else if (userTurn && typeof userTurn === "object" && typeof userTurn.role === "string") {
+		return userTurn;
+	}
+	throw new QError(`User turn ${turn + 1} must be a string or a Prompt`, undefined, Step.ResponsePrompt);
+}
+
+/**
+ * Call the completion and run the test once against a fresh QContext.
+ * For a conversation, this is repeated for each turn with the reply and the next user turn added to the prompts.
+ * @param {QCDef} qcDef
+ * @param {Prompt[]} prompts - With the template vars already filled in
+ * @param {RunOptions} runOptions
+ * @param {RunContext} runContext
+ * @param {number} sample - Which sample this is, starting at 0
+ * @returns {Promise<QCResult>}
+ */
+async function processSample(qcDef, prompts, runOptions, runContext, sample) {
+	const startTotal = performance.now();
 	/** @type {QCResult} */
-	const qcResult = {
-		testName: qcDef.qConfig.testName,
-		promptGrp: qcDef.qConfig.promptGrp,
-		prompts: [],
-		numAssertions: 0,
-		numPassed: 0,
-		numFailed: 0,
-		score: 0.0,
-		scoreReq,
-		passed: false,
-		failedAssertions: [],
-		storedVars: {},
-		timeStats,
-		error: null
-	};
+	const qcResult = createQCResult(qcDef.qConfig);
+	const timeStats = qcResult.timeStats;
+	const scoreReq = qcResult.scoreReq;
 	/** @type {QContext} */
-	const qContext = new QContext(qcDef.qConfig);
+	const qContext = new QContext(
+		qcDef.qConfig,
+		runContext.snapshotFile,
+		runOptions.updateSnapshots ?? false,
+		runContext.embeddingCache
+	);
+
+	const conversation = qcDef.qConfig.conversation;
+	const maxTurns = conversation ? conversation.maxTurns ?? DEFAULT_MAX_TURNS : 1;
+	let history = prompts;
+	let allReplayed = true;
+	let testMs = 0;
+	/** @type {StreamTimes} */
+	const streamTimes = { firstChunkMs: [], numChunks: 0, gapsMs: [] };
+	for (let turn = 0; turn < maxTurns; turn++) {
+		qContext.startTurn(turn, history);
+		const startTurn = performance.now();
+		const turnStart = {
+			queueMs: timeStats.queueMs,
+			completionMs: timeStats.completionMs,
+			judgeMs: qContext.judgeMs,
+			numAssertions: qContext.numAssertions,
+			numPassed: qContext.numPassed,
+			totalWeight: qContext.totalWeight,
+			passedWeight: qContext.passedWeight
+		};
+		/** @type {StreamTimes} */
+		const turnStreamTimes = { firstChunkMs: [], numChunks: 0, gapsMs: [] };
 
-	const startCompletion = performance.now();
-	/** @type {*} */
-	let response;
-	try {
-		response = await qcDef.completionFunc(prompts);
-	} catch(e) {
-		if (e instanceof Error) {
-			qcResult.error = new QError("", e, Step.CallCompletion);
-		} else {
-			qcResult.error = new QError("Unknown error occurred in 'completionFunc'", undefined, Step.CallCompletion);
+		/** @type {*} */
+		let response;
+		const tools = qcDef.qConfig.tools;
+		const maxToolRounds = qcDef.qConfig.maxToolRounds ?? DEFAULT_MAX_TOOL_ROUNDS;
+		try {
+			for (let round = 0; ; round++) {
+				const startsTest = sample === 0 && turn === 0 && round === 0;
+				const turnResponse = await getResponse(qcDef, history, runOptions, runContext, sample, qcResult, startsTest);
+				response = turnResponse.response;
+				allReplayed = allReplayed && turnResponse.replayed;
+				qContext.chunks = turnResponse.chunks;
+				addChunkTimes(streamTimes, turnResponse.chunkTimes);
+				addChunkTimes(turnStreamTimes, turnResponse.chunkTimes);
+
+				const toolCalls = tools ? extractToolCalls(response) : [];
+				if (toolCalls.length === 0) {
+					break;
+				} else if (round >= maxToolRounds) {
+					throw new QError(`Tools were still being called after ${maxToolRounds} rounds`, undefined, Step.CallTool);
+				}
+				const results = [];
+				for (let toolCall of toolCalls) {
+					const result = await runTool(tools ?? {}, toolCall);
+					const trace = { ...toolCall, result, turn, round };
+					qContext.toolCalls.push(trace);
+					qcResult.toolCalls.push(trace);
+					results.push({ toolCall, result });
+				}
+				history = [...history, response, ...makeToolResultPrompts(response, results)];
+			}
+		} catch(e) {
+			if (e instanceof QBudgetError) {
+				qcResult.skipped = true;
+				qcResult.skipReason = e.message;
+				return qcResult;
+			}
+			qcResult.error = e instanceof QError
+				? e
+				: new QError("Unknown error occurred in 'completionFunc'", undefined, Step.CallCompletion);
+			qcResult.prompts = conversation || tools ? history : [];
+			return qcResult;
 		}
-		return qcResult;
-	}
-	const endCompletion = performance.now();
+		qContext.history = history;
 
-	if (!response) {
-		qcResult.error = new QError("'completionFunc' returned an empty value", undefined, Step.CallCompletion);
-		return qcResult;
-	}
-	
-	const startTest = performance.now();
-	let responsePrompt = undefined;
-	try {
-		responsePrompt = await qcDef.testFunc(qContext, response) ?? response;
-	} catch(e) {
-		if (e instanceof Error) {
-			qcResult.error = new QError("", e, Step.TestFunc);
-		} else {
-			qcResult.error = new QError("Unknown error occurred in 'testFunc'", undefined, Step.TestFunc);
+		const startTest = performance.now();
+		let responsePrompt = undefined;
+		try {
+			responsePrompt = await qcDef.testFunc(qContext, response) ?? response;
+		} catch(e) {
+			if (e instanceof Error) {
+				qcResult.error = new QError("", e, Step.TestFunc);
+			} else {
+				qcResult.error = new QError("Unknown error occurred in 'testFunc'", undefined, Step.TestFunc);
+			}
+			qcResult.prompts = conversation ? [...history, response] : [];
+			return qcResult;
+		}
+		const endTest = performance.now();
+		testMs += endTest - startTest;
+
+		history = [...history, responsePrompt];
+		if (!conversation) {
+			break;
 		}
-		return qcResult;
-	}
-	const endTest = performance.now();
 
-	// TODO: We can check for existence of responsePrompt
-	/*if (!responsePrompt) {
+		const judgeMs = qContext.judgeMs - turnStart.judgeMs;
+		const turnWeight = qContext.totalWeight - turnStart.totalWeight;
+		const numAssertions = qContext.numAssertions - turnStart.numAssertions;
+		const numPassed = qContext.numPassed - turnStart.numPassed;
+		/** @type {ResultTimeStats} */
+		const turnTimeStats = {
+			totalMs: roundToNearest100th(performance.now() - startTurn),
+			queueMs: roundToNearest100th(timeStats.queueMs - turnStart.queueMs),
+			completionMs: roundToNearest100th(timeStats.completionMs - turnStart.completionMs),
+			testMs: roundToNearest100th(endTest - startTest - judgeMs),
+			judgeMs: roundToNearest100th(judgeMs),
+			ttftMs: null,
+			numChunks: null,
+			interChunkMs: null
+		};
+		setStreamStats(turnTimeStats, turnStreamTimes);
+		qcResult.turns.push({
+			turn,
+			numAssertions,
+			numPassed,
+			numFailed: numAssertions - numPassed,
+			score: turnWeight === 0 ? 1.0 : roundToNearest100th((qContext.passedWeight - turnStart.passedWeight) / turnWeight),
+			timeStats: turnTimeStats
+		});
+
+		if (!responsePrompt || typeof responsePrompt !== "object" || typeof responsePrompt.role !== "string") {
+			qcResult.error = new QError(
+				"The response must be a Prompt to continue a conversation, return one from 'testFunc'",
+				undefined,
+				Step.ResponsePrompt
+			);
+			qcResult.prompts = history;
+			return qcResult;
+		}
 
-	}*/
+		if (turn + 1 >= maxTurns) {
+			break;
+		}
+		/** @type {undefined|Prompt} */
+		let userPrompt;
+		try {
+			userPrompt = getNextUserPrompt(conversation, qContext, response, turn);
+		} catch(e) {
+			qcResult.error = e instanceof QError ? e : new QError("", undefined, Step.ResponsePrompt);
+			qcResult.prompts = history;
+			return qcResult;
+		}
+		if (!userPrompt) {
+			break;
+		}
+		history = [...history, userPrompt];
+	}
+	runContext.snapshotFile?.finishedTests.add(makeSnapshotTestKey(qcDef.qConfig));
 
-	qcResult.prompts = [...prompts, responsePrompt];
+	qcResult.prompts = history;
+	qcResult.replayed = allReplayed;
 	qcResult.numAssertions = qContext.numAssertions;
 	qcResult.numPassed = qContext.numPassed;
 	qcResult.numFailed = qContext.numFailed;
@@ -491,17 +3593,307 @@ export async function processQCDef(qcDef, prompts) {
 		// Check the score vs. the required score
 		qcResult.passed = qcResult.score >= scoreReq;
 	}
+	if (qContext.criticalFailed) {
+		qcResult.passed = false;
+	}
 
 	qcResult.failedAssertions = qContext.failedAssertions;
 	qcResult.storedVars = qContext.storedVars;
 
 	const endTotal = performance.now();
 	timeStats.totalMs = roundToNearest100th(endTotal - startTotal);
-	timeStats.completionMs = roundToNearest100th(endCompletion - startCompletion);
-	timeStats.testMs = roundToNearest100th(endTest - startTest);
+	timeStats.testMs = roundToNearest100th(testMs - qContext.judgeMs);
+	timeStats.judgeMs = roundToNearest100th(qContext.judgeMs);
+	setStreamStats(timeStats, streamTimes);
+	return qcResult;
+}
+
+/**
+ * Process QCDef. When qConfig.samples is more than 1 the completion and test
+ * are run that many times and the QCResult holds every sample along with their stats.
+ * @param {QCDef} qcDef
+ * @param {Prompt[]} prompts
+ * @param {RunOptions} [runOptions]
+ * @param {RunContext} [runContext]
+ * @returns {Promise<QCResult>}
+ */
+export async function processQCDef(qcDef, prompts, runOptions={}, runContext={}) {
+	/** @type {Prompt[]} */
+	let renderedPrompts;
+	try {
+		renderedPrompts = renderPrompts(prompts, qcDef.qConfig.vars);
+	} catch(e) {
+		const qcResult = createQCResult(qcDef.qConfig);
+		if (e instanceof QError) {
+			qcResult.error = e;
+		} else {
+			qcResult.error = new QError("Unknown error occurred rendering prompts", undefined, Step.ParseConfig);
+		}
+		return qcResult;
+	}
+
+	const numSamples = qcDef.qConfig.samples ?? 1;
+	if (numSamples <= 1) {
+		return processSample(qcDef, renderedPrompts, runOptions, runContext, 0);
+	}
+
+	const startTotal = performance.now();
+	/** @type {QCResult[]} */
+	const samples = [];
+	for (let i = 0; i < numSamples; i++) {
+		const sample = await processSample(qcDef, renderedPrompts, runOptions, runContext, i);
+		// Only the first sample can be skipped, the rest go ahead once the test has started
+		if (sample.skipped) {
+			return sample;
+		}
+		samples.push(sample);
+	}
+
+	/** @type {QCResult} */
+	const qcResult = createQCResult(qcDef.qConfig);
+	qcResult.samples = samples;
+	// Show the first good sample's conversation and stored vars
+	const shownSample = samples.find((sample) => !sample.error) ?? samples[0];
+	qcResult.prompts = shownSample.prompts;
+	qcResult.storedVars = shownSample.storedVars;
+	qcResult.turns = shownSample.turns;
+	qcResult.toolCalls = shownSample.toolCalls;
+
+	let queueMs = 0;
+	let completionMs = 0;
+	let testMs = 0;
+	let judgeMs = 0;
+	const usage = qcResult.usage;
+	for (let sample of samples) {
+		usage.numCalls += sample.usage.numCalls;
+		usage.inputTokens += sample.usage.inputTokens;
+		usage.outputTokens += sample.usage.outputTokens;
+		usage.totalTokens += sample.usage.totalTokens;
+		if (sample.usage.cost !== null) {
+			usage.cost = (usage.cost ?? 0) + sample.usage.cost;
+		}
+		qcResult.numAssertions += sample.numAssertions;
+		qcResult.numPassed += sample.numPassed;
+		qcResult.numFailed += sample.numFailed;
+		qcResult.failedAssertions.push(...sample.failedAssertions);
+		qcResult.numRetries += sample.numRetries;
+		qcResult.attemptErrors.push(...sample.attemptErrors);
+		queueMs += sample.timeStats.queueMs;
+		completionMs += sample.timeStats.completionMs;
+		testMs += sample.timeStats.testMs;
+		judgeMs += sample.timeStats.judgeMs;
+	}
+	qcResult.replayed = samples.every((sample) => sample.replayed);
+
+	const sampleStats = calcSampleStats(
+		samples.map((sample) => sample.score),
+		samples.map((sample) => sample.passed),
+		qcDef.qConfig.k ?? numSamples,
+		qcDef.qConfig.passCriteria ?? "mean"
+	);
+	qcResult.sampleStats = sampleStats;
+	qcResult.score = sampleStats.mean;
+
+	// Only an error for the whole QCDef if no sample made it through
+	if (samples.every((sample) => sample.error)) {
+		qcResult.error = samples[0].error;
+	} else {
+		qcResult.passed = sampleStats[sampleStats.passCriteria] >= qcResult.scoreReq;
+	}
+
+	const endTotal = performance.now();
+	qcResult.timeStats.totalMs = roundToNearest100th(endTotal - startTotal);
+	qcResult.timeStats.queueMs = roundToNearest100th(queueMs);
+	qcResult.timeStats.completionMs = roundToNearest100th(completionMs);
+	qcResult.timeStats.testMs = roundToNearest100th(testMs);
+	qcResult.timeStats.judgeMs = roundToNearest100th(judgeMs);
+
+	// Streaming stats are averaged over the samples that streamed
+	const streamed = samples.filter((sample) => sample.timeStats.ttftMs !== null);
+	if (streamed.length > 0) {
+		/**
+		 * @param {function(ResultTimeStats): number} getValue
+		 * @returns {number}
+		 */
+		const mean = (getValue) => roundToNearest100th(
+			streamed.reduce((total, sample) => total + getValue(sample.timeStats), 0) / streamed.length
+		);
+		qcResult.timeStats.ttftMs = mean((stats) => stats.ttftMs ?? 0);
+		qcResult.timeStats.numChunks = streamed.reduce((total, sample) => total + (sample.timeStats.numChunks ?? 0), 0);
+		const withGaps = streamed.filter((sample) => sample.timeStats.interChunkMs !== null);
+		if (withGaps.length === streamed.length) {
+			qcResult.timeStats.interChunkMs = {
+				p50: mean((stats) => stats.interChunkMs?.p50 ?? 0),
+				p90: mean((stats) => stats.interChunkMs?.p90 ?? 0),
+				p99: mean((stats) => stats.interChunkMs?.p99 ?? 0),
+				max: Math.max(...streamed.map((sample) => sample.timeStats.interChunkMs?.max ?? 0))
+			};
+		}
+	}
 	return qcResult;
 }
 
+/**
+ * Check a PricingTable. Returns an error message if there's a problem.
+ * @param {undefined|PricingTable} pricing
+ * @returns {string|null}
+ */
+function checkPricing(pricing) {
+	if (pricing === undefined) {
+		return null;
+	}
+	if (!pricing || typeof pricing !== "object" || Array.isArray(pricing)) {
+		return "'pricing' must be an object keyed by modelId";
+	}
+	for (let [modelId, modelPricing] of Object.entries(pricing)) {
+		if (!modelPricing || typeof modelPricing !== "object") {
+			return `'pricing.${modelId}' must be an object with 'inputPerMTok' and 'outputPerMTok'`;
+		}
+		for (let key of ["inputPerMTok", "outputPerMTok"]) {
+			const price = /** @type {*} */(modelPricing)[key];
+			if (typeof price !== "number" || !(price >= 0)) {
+				return `'pricing.${modelId}.${key}' must be a number >= 0`;
+			}
+		}
+	}
+	return null;
+}
+
+const TAG_PATTERN = /^[^\s&|!()]+$/;
+
+/**
+ * Parse a tag expression like "smoke && !slow" into a predicate for a QCDef's tags.
+ * Tags can be combined with &&, || and !, and grouped with parentheses.
+ * && binds tighter than ||.
+ * Throws a QError if the expression can't be parsed.
+ * @param {string} expression
+ * @returns {TagPredicate}
+ */
+export function parseTagFilter(expression) {
+	// A lone & or | is its own token so it's reported as unexpected
+	const tokens = expression.match(/&&|\|\||[!()&|]|[^\s&|!()]+/g) ?? [];
+	let pos = 0;
+	/** @param {string} msg */
+	const fail = (msg) => new QError(`Bad tag filter '${expression}': ${msg}`, undefined, Step.ParseConfig);
+	/** @returns {TagPredicate} */
+	const parseOr = () => {
+		const parts = [parseAnd()];
+		while (tokens[pos] === "||") {
+			pos += 1;
+			parts.push(parseAnd());
+		}
+		return parts.length === 1 ? parts[0] : (tags) => parts.some((part) => part(tags));
+	};
+	/** @returns {TagPredicate} */
+	const parseAnd = () => {
+		const parts = [parseNot()];
+		while (tokens[pos] === "&&") {
+			pos += 1;
+			parts.push(parseNot());
+		}
+		return parts.length === 1 ? parts[0] : (tags) => parts.every((part) => part(tags));
+	};
+	/** @returns {TagPredicate} */
+	const parseNot = () => {
+		const token = tokens[pos];
+		pos += 1;
+		if (token === undefined) {
+			throw fail("Expected a tag, not end of input");
+		} else if (token === "!") {
+			const part = parseNot();
+			return (tags) => !part(tags);
+		} else if (token === "(") {
+			const part = parseOr();
+			if (tokens[pos] !== ")") {
+				throw fail("Expected ')'");
+			}
+			pos += 1;
+			return part;
+		} else if (TAG_PATTERN.test(token)) {
+			return (tags) => tags.includes(token);
+		}
+		throw fail(`Expected a tag, not '${token}'`);
+	};
+
+	const predicate = parseOr();
+	if (pos < tokens.length) {
+		throw fail(`Unexpected '${tokens[pos]}'`);
+	}
+	return predicate;
+}
+
+/**
+ * @typedef {Object} TestSelection
+ * @property {boolean} hasOnly - True if any QCDef is marked only
+ * @property {undefined|RegExp} testNameFilter
+ * @property {undefined|TagPredicate} tagPredicate
+ * @property {undefined|Set<string>} promptFiles - Resolved paths
+ * @property {undefined|Set<string>} promptGrps
+ */
+
+/**
+ * Get why a QCDef won't be run, or null if it will be.
+ * @param {QConfig} qConfig
+ * @param {TestSelection} selection
+ * @returns {null|string}
+ */
+function getSkipReason(qConfig, selection) {
+	if (qConfig.skip) {
+		return "Marked skip";
+	} else if (selection.hasOnly && !qConfig.only) {
+		return "Other tests are marked only";
+	} else if (selection.testNameFilter && !selection.testNameFilter.test(qConfig.testName)) {
+		return "Filtered out by test name";
+	} else if (selection.tagPredicate && !selection.tagPredicate(qConfig.tags ?? [])) {
+		return "Filtered out by tags";
+	} else if (selection.promptFiles && !selection.promptFiles.has(resolve(qConfig.promptFile))) {
+		return "Filtered out by prompt file";
+	} else if (selection.promptGrps && !selection.promptGrps.has(qConfig.promptGrp)) {
+		return "Filtered out by prompt group";
+	}
+	return null;
+}
+
+/**
+ * Check the timeout and retry options shared by QConfig and RunOptions.
+ * Returns an error message if there's a problem.
+ * @param {QConfig|RunOptions} options
+ * @returns {string|null}
+ */
+function checkRetryOptions(options) {
+	if (options.timeoutMs !== undefined && (typeof options.timeoutMs !== "number" || !(options.timeoutMs > 0))) {
+		return "'timeoutMs' must be a number > 0";
+	}
+	if (options.retries !== undefined && (!Number.isInteger(options.retries) || options.retries < 0)) {
+		return "'retries' must be an integer >= 0";
+	}
+	if (options.retryDelayMs !== undefined && (typeof options.retryDelayMs !== "number" || !(options.retryDelayMs >= 0))) {
+		return "'retryDelayMs' must be a number >= 0";
+	}
+	if (options.retryable !== undefined && typeof options.retryable !== "function") {
+		return "'retryable' must be a function";
+	}
+	return null;
+}
+
+/**
+ * Check a CassetteConfig. Returns an error message if there's a problem.
+ * @param {CassetteConfig} cassetteConfig
+ * @returns {string|null}
+ */
+function checkCassetteConfig(cassetteConfig) {
+	if (!cassetteConfig || typeof cassetteConfig !== "object") {
+		return "'cassette' must be an object";
+	}
+	if (cassetteConfig.file !== undefined && (typeof cassetteConfig.file !== "string" || !cassetteConfig.file)) {
+		return "'cassette.file' must be a non-empty string";
+	}
+	if (cassetteConfig.mode !== undefined && !CASSETTE_MODES.includes(cassetteConfig.mode)) {
+		return `'cassette.mode' must be one of ${CASSETTE_MODES.join(", ")}`;
+	}
+	return null;
+}
+
 /**
  * Check if there are any issues with the given QConfig
  * @param {QConfig} qConfig
@@ -558,13 +3950,136 @@ export function checkQConfig(qConfig) {
 			return ce("'scoreReq' should be >= 0");
 		}
 	}
+
+	const samples = qConfig.samples ?? 1;
+	if (!Number.isInteger(samples)) {
+		return ce("'samples' must be an integer");
+	} else if (samples < 1) {
+		return ce("'samples' should be >= 1");
+	}
+
+	if (qConfig.k !== undefined) {
+		if (!Number.isInteger(qConfig.k)) {
+			return ce("'k' must be an integer");
+		} else if (qConfig.k < 1 || qConfig.k > samples) {
+			return ce("'k' should be between 1 and 'samples'");
+		}
+	}
+
+	if (qConfig.passCriteria !== undefined && !PASS_CRITERIA.includes(qConfig.passCriteria)) {
+		return ce(`'passCriteria' must be one of ${PASS_CRITERIA.join(", ")}`);
+	}
+
+	const retryError = checkRetryOptions(qConfig);
+	if (retryError) {
+		return ce(retryError);
+	}
+
+	if (qConfig.modelId !== undefined && typeof qConfig.modelId !== "string") {
+		return ce("'modelId' must be a string");
+	}
+
+	if (qConfig.tags !== undefined) {
+		if (!Array.isArray(qConfig.tags)) {
+			return ce("'tags' must be an array of strings");
+		}
+		for (let tag of qConfig.tags) {
+			if (typeof tag !== "string" || !TAG_PATTERN.test(tag)) {
+				return ce(`'tags' can't have '${tag}', tags can't be empty or have spaces, '&', '|', '!' or parentheses`);
+			}
+		}
+	}
+	for (let option of /** @type {const} */(["only", "skip"])) {
+		if (qConfig[option] !== undefined && typeof qConfig[option] !== "boolean") {
+			return ce(`'${option}' must be a boolean`);
+		}
+	}
+
+	if (qConfig.cassette !== undefined) {
+		const cassetteError = checkCassetteConfig(qConfig.cassette);
+		if (cassetteError) {
+			return ce(cassetteError);
+		}
+	}
+
+	if (qConfig.vars !== undefined) {
+		if (typeof qConfig.vars !== "object" || qConfig.vars === null || Array.isArray(qConfig.vars)) {
+			return ce("'vars' must be an object");
+		}
+	}
+
+	if (qConfig.tools !== undefined) {
+		if (typeof qConfig.tools !== "object" || qConfig.tools === null || Array.isArray(qConfig.tools)) {
+			return ce("'tools' must be an object");
+		}
+		for (let [name, handler] of Object.entries(qConfig.tools)) {
+			if (typeof handler !== "function") {
+				return ce(`Tool '${name}' must be a function`);
+			}
+		}
+	}
+	if (qConfig.maxToolRounds !== undefined && (!Number.isInteger(qConfig.maxToolRounds) || qConfig.maxToolRounds < 1)) {
+		return ce("'maxToolRounds' must be an integer >= 1");
+	}
+
+	const conversation = qConfig.conversation;
+	if (conversation !== undefined) {
+		if (typeof conversation !== "object" || conversation === null) {
+			return ce("'conversation' must be an object");
+		} else if (conversation.userTurns !== undefined && !Array.isArray(conversation.userTurns)) {
+			return ce("'userTurns' must be an array");
+		} else if (conversation.maxTurns !== undefined && (!Number.isInteger(conversation.maxTurns) || conversation.maxTurns < 1)) {
+			return ce("'maxTurns' must be an integer >= 1");
+		} else if (conversation.stopWhen !== undefined && typeof conversation.stopWhen !== "function") {
+			return ce("'stopWhen' must be a function");
+		}
+	}
 	return null;
 }
 
+/**
+ * Copy the documented PartialQConfig fields, so internal and unknown keys aren't carried into a QConfig
+ * @param {PartialQConfig} partialQConfig
+ * @returns {PartialQConfig}
+ */
+function pickPartialQConfig({
+	scoreReq, vars, samples, k, passCriteria, timeoutMs, retries, retryDelayMs, retryable,
+	modelId, cassette, tools, maxToolRounds, reduceChunks, tags, only, skip
+}) {
+	return {
+		scoreReq, vars, samples, k, passCriteria, timeoutMs, retries, retryDelayMs, retryable,
+		modelId, cassette, tools, maxToolRounds, reduceChunks, tags, only, skip
+	};
+}
+
 export class QCRunner {
-	constructor() {
+	/**
+	 * Create a QCRunner. Throws a QError if there is a problem with the options.
+	 * @param {QCRunnerOptions} options
+	 */
+	constructor({ cassette=undefined, promptDir=undefined, snapshotFile=undefined, pricing=undefined }={}) {
 		/** @type {Object.<string, QCDef[]>} */
 		this.promptQCDefs = {};
+		/** @type {undefined|string} */
+		this.promptDir = promptDir;
+		/** @type {undefined|string} */
+		this.snapshotFile = snapshotFile;
+
+		const pricingError = checkPricing(pricing);
+		if (pricingError) {
+			throw new QError(pricingError, undefined, Step.ParseConfig);
+		}
+		/** @type {undefined|PricingTable} */
+		this.pricing = pricing;
+
+		if (cassette !== undefined) {
+			const cassetteError = checkCassetteConfig(cassette);
+			if (cassetteError) {
+				throw new QError(cassetteError, undefined, Step.ParseConfig);
+			}
+		}
+		/** @type {undefined|CassetteConfig} */
+		this.cassette = cassette;
 	}
 
 	/**
@@ -580,6 +4095,10 @@ export class QCRunner {
 		completionFunc,
 		testFunc
 	) {
+		if (this.promptDir && typeof qConfig.promptFile === "string" && qConfig.promptFile && !isAbsolute(qConfig.promptFile)) {
+			qConfig = { ...qConfig, promptFile: resolve(this.promptDir, qConfig.promptFile) };
+		}
+
 		const configError = checkQConfig(qConfig);
 		if (configError) {
 			// TODO: Provide better feedback
@@ -610,60 +4129,287 @@ export class QCRunner {
 	 * @param {string} promptGrp
 	 * @param {CompletionFunc} completionFunc
 	 * @param {TestFunc} testFunc
-	 * @param {PartialQConfig} partialQConfig
-	 * @returns {QCDef}
+	 * @param {PartialQConfig} partialQConfig
+	 * @returns {QCDef}
+	 */
+	test(
+		testName,
+		promptFile,
+		promptGrp,
+		completionFunc,
+		testFunc,
+		partialQConfig={}
+	) {
+		return this.qcDef(
+			{
+				...pickPartialQConfig(partialQConfig),
+				testName,
+				promptFile,
+				promptGrp
+			},
+			completionFunc,
+			testFunc
+		);
+	}
+
+	/**
+	 * Chat Complete the prompts for a given promptGrp, but don't worry about testing.
+	 * @param {string} testName
+	 * @param {string} promptFile
+	 * @param {string} promptGrp
+	 * @param {CompletionFunc} completionFunc
+	 * @param {PartialQConfig} partialQConfig
+	 * @returns {QCDef}
+	 */
+	complete(
+		testName,
+		promptFile,
+		promptGrp,
+		completionFunc,
+		partialQConfig={}
+	) {
+		return this.qcDef(
+			{
+				...pickPartialQConfig(partialQConfig),
+				testName,
+				promptFile,
+				promptGrp
+			},
+			completionFunc,
+			COMPLETE_ONLY_TEST
+		);
+	}
+
+	/**
+	 * Test a multi-turn conversation starting from the prompts for a given promptGrp.
+	 * After each reply the test runs, then the next user message from QContext#reply or
+	 * userTurns is added and the completion is called again. The conversation ends when
+	 * there's no next user message, the test calls QContext#stop, stopWhen returns true
+	 * or maxTurns is reached.
+	 * @param {string} testName
+	 * @param {string} promptFile
+	 * @param {string} promptGrp
+	 * @param {CompletionFunc} completionFunc
+	 * @param {TestFunc} testFunc - Runs for every turn, see QContext#turn
+	 * @param {ConversationOptions} conversationOptions
+	 * @returns {QCDef}
+	 */
+	conversation(
+		testName,
+		promptFile,
+		promptGrp,
+		completionFunc,
+		testFunc,
+		{ userTurns=undefined, maxTurns=undefined, stopWhen=undefined, ...partialQConfig }={}
+	) {
+		return this.qcDef(
+			{
+				...pickPartialQConfig(partialQConfig),
+				testName,
+				promptFile,
+				promptGrp,
+				conversation: { userTurns, maxTurns, stopWhen }
+			},
+			completionFunc,
+			testFunc
+		);
+	}
+
+	/**
+	 * Run the same test over every row of a JSONL or CSV cases file.
+	 * Each row creates its own QCDef, named by the row index or the keyColumn,
+	 * and its vars and expected values are given to the test via QContext.
+	 * Throws a QError if the cases file can't be read.
+	 * @param {string} testName - Also used as the dataset name in the QCSummary
+	 * @param {string} promptFile
+	 * @param {string} promptGrp
+	 * @param {string} casesFile
+	 * @param {CompletionFunc} completionFunc
+	 * @param {TestFunc} testFunc
+	 * @param {EachOptions} eachOptions
+	 * @returns {QCDef[]}
 	 */
-	test(
+	each(
 		testName,
 		promptFile,
 		promptGrp,
+		casesFile,
 		completionFunc,
 		testFunc,
-		{ scoreReq=undefined }={}
+		{ keyColumn=undefined, ...partialQConfig }={}
 	) {
-		return this.qcDef(
+		/** @type {TestCase[]} */
+		let testCases;
+		try {
+			testCases = readCasesFile(casesFile, keyColumn);
+		} catch(e) {
+			if (e instanceof Error) {
+				throw new QError(e.message, e, Step.ParseConfig);
+			}
+			throw new QError(`'casesFile' '${casesFile}' could not be read`, undefined, Step.ParseConfig);
+		}
+
+		return testCases.map((testCase) => this.qcDef(
 			{
-				testName,
+				...pickPartialQConfig(partialQConfig),
+				testName: `${testName} [${testCase.name}]`,
 				promptFile,
 				promptGrp,
-				scoreReq
+				vars: testCase.vars,
+				dataset: testName,
+				testCase
 			},
 			completionFunc,
 			testFunc
-		);
+		));
 	}
 
 	/**
-	 * Chat Complete the prompts for a given promptGrp, but don't worry about testing.
+	 * Run the same test against several models. Each completionFunc creates its own
+	 * QCDef, named and tagged by its key, and the QCSummary gets a modelComparison
+	 * of every model's score, pass rate, time and cost for the prompt group.
+	 * The key is also used as the modelId, unless one is given.
+	 * Throws a QError if completionFuncs isn't an object of functions.
 	 * @param {string} testName
 	 * @param {string} promptFile
 	 * @param {string} promptGrp
-	 * @param {CompletionFunc} completionFunc
-	 * @returns {QCDef}
+	 * @param {Object.<string, CompletionFunc>} completionFuncs - Keyed by a name for the model
+	 * @param {TestFunc} testFunc
+	 * @param {PartialQConfig} partialQConfig
+	 * @returns {QCDef[]}
 	 */
-	complete(
+	matrix(
 		testName,
 		promptFile,
 		promptGrp,
-		completionFunc
+		completionFuncs,
+		testFunc,
+		partialQConfig={}
 	) {
-		return this.qcDef(
+		if (typeof completionFuncs !== "object" || completionFuncs === null || Array.isArray(completionFuncs)) {
+			throw new QError("'completionFuncs' must be an object of completion functions", undefined, Step.ParseConfig);
+		}
+		const entries = Object.entries(completionFuncs);
+		if (entries.length === 0) {
+			throw new QError("'completionFuncs' must have at least one completion function", undefined, Step.ParseConfig);
+		}
+		for (let [modelKey, completionFunc] of entries) {
+			if (typeof completionFunc !== "function") {
+				throw new QError(`'completionFuncs.${modelKey}' must be a function`, undefined, Step.ParseConfig);
+			}
+		}
+
+		return entries.map(([modelKey, completionFunc]) => this.qcDef(
 			{
-				testName,
+				...pickPartialQConfig(partialQConfig),
+				modelId: partialQConfig.modelId ?? modelKey,
+				testName: `${testName} [${modelKey}]`,
 				promptFile,
-				promptGrp
+				promptGrp,
+				modelKey
 			},
 			completionFunc,
-			COMPLETE_ONLY_TEST
-		);
+			testFunc
+		));
 	}
 
 	/**
+	 * Run every QCDef. Completion calls can be limited by concurrency and rate,
+	 * in which case they wait their turn in a queue. Once the maxCost or maxTokens
+	 * budget is used up no more tests are started, and those left are skipped.
+	 * The budget is checked as each test's first call is dispatched, and calls
+	 * are made one at a time under a budget unless a concurrency is given.
+	 * @param {RunOptions} runOptions
 	 * @returns {Promise<QCSummary>}
 	 */
-	async run() {
+	async run(runOptions={}) {
 		const startTotal = performance.now();
 
+		const { concurrency, requestsPerMinute, tokensPerMinute, maxCost, maxTokens } = runOptions;
+		for (let [name, limit] of Object.entries({ concurrency, requestsPerMinute, tokensPerMinute, maxCost, maxTokens })) {
+			if (limit !== undefined && (typeof limit !== "number" || !(limit > 0))) {
+				throw new QError(`'${name}' must be a number > 0`, undefined, Step.ParseConfig);
+			}
+		}
+		const retryError = checkRetryOptions(runOptions);
+		if (retryError) {
+			throw new QError(retryError, undefined, Step.ParseConfig);
+		}
+		const { tagFilter, promptFileFilter, promptGrpFilter } = runOptions;
+		if (tagFilter !== undefined && typeof tagFilter !== "string") {
+			throw new QError("'tagFilter' must be a string", undefined, Step.ParseConfig);
+		}
+		for (let [name, filter] of Object.entries({ promptFileFilter, promptGrpFilter })) {
+			if (filter !== undefined && (!Array.isArray(filter) || filter.some((item) => typeof item !== "string"))) {
+				throw new QError(`'${name}' must be an array of strings`, undefined, Step.ParseConfig);
+			}
+		}
+		const allQCDefs = Object.values(this.promptQCDefs).flat();
+		/** @type {TestSelection} */
+		const selection = {
+			hasOnly: allQCDefs.some((qcDef) => qcDef.qConfig.only),
+			testNameFilter: runOptions.testNameFilter,
+			tagPredicate: tagFilter === undefined ? undefined : parseTagFilter(tagFilter),
+			promptFiles: promptFileFilter && new Set(promptFileFilter.map((promptFile) => resolve(this.promptDir ?? "", promptFile))),
+			promptGrps: promptGrpFilter && new Set(promptGrpFilter)
+		};
+		/** @type {undefined|RunBudget} */
+		let budget = undefined;
+		if (maxCost !== undefined || maxTokens !== undefined) {
+			budget = { maxCost: maxCost ?? null, maxTokens: maxTokens ?? null, cost: 0, tokens: 0 };
+		}
+		/** @type {undefined|CompletionScheduler} */
+		let scheduler = undefined;
+		if (concurrency || requestsPerMinute || tokensPerMinute || budget) {
+			// Without a limit every test would be dispatched before any usage is counted
+			scheduler = new CompletionScheduler({
+				concurrency: concurrency ?? (budget ? 1 : undefined),
+				requestsPerMinute,
+				tokensPerMinute
+			});
+		}
+
+		/** @type {Map<string, Cassette>} */
+		const cassettes = new Map();
+		/** @type {Map<string, SnapshotFile>} */
+		const snapshotFiles = new Map();
+		/** @type {EmbeddingCache} */
+		const embeddingCache = new Map();
+		/**
+		 * Get the loaded cassette, its mode and the snapshot file for a QCDef
+		 * @param {QCDef} qcDef
+		 * @returns {Promise<RunContext>}
+		 */
+		const makeRunContext = async (qcDef) => {
+			const snapshotFilepath = this.snapshotFile ?? defaultSnapshotFile(qcDef.qConfig.promptFile);
+			let snapshotFile = snapshotFiles.get(snapshotFilepath);
+			// Only loaded once a test checks a snapshot
+			if (!snapshotFile) {
+				snapshotFile = new SnapshotFile(snapshotFilepath);
+				snapshotFiles.set(snapshotFilepath, snapshotFile);
+			}
+			const runContext = {
+				scheduler,
+				budget,
+				pricing: this.pricing,
+				snapshotFile,
+				embeddingCache
+			};
+
+			const cassetteMode = qcDef.qConfig.cassette?.mode ?? this.cassette?.mode ?? "auto";
+			const cassetteFile = qcDef.qConfig.cassette?.file ?? this.cassette?.file;
+			if (!cassetteFile || cassetteMode === "off") {
+				return runContext;
+			}
+			let cassette = cassettes.get(cassetteFile);
+			if (!cassette) {
+				cassette = new Cassette(cassetteFile);
+				cassettes.set(cassetteFile, cassette);
+				await cassette.load();
+			}
+			return { ...runContext, cassette, cassetteMode };
+		};
+
 		/** @type {QCResult[]} */
 		const qcResults = [];
 		/** @type {SummaryTimeStats} */
@@ -674,6 +4420,15 @@ export class QCRunner {
 		/** @type {QCSummary} */
 		const qcSummary = {
 			qcResults,
+			datasetStats: {},
+			modelComparison: null,
+			snapshotStats: {
+				numAdded: 0,
+				numUpdated: 0,
+				numRemoved: 0,
+				obsolete: []
+			},
+			usageStats: calcUsageStats([]),
 			timeStats
 		};
 
@@ -682,31 +4437,48 @@ export class QCRunner {
 
 		const promptFilepaths = Object.keys(this.promptQCDefs);
 		for (let promptFilepath of promptFilepaths) {
-			let promptGrps;
-			try {
-				promptGrps = await readPromptFile(promptFilepath);
-			} catch(e) {
-				if (e instanceof Error) {
-					console.log(e.toString());
-				} else {
-					console.log(`${promptFilepath}: Problem reading file`);
+			/** @type {QCDef[]} */
+			const qcDefs = this.promptQCDefs[promptFilepath] ?? [];
+			const skipReasons = qcDefs.map((qcDef) => getSkipReason(qcDef.qConfig, selection));
+
+			// The file only needs reading if any of its tests will run
+			let promptGrps = undefined;
+			/** @type {null|QError} */
+			let readError = null;
+			if (skipReasons.some((skipReason) => skipReason === null)) {
+				try {
+					promptGrps = await readPromptFile(promptFilepath);
+				} catch(e) {
+					readError = e instanceof Error
+						? new QError("", e, Step.ReadPromptFile)
+						: new QError(`${promptFilepath}: Problem reading file`, undefined, Step.ReadPromptFile);
 				}
-				continue;
 			}
 
-			/** @type {QCDef[]} */
-			const qcDefs = this.promptQCDefs[promptFilepath] ?? [];
-			for (let qcDef of qcDefs) {
+			for (let [i, qcDef] of qcDefs.entries()) {
+				const skipReason = skipReasons[i];
+				if (skipReason !== null) {
+					const qcResult = createQCResult(qcDef.qConfig);
+					qcResult.skipped = true;
+					qcResult.skipReason = skipReason;
+					qcPromises.push(Promise.resolve(qcResult));
+					continue;
+				}
 				const promptGrp = qcDef.qConfig.promptGrp;
 				/** type {undefined|Prompt[]} */
-				const prompts = promptGrps[promptGrp];
+				const prompts = promptGrps?.[promptGrp];
+				// Tests that can't get their prompts fail instead of being left out of the summary
 				if (!prompts) {
-					console.log(
-						`${qcDef.qConfig.promptFile}: promptGrp '${promptGrp}' does not exist`
+					const qcResult = createQCResult(qcDef.qConfig);
+					qcResult.error = readError ?? new QError(
+						`${qcDef.qConfig.promptFile}: promptGrp '${promptGrp}' does not exist`,
+						undefined,
+						Step.ReadPromptFile
 					);
+					qcPromises.push(Promise.resolve(qcResult));
 					continue;
 				}
-				qcPromises.push(processQCDef(qcDef, prompts));
+				qcPromises.push(processQCDef(qcDef, prompts, runOptions, await makeRunContext(qcDef)));
 			}
 		}
 
@@ -718,23 +4490,113 @@ export class QCRunner {
 			}
 			// TODO: Record the rejected ones as well
 		}
+		qcSummary.datasetStats = calcDatasetStats(qcResults);
+		qcSummary.modelComparison = compareModels(qcResults);
+		qcSummary.usageStats = calcUsageStats(qcResults);
+
+		/** @type {Set<string>} */
+		const registeredTests = new Set();
+		for (let qcDefs of Object.values(this.promptQCDefs)) {
+			for (let qcDef of qcDefs) {
+				registeredTests.add(makeSnapshotTestKey(qcDef.qConfig));
+			}
+		}
+		const snapshotStats = qcSummary.snapshotStats;
+		for (let snapshotFile of snapshotFiles.values()) {
+			// Files no test used are only read to remove their obsolete snapshots
+			if (!runOptions.updateSnapshots && !snapshotFile.loading) {
+				continue;
+			}
+			await snapshotFile.load();
+			if (snapshotFile.loadError) {
+				console.log(snapshotFile.loadError.toString());
+				continue;
+			}
+			snapshotStats.numAdded += snapshotFile.numAdded;
+			snapshotStats.numUpdated += snapshotFile.numUpdated;
+			for (let { testKey, name } of snapshotFile.findObsolete(registeredTests)) {
+				if (runOptions.updateSnapshots) {
+					snapshotFile.remove(testKey, name);
+					snapshotStats.numRemoved += 1;
+				} else {
+					snapshotStats.obsolete.push(`${snapshotFile.filepath}: ${testKey} | ${name}`);
+				}
+			}
+		}
+
+		/** @type {(Cassette|SnapshotFile)[]} */
+		const files = [...cassettes.values(), ...snapshotFiles.values()];
+		for (let file of files) {
+			if (file.loadError) {
+				continue;
+			}
+			try {
+				await file.save();
+			} catch(e) {
+				if (e instanceof Error) {
+					console.log(e.toString());
+				} else {
+					console.log(`${file.filepath}: Problem saving file`);
+				}
+			}
+		}
 
 		const endTotal = performance.now();
 		const totalMs = endTotal - startTotal;
 		timeStats.totalMs = roundToNearest100th(totalMs);
-		if (results.length > 0) {
-			timeStats.avgMs = roundToNearest100th(totalMs / results.length);
+		// Skipped tests never ran, so they'd only bring the average down
+		const numRan = results.filter((result) => result.status === "rejected" || !result.value.skipped).length;
+		if (numRan > 0) {
+			timeStats.avgMs = roundToNearest100th(totalMs / numRan);
 		}
 
 		return qcSummary;
 	}
 }
 
+/**
+ * A shared QCRunner for test files to register their QCDefs with,
+ * which is what the promptqc command runs.
+ */
+export const qc = new QCRunner();
+
 /**
  * @param {Assertion} assertion
  * @returns {string}
  */
 export function makeAssertionHumanReadable(assertion) {
+	let description = describeAssertion(assertion);
+	if (assertion.message) {
+		description = `${assertion.message}: ${description}`;
+	}
+	/** @type {string[]} */
+	const tags = [];
+	if (assertion.critical) {
+		tags.push("critical");
+	}
+	if (assertion.weight !== undefined && assertion.weight !== 1) {
+		tags.push(`weight ${assertion.weight}`);
+	}
+	return tags.length > 0 ? `[${tags.join(", ")}] ${description}` : description;
+}
+
+/**
+ * @param {{ name: string, args: * }[]} toolCalls
+ * @returns {string}
+ */
+function describeToolCalls(toolCalls) {
+	if (!toolCalls || toolCalls.length === 0) {
+		return "no tool calls";
+	}
+	return toolCalls.map((toolCall) => `${toolCall.name}(${JSON.stringify(toolCall.args)})`).join(", ");
+}
+
+/**
+ * Describe what an assertion checked.
+ * @param {Assertion} assertion
+ * @returns {string}
+ */
+function describeAssertion(assertion) {
 	// NOTE: Right now all the assertions are binary operations
 	// might have to change this in the future
 	if (assertion.type === "StrictEqual") {
@@ -745,6 +4607,25 @@ export function makeAssertionHumanReadable(assertion) {
 		return `'${lstring}' expected to deep strict equal '${rstring}'`;
 	} else if (assertion.type === "Includes") {
 		return `'${assertion.lval}' expected to include '${assertion.rval}'`;
+	} else if (assertion.type === "Snapshot") {
+		return `'${assertion.name}' expected to match its snapshot\n${assertion.diff ?? ""}`;
+	} else if (assertion.type === "Judge") {
+		return `'${assertion.lval}' scored ${assertion.score} below ${assertion.threshold} on '${assertion.rval}': ${assertion.reasoning}`;
+	} else if (assertion.type === "Matches") {
+		return `'${assertion.lval}' expected to match ${assertion.rval}`;
+	} else if (assertion.type === "ValidJSON") {
+		return `'${assertion.lval}' expected to be valid JSON: ${assertion.errors?.join(", ")}`;
+	} else if (assertion.type === "JsonSchema") {
+		const errors = (assertion.errors ?? []).map((error) => `\n  ${error}`).join("");
+		return `'${JSON.stringify(assertion.lval)}' expected to match its JSON Schema${errors}`;
+	} else if (assertion.type === "ToolCalled") {
+		const args = assertion.rval.args !== undefined ? ` with ${JSON.stringify(assertion.rval.args)}` : "";
+		return `Expected a call to '${assertion.rval.name}'${args}, got ${describeToolCalls(assertion.lval)}`;
+	} else if (assertion.type === "ToolNotCalled") {
+		const expected = assertion.rval.name !== undefined ? `no call to '${assertion.rval.name}'` : "no tool calls";
+		return `Expected ${expected}, got ${describeToolCalls(assertion.lval)}`;
+	} else if (assertion.type === "Similar") {
+		return `'${assertion.lval}' expected to be similar to '${assertion.rval}' (similarity ${assertion.similarity} < ${assertion.threshold})`;
 	}
 	return "assertion failed";
 }
@@ -761,6 +4642,22 @@ export function makeQErrorHumanReadable(qError) {
 	}
 }
 
+/**
+ * @param {SampleStats} sampleStats
+ * @returns {string}
+ */
+export function makeSampleStatsHumanReadable(sampleStats) {
+	const { numSamples, k, mean, stdDev, min, max, passAtK, passHatK } = sampleStats;
+	return [
+		`Samples: ${numSamples}`,
+		`Mean: ${mean.toFixed(2)} ± ${stdDev.toFixed(2)}`,
+		`Min: ${min.toFixed(2)}`,
+		`Max: ${max.toFixed(2)}`,
+		`pass@${k}: ${passAtK.toFixed(2)}`,
+		`pass^${k}: ${passHatK.toFixed(2)}`
+	].join(" | ");
+}
+
 /** @typedef {string} ColorCode */
 /** @type {Object.<string, string>} */
 export const FgColorCode = Object.freeze({
@@ -780,8 +4677,447 @@ export const FgColorCode = Object.freeze({
 export async function saveSummaryToJSON(qcSummary, saveFile) {
 	const outJSON = JSON.stringify(qcSummary, null, 2);
 	await writeFile(saveFile, outJSON, {
-		encoding: "ascii" // might want flush: true
+		encoding: "utf8" // might want flush: true
+	});
+}
+
+/**
+ * Escape a value for use in XML text or attributes.
+ * Drops the control characters XML doesn't allow.
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeXML(value) {
+	return String(value)
+		.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "")
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&apos;");
+}
+
+/**
+ * Convert a QCSummary to JUnit XML. Each QCResult is a testcase, grouped into
+ * testsuites by prompt file or prompt group.
+ * @param {QCSummary} qcSummary
+ * @param {JUnitOptions} junitOptions
+ * @returns {string}
+ */
+export function summaryToJUnit(qcSummary, { groupBy="promptFile" }={}) {
+	/**
+	 * @param {number} ms
+	 * @returns {string}
+	 */
+	const toSeconds = (ms) => (ms / 1000).toFixed(3);
+
+	/** @type {Map<string, QCResult[]>} */
+	const suites = new Map();
+	for (let qcResult of qcSummary.qcResults) {
+		const suiteName = (groupBy === "promptGrp" ? qcResult.promptGrp : qcResult.promptFile) ?? "";
+		const suite = suites.get(suiteName) ?? [];
+		suite.push(qcResult);
+		suites.set(suiteName, suite);
+	}
+
+	/**
+	 * Flatten nested values into dotted property names, leaving out unset ones
+	 * @param {string} prefix
+	 * @param {Object.<string, *>} values
+	 * @returns {[string, *][]}
+	 */
+	const flattenProperties = (prefix, values) => Object.entries(values).flatMap(([name, value]) => {
+		if (value === null || value === undefined) {
+			return [];
+		} else if (typeof value === "object") {
+			return flattenProperties(`${prefix}${name}.`, value);
+		}
+		return [/** @type {[string, *]} */([`${prefix}${name}`, value])];
+	});
+
+	let numTests = 0;
+	let numFailures = 0;
+	let numErrors = 0;
+	let numSkipped = 0;
+	/** @type {string[]} */
+	const suiteLines = [];
+	for (let [suiteName, qcResults] of suites) {
+		let suiteFailures = 0;
+		let suiteErrors = 0;
+		let suiteSkipped = 0;
+		let suiteMs = 0;
+		/** @type {string[]} */
+		const caseLines = [];
+
+		for (let qcResult of qcResults) {
+			const timeStats = qcResult.timeStats;
+			suiteMs += timeStats.totalMs;
+			const className = groupBy === "promptGrp" ? qcResult.promptFile : qcResult.promptGrp;
+			caseLines.push(
+				`    <testcase name="${escapeXML(qcResult.testName)}" classname="${escapeXML(className)}" time="${toSeconds(timeStats.totalMs)}">`
+			);
+
+			/** @type {[string, *][]} */
+			const properties = [
+				["score", qcResult.score],
+				["scoreReq", qcResult.scoreReq],
+				["numAssertions", qcResult.numAssertions],
+				...flattenProperties("", timeStats),
+				...flattenProperties("usage.", qcResult.usage ?? {}),
+				...Object.entries(qcResult.storedVars).map(([name, value]) => {
+					return /** @type {[string, *]} */([`storedVars.${name}`, value]);
+				})
+			];
+			caseLines.push("      <properties>");
+			for (let [name, value] of properties) {
+				caseLines.push(`        <property name="${escapeXML(name)}" value="${escapeXML(value)}"/>`);
+			}
+			caseLines.push("      </properties>");
+
+			if (qcResult.skipped) {
+				suiteSkipped += 1;
+				caseLines.push(`      <skipped message="${escapeXML(qcResult.skipReason ?? "")}"/>`);
+			} else if (qcResult.error) {
+				suiteErrors += 1;
+				const message = makeQErrorHumanReadable(qcResult.error);
+				caseLines.push(
+					`      <error message="${escapeXML(message)}" type="${escapeXML(qcResult.error.step)}">${escapeXML(message)}</error>`
+				);
+			} else if (!qcResult.passed) {
+				suiteFailures += 1;
+				if (qcResult.failedAssertions.length === 0) {
+					const message = `Score ${qcResult.score.toFixed(2)} with scoreReq ${qcResult.scoreReq.toFixed(2)}`;
+					caseLines.push(`      <failure message="${escapeXML(message)}" type="Failed"/>`);
+				}
+				for (let assertion of qcResult.failedAssertions) {
+					const message = makeAssertionHumanReadable(assertion);
+					caseLines.push(
+						`      <failure message="${escapeXML(message)}" type="${escapeXML(assertion.type)}">${escapeXML(message)}</failure>`
+					);
+				}
+			}
+			caseLines.push("    </testcase>");
+		}
+
+		numTests += qcResults.length;
+		numFailures += suiteFailures;
+		numErrors += suiteErrors;
+		numSkipped += suiteSkipped;
+		suiteLines.push(
+			`  <testsuite name="${escapeXML(suiteName)}" tests="${qcResults.length}" failures="${suiteFailures}" errors="${suiteErrors}" skipped="${suiteSkipped}" time="${toSeconds(suiteMs)}">`,
+			...caseLines,
+			"  </testsuite>"
+		);
+	}
+
+	return [
+		`<?xml version="1.0" encoding="UTF-8"?>`,
+		`<testsuites name="promptqc" tests="${numTests}" failures="${numFailures}" errors="${numErrors}" skipped="${numSkipped}" time="${toSeconds(qcSummary.timeStats.totalMs)}">`,
+		...suiteLines,
+		"</testsuites>",
+		""
+	].join("\n");
+}
+
+/**
+ * Save the Run Output to a JUnit XML file for CI systems.
+ * @param {QCSummary} qcSummary
+ * @param {string} saveFile
+ * @param {JUnitOptions} [junitOptions]
+ */
+export async function saveSummaryToJUnit(qcSummary, saveFile, junitOptions={}) {
+	await writeFile(saveFile, summaryToJUnit(qcSummary, junitOptions), {
+		encoding: "utf8"
+	});
+}
+
+/**
+ * Convert a QCSummary to a single HTML page that can be opened offline.
+ * Results can be filtered by status, prompt group and test name, and expand to show
+ * their conversation, failed assertions, stored vars and timings.
+ * @param {QCSummary} qcSummary
+ * @param {string} [title]
+ * @returns {string}
+ */
+export function summaryToHTML(qcSummary, title="promptqc Report") {
+	/**
+	 * @param {*} value
+	 * @returns {string}
+	 */
+	const toText = (value) => typeof value === "string" ? value : JSON.stringify(value, null, 2) ?? String(value);
+
+	return renderHTMLReport({
+		title,
+		totalMs: qcSummary.timeStats.totalMs,
+		results: qcSummary.qcResults.map((qcResult) => ({
+			testName: qcResult.testName,
+			promptFile: qcResult.promptFile,
+			promptGrp: qcResult.promptGrp,
+			status: qcResult.skipped ? "skipped" : qcResult.error ? "errored" : (qcResult.passed ? "passed" : "failed"),
+			score: qcResult.score,
+			scoreReq: qcResult.scoreReq,
+			timeStats: { ...qcResult.timeStats },
+			prompts: qcResult.prompts,
+			failedAssertions: qcResult.failedAssertions.map((assertion) => ({
+				type: assertion.type,
+				lval: toText(assertion.lval),
+				rval: toText(assertion.rval),
+				message: makeAssertionHumanReadable(assertion)
+			})),
+			storedVars: qcResult.storedVars,
+			error: qcResult.error ? makeQErrorHumanReadable(qcResult.error) : null,
+			skipReason: qcResult.skipReason ?? null,
+			usage: qcResult.usage ? { ...qcResult.usage } : null
+		}))
+	});
+}
+
+/**
+ * Save the Run Output to a self-contained HTML report.
+ * @param {QCSummary} qcSummary
+ * @param {string} saveFile
+ * @param {string} [title]
+ */
+export async function saveSummaryToHTML(qcSummary, saveFile, title=undefined) {
+	await writeFile(saveFile, summaryToHTML(qcSummary, title), {
+		encoding: "utf8"
+	});
+}
+
+/**
+ * Read in a QCSummary saved with saveSummaryToJSON.
+ * @param {string} filepath
+ * @returns {Promise<QCSummary>}
+ * @throws {Error}
+ */
+export async function loadSummaryFromJSON(filepath) {
+	const json = await readFile(filepath, {
+		encoding: "utf8"
 	});
+	const data = JSON.parse(json);
+	if (!data || !Array.isArray(data.qcResults)) {
+		throw new Error(`${filepath}: Missing 'qcResults'`);
+	}
+	return /** @type {QCSummary} */(data);
+}
+
+/**
+ * Key the QCResults by testName and promptGrp. Repeats of the same key
+ * get a count added so they're matched up in order.
+ * @param {QCResult[]} qcResults
+ * @returns {Map<string, QCResult>}
+ */
+function keyQCResults(qcResults) {
+	/** @type {Map<string, QCResult>} */
+	const keyed = new Map();
+	/** @type {Map<string, number>} */
+	const counts = new Map();
+	for (let qcResult of qcResults) {
+		const baseKey = JSON.stringify([qcResult.testName, qcResult.promptGrp]);
+		const count = counts.get(baseKey) ?? 0;
+		counts.set(baseKey, count + 1);
+		keyed.set(count === 0 ? baseKey : `${baseKey}#${count}`, qcResult);
+	}
+	return keyed;
+}
+
+/**
+ * Compare two QCSummaries, matching their results by testName and promptGrp.
+ * A result regressed if it newly fails, newly errors or its score dropped by more than the tolerance.
+ * Skipped results are never regressions, and a result skipped in the baseline counts as added.
+ * @param {QCSummary} baseline
+ * @param {QCSummary} current
+ * @param {ComparisonOptions} comparisonOptions
+ * @returns {SummaryComparison}
+ */
+export function compareSummaries(baseline, current, { tolerance=0 }={}) {
+	const baselineResults = keyQCResults(baseline.qcResults);
+	const currentResults = keyQCResults(current.qcResults);
+
+	/** @type {ResultComparison[]} */
+	const results = [];
+	const keys = [...currentResults.keys(), ...[...baselineResults.keys()].filter((key) => !currentResults.has(key))];
+	for (let key of keys) {
+		const baselineResult = baselineResults.get(key);
+		const currentResult = currentResults.get(key);
+		// One of them always exists
+		const either = /** @type {QCResult} */(currentResult ?? baselineResult);
+		// Skipped results have nothing to compare
+		const before = baselineResult?.skipped ? undefined : baselineResult;
+		const after = currentResult?.skipped ? undefined : currentResult;
+
+		const scoreDelta = before && after ? roundToNearest100th(after.score - before.score) : 0;
+		const newlyFailing = Boolean(before?.passed && after && !after.passed);
+		const newlyPassing = Boolean(before && !before.passed && after?.passed);
+		const newError = Boolean(before && !before.error && after?.error);
+
+		/** @type {ComparisonStatus} */
+		let status = "unchanged";
+		if (currentResult?.skipped) {
+			status = "skipped";
+		} else if (!currentResult) {
+			status = "removed";
+		} else if (!before) {
+			status = "added";
+		} else if (newlyFailing || newError || scoreDelta < -tolerance) {
+			status = "regressed";
+		} else if (newlyPassing || scoreDelta > tolerance) {
+			status = "improved";
+		}
+
+		const baselineMs = before?.timeStats.totalMs ?? null;
+		const currentMs = after?.timeStats.totalMs ?? null;
+		results.push({
+			testName: either.testName,
+			promptGrp: either.promptGrp,
+			status,
+			baselineScore: before?.score ?? null,
+			currentScore: after?.score ?? null,
+			scoreDelta,
+			baselinePassed: before?.passed ?? null,
+			currentPassed: after?.passed ?? null,
+			newlyFailing,
+			newlyPassing,
+			newError,
+			baselineMs,
+			currentMs,
+			msDelta: baselineMs !== null && currentMs !== null ? roundToNearest100th(currentMs - baselineMs) : 0
+		});
+	}
+
+	/**
+	 * @param {function(ResultComparison): boolean} predicate
+	 * @returns {number}
+	 */
+	const count = (predicate) => results.filter(predicate).length;
+	const numRegressed = count((result) => result.status === "regressed");
+	return {
+		tolerance,
+		results,
+		numRegressed,
+		numImproved: count((result) => result.status === "improved"),
+		numUnchanged: count((result) => result.status === "unchanged"),
+		numAdded: count((result) => result.status === "added"),
+		numRemoved: count((result) => result.status === "removed"),
+		numSkipped: count((result) => result.status === "skipped"),
+		numNewlyFailing: count((result) => result.newlyFailing),
+		numNewlyPassing: count((result) => result.newlyPassing),
+		numNewErrors: count((result) => result.newError),
+		totalMsDelta: roundToNearest100th(current.timeStats.totalMs - baseline.timeStats.totalMs),
+		hasRegressions: numRegressed > 0
+	};
+}
+
+/**
+ * Print a SummaryComparison to stdout. Unchanged results are only counted.
+ * @param {SummaryComparison} comparison
+ */
+export function printComparison(comparison) {
+	/**
+	 * @param {number} n
+	 * @param {number} [digits]
+	 * @returns {string}
+	 */
+	const signed = (n, digits=2) => `${n >= 0 ? "+" : ""}${n.toFixed(digits)}`;
+
+	for (let result of comparison.results) {
+		const name = `${result.testName} | ${result.promptGrp}`;
+		if (result.status === "regressed" || result.status === "improved") {
+			const color = result.status === "regressed" ? FgColorCode.Red : FgColorCode.Green;
+			const marker = result.status === "regressed" ? "-" : "+";
+			/** @type {string[]} */
+			const notes = [];
+			if (result.newlyFailing) {
+				notes.push("newly failing");
+			}
+			if (result.newlyPassing) {
+				notes.push("newly passing");
+			}
+			if (result.newError) {
+				notes.push("new error");
+			}
+			const scores = `Score: ${result.baselineScore?.toFixed(2)} -> ${result.currentScore?.toFixed(2)} (${signed(result.scoreDelta)})`;
+			const noteString = notes.length > 0 ? ` | ${notes.join(", ")}` : "";
+			console.log(
+				`${color}${marker} ${name} | ${scores}${noteString} ${FgColorCode.Gray}(${signed(result.msDelta)}ms)`
+			);
+		} else if (result.status === "added") {
+			console.log(`${FgColorCode.White}* ${name} | added ${FgColorCode.Gray}(Score: ${result.currentScore?.toFixed(2)})`);
+		} else if (result.status === "removed") {
+			console.log(`${FgColorCode.Gray}* ${name} | removed`);
+		} else if (result.status === "skipped") {
+			console.log(`${FgColorCode.Gray}~ ${name} | skipped`);
+		}
+	}
+
+	console.log(FgColorCode.Clear);
+	console.log(`* ${comparison.numRegressed} regressed, ${comparison.numImproved} improved, ${comparison.numUnchanged} unchanged`);
+	console.log(`* ${comparison.numAdded} added, ${comparison.numRemoved} removed, ${comparison.numSkipped ?? 0} skipped`);
+	console.log(`* ${comparison.numNewlyFailing} newly failing, ${comparison.numNewlyPassing} newly passing, ${comparison.numNewErrors} new errors`);
+	console.log(`* ${signed(comparison.totalMsDelta)}ms total`);
+}
+
+/**
+ * @param {ResultUsage|UsageTotals} usage
+ * @returns {string}
+ */
+function describeUsage(usage) {
+	let description = `${usage.totalTokens} tokens`;
+	if (usage.cost !== null) {
+		description += `, $${usage.cost.toFixed(4)}`;
+	}
+	if ("numUnpriced" in usage && usage.numUnpriced > 0) {
+		description += ` (${usage.numUnpriced} unpriced)`;
+	}
+	return description;
+}
+
+/**
+ * Print a ModelComparison to stdout as a table, with the best model for each prompt group starred.
+ * @param {ModelComparison} modelComparison
+ */
+export function printModelComparison(modelComparison) {
+	const header = ["", "Prompt Group", "Model", "Score", "Passed", "Avg Time", "Cost"];
+	/** @type {string[][]} */
+	const rows = [];
+	/**
+	 * @param {string} marker
+	 * @param {string} promptGrp
+	 * @param {string} modelKey
+	 * @param {ModelStats} stats
+	 */
+	const addRow = (marker, promptGrp, modelKey, stats) => {
+		rows.push([
+			marker,
+			promptGrp,
+			modelKey,
+			stats.meanScore.toFixed(2),
+			`${stats.numPassed}/${stats.numResults}`,
+			`${stats.meanMs}ms`,
+			stats.cost === null ? "-" : `$${stats.cost.toFixed(4)}`
+		]);
+	};
+	for (let grpComparison of modelComparison.promptGrps) {
+		for (let [modelKey, stats] of Object.entries(grpComparison.models)) {
+			addRow(modelKey === grpComparison.best ? "*" : "", grpComparison.promptGrp, modelKey, stats);
+		}
+	}
+	for (let modelKey of modelComparison.modelKeys) {
+		addRow("", "(all)", modelKey, modelComparison.totals[modelKey]);
+	}
+
+	const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)));
+	/** @param {string[]} row */
+	const formatRow = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+	console.log(`${FgColorCode.White}${formatRow(header)}${FgColorCode.Clear}`);
+	for (let row of rows) {
+		const color = row[0] === "*" ? FgColorCode.Green : FgColorCode.Clear;
+		console.log(`${color}${formatRow(row)}${FgColorCode.Clear}`);
+	}
+	const numBest = modelComparison.modelKeys
+		.map((modelKey) => `${modelKey} ${modelComparison.numBest[modelKey]}`)
+		.join(", ");
+	console.log(`* Best on prompt groups: ${numBest}`);
 }
 
 /**
@@ -792,19 +5128,36 @@ export function printSummary(qcSummary) {
 	for (let qcResult of qcSummary.qcResults) {
 		const scoreString = qcResult.score.toFixed(2);
 		const timeStats = qcResult.timeStats;
+		/** @type {string[]} */
+		const timeParts = [`${timeStats.totalMs}ms`];
+		if (qcResult.turns?.length > 0) {
+			timeParts.push(`${qcResult.turns.length} turns`);
+		}
+		if (typeof timeStats.ttftMs === "number") {
+			timeParts.push(`ttft ${timeStats.ttftMs}ms`);
+		}
+		if (qcResult.usage?.totalTokens > 0) {
+			timeParts.push(describeUsage(qcResult.usage));
+		}
+		if (qcResult.replayed) {
+			timeParts.push("replayed");
+		}
+		const timeString = timeParts.join(", ");
 
-		if (qcResult.passed) {
+		if (qcResult.skipped) {
+			console.log(`${FgColorCode.Gray}~ ${qcResult.testName} | ${qcResult.promptGrp} | Skipped: ${qcResult.skipReason}`);
+		} else if (qcResult.passed) {
 			console.log(
-				`${FgColorCode.Green}+ ${qcResult.testName} | ${qcResult.promptGrp} | Score: ${scoreString} ${FgColorCode.Gray}(${timeStats.totalMs}ms)`
+				`${FgColorCode.Green}+ ${qcResult.testName} | ${qcResult.promptGrp} | Score: ${scoreString} ${FgColorCode.Gray}(${timeString})`
 			);
 		} else {
 			if (qcResult.error) {
-				console.log(`${FgColorCode.Red}- ${qcResult.testName} | ${qcResult.promptGrp} ${FgColorCode.Gray}(${timeStats.totalMs}ms)`);
+				console.log(`${FgColorCode.Red}- ${qcResult.testName} | ${qcResult.promptGrp} ${FgColorCode.Gray}(${timeString})`);
 				console.log(
 					`${FgColorCode.Red}> ${FgColorCode.Clear}${makeQErrorHumanReadable(qcResult.error)}`
 				);
 			} else {
-				console.log(`${FgColorCode.Red}- ${qcResult.testName} | ${qcResult.promptGrp} | Score: ${scoreString} ${FgColorCode.Gray}(${timeStats.totalMs}ms)`);
+				console.log(`${FgColorCode.Red}- ${qcResult.testName} | ${qcResult.promptGrp} | Score: ${scoreString} ${FgColorCode.Gray}(${timeString})`);
 				for (let assertion of qcResult.failedAssertions) {
 					console.log(
 						`${FgColorCode.Red}> ${FgColorCode.Clear}${makeAssertionHumanReadable(assertion)}`
@@ -812,8 +5165,45 @@ export function printSummary(qcSummary) {
 				}
 			}
 		}
+
+		if (qcResult.sampleStats) {
+			console.log(
+				`${FgColorCode.Gray}  ${makeSampleStatsHumanReadable(qcResult.sampleStats)} (judged on ${qcResult.sampleStats.passCriteria})`
+			);
+		}
 	}
 
-	console.log(`${FgColorCode.Clear}\n* ${qcSummary.qcResults.length} qcs`);
+	console.log(FgColorCode.Clear);
+	for (let [dataset, stats] of Object.entries(qcSummary.datasetStats ?? {})) {
+		const meanString = stats.meanScore.toFixed(2);
+		const passString = (stats.passRate * 100).toFixed(0);
+		console.log(`* ${dataset} | ${stats.numCases} cases | Mean Score: ${meanString} | Pass Rate: ${passString}%`);
+	}
+	if (qcSummary.modelComparison) {
+		printModelComparison(qcSummary.modelComparison);
+	}
+	const snapshotStats = qcSummary.snapshotStats;
+	if (snapshotStats) {
+		if (snapshotStats.numAdded || snapshotStats.numUpdated || snapshotStats.numRemoved) {
+			console.log(
+				`* ${snapshotStats.numAdded} snapshots added, ${snapshotStats.numUpdated} updated, ${snapshotStats.numRemoved} removed`
+			);
+		}
+		if (snapshotStats.obsolete.length > 0) {
+			console.log(`* ${snapshotStats.obsolete.length} obsolete snapshots`);
+			for (let obsolete of snapshotStats.obsolete) {
+				console.log(`${FgColorCode.Gray}  ${obsolete}${FgColorCode.Clear}`);
+			}
+		}
+	}
+	const usageStats = qcSummary.usageStats;
+	if (usageStats && usageStats.total.totalTokens > 0) {
+		console.log(`* ${describeUsage(usageStats.total)}`);
+		for (let [modelId, totals] of Object.entries(usageStats.byModel)) {
+			console.log(`${FgColorCode.Gray}  ${modelId}: ${describeUsage(totals)}${FgColorCode.Clear}`);
+		}
+	}
+	const numSkipped = qcSummary.qcResults.filter((qcResult) => qcResult.skipped).length;
+	console.log(`* ${qcSummary.qcResults.length} qcs${numSkipped > 0 ? `, ${numSkipped} skipped` : ""}`);
 	console.log(`* ${qcSummary.timeStats.totalMs}ms`);
 }
@@ -0,0 +1,469 @@
+/**
+ * Parsers for the prompt file formats. Each one can also collect where every value starts,
+ * so the prompt linter can point at a line and column.
+ *
+ * @typedef {import('./main.js').Prompt} Prompt
+ * @typedef {import('./main.js').PromptMap} PromptMap
+ * @typedef {import('./main.js').PromptGrpDef} PromptGrpDef
+ *
+ * @typedef {"json"|"yaml"|"jsonl"|"markdown"} PromptFileFormat
+ *
+ * @typedef {Object} SourceLocation
+ * @property {number} line - Starts at 1
+ * @property {number} column - Starts at 1
+ *
+ * @typedef {Object} DuplicateKey
+ * @property {(string|number)[]} path
+ * @property {number} line
+ * @property {number} column
+ *
+ * @typedef {Object} PromptLocations
+ * @property {Map<string, SourceLocation>} locations - Keyed by the JSON of each value's path, like '["greeting",0]'.
+ *     Object entries start at their key and array items at the item.
+ * @property {DuplicateKey[]} duplicateKeys - When collecting locations, duplicate keys and prompt groups
+ *     are added here instead of throwing, and the last value is kept
+ */
+
+import { extname } from "node:path";
+import { parseYAML } from "./yaml.js";
+
+/** The roles a Markdown '### role' heading can start a message with */
+export const MESSAGE_ROLES = ["system", "developer", "user", "assistant", "tool", "function"];
+
+export class PromptParseError extends SyntaxError {
+	/**
+	 * @param {string} message
+	 * @param {number} line - Starts at 1
+	 * @param {number} column - Starts at 1
+	 */
+	constructor(message, line, column) {
+		super(`Line ${line}, column ${column}: ${message}`);
+		this.name = "PromptParseError";
+		this.line = line;
+		this.column = column;
+	}
+}
+
+/** @type {Object.<string, PromptFileFormat>} */
+const PROMPT_FILE_EXTENSIONS = {
+	".json": "json",
+	".yaml": "yaml",
+	".yml": "yaml",
+	".jsonl": "jsonl",
+	".md": "markdown",
+	".markdown": "markdown"
+};
+
+/** @type {Object.<string, string>} */
+const JSON_ESCAPES = {
+	"\"": "\"",
+	"\\": "\\",
+	"/": "/",
+	"b": "\b",
+	"f": "\f",
+	"n": "\n",
+	"r": "\r",
+	"t": "\t"
+};
+
+const JSON_NUMBER_REGEX = /-?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][-+]?[0-9]+)?/y;
+
+/**
+ * Get a prompt file's format from its extension. Unknown extensions are read as JSON.
+ * @param {string} filepath
+ * @returns {PromptFileFormat}
+ */
+export function getPromptFileFormat(filepath) {
+	const extension = extname(filepath).toLowerCase();
+	return Object.prototype.hasOwnProperty.call(PROMPT_FILE_EXTENSIONS, extension)
+		? PROMPT_FILE_EXTENSIONS[extension]
+		: "json";
+}
+
+/**
+ * Set an object's key even if it's '__proto__', like JSON.parse does.
+ * @param {Object.<string, *>} obj
+ * @param {string} key
+ * @param {*} value
+ */
+function setKey(obj, key, value) {
+	Object.defineProperty(obj, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+/**
+ * Parse JSON like JSON.parse, but with errors that give the line and column.
+ * Duplicate keys keep the last value, as with JSON.parse.
+ * Prompt files are only parsed with it when linting, otherwise JSON.parse is used.
+ * @param {string} text
+ * @param {PromptLocations} [locations] - Collects where values start
+ * @param {number} [firstLine] - Line number of the text's first line, for JSON inside another file
+ * @returns {*}
+ * @throws {PromptParseError}
+ */
+export function parseJSON(text, locations=undefined, firstLine=1) {
+	let i = 0;
+	const lineStarts = [0];
+	for (let index = text.indexOf("\n"); index !== -1; index = text.indexOf("\n", index + 1)) {
+		lineStarts.push(index + 1);
+	}
+
+	/**
+	 * @param {number} index
+	 * @returns {SourceLocation}
+	 */
+	const locate = (index) => {
+		let low = 0;
+		let high = lineStarts.length - 1;
+		while (low < high) {
+			const mid = Math.ceil((low + high) / 2);
+			if (lineStarts[mid] <= index) {
+				low = mid;
+			} else {
+				high = mid - 1;
+			}
+		}
+		return { line: firstLine + low, column: index - lineStarts[low] + 1 };
+	};
+
+	/**
+	 * @param {string} message
+	 * @param {number} [index]
+	 * @returns {PromptParseError}
+	 */
+	const jsonError = (message, index=i) => {
+		const { line, column } = locate(index);
+		return new PromptParseError(message, line, column);
+	};
+
+	const describeNext = () => i < text.length ? `'${text[i]}'` : "end of input";
+
+	const skipSpace = () => {
+		while (i < text.length && " \t\n\r".includes(text[i])) {
+			i += 1;
+		}
+	};
+
+	/**
+	 * @param {(string|number)[]} path
+	 * @param {number} start
+	 */
+	const addLocation = (path, start) => {
+		locations?.locations.set(JSON.stringify(path), locate(start));
+	};
+
+	const parseString = () => {
+		const start = i;
+		i += 1;
+		let value = "";
+		while (true) {
+			const c = text[i];
+			if (c === undefined) {
+				throw jsonError("Unterminated string", start);
+			} else if (c === "\"") {
+				i += 1;
+				return value;
+			} else if (c < " ") {
+				throw jsonError("Control characters must be escaped in strings");
+			} else if (c !== "\\") {
+				value += c;
+				i += 1;
+				continue;
+			}
+			const escape = text[i + 1];
+			if (escape === "u") {
+				const hex = text.slice(i + 2, i + 6);
+				if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+					throw jsonError(`Bad escape '\\u${hex}'`);
+				}
+				value += String.fromCharCode(parseInt(hex, 16));
+				i += 6;
+			} else if (escape !== undefined && Object.prototype.hasOwnProperty.call(JSON_ESCAPES, escape)) {
+				value += JSON_ESCAPES[escape];
+				i += 2;
+			} else {
+				throw jsonError(`Bad escape '\\${escape ?? ""}'`);
+			}
+		}
+	};
+
+	/**
+	 * @param {(string|number)[]} path
+	 * @returns {*}
+	 */
+	const parseValue = (path) => {
+		skipSpace();
+		const c = text[i];
+		if (c === "{") {
+			i += 1;
+			/** @type {Object.<string, *>} */
+			const obj = {};
+			skipSpace();
+			if (text[i] === "}") {
+				i += 1;
+				return obj;
+			}
+			while (true) {
+				skipSpace();
+				if (text[i] !== "\"") {
+					throw jsonError(`Expected a string key, not ${describeNext()}`);
+				}
+				const keyStart = i;
+				const key = parseString();
+				const keyPath = [...path, key];
+				if (locations && Object.prototype.hasOwnProperty.call(obj, key)) {
+					locations.duplicateKeys.push({ path: keyPath, ...locate(keyStart) });
+				}
+				addLocation(keyPath, keyStart);
+				skipSpace();
+				if (text[i] !== ":") {
+					throw jsonError(`Expected ':' after key, not ${describeNext()}`);
+				}
+				i += 1;
+				setKey(obj, key, parseValue(keyPath));
+				skipSpace();
+				if (text[i] === ",") {
+					i += 1;
+				} else if (text[i] === "}") {
+					i += 1;
+					return obj;
+				} else {
+					throw jsonError(`Expected ',' or '}', not ${describeNext()}`);
+				}
+			}
+		} else if (c === "[") {
+			i += 1;
+			/** @type {*[]} */
+			const items = [];
+			skipSpace();
+			if (text[i] === "]") {
+				i += 1;
+				return items;
+			}
+			while (true) {
+				skipSpace();
+				/** @type {(string|number)[]} */
+				const itemPath = [...path, items.length];
+				addLocation(itemPath, i);
+				items.push(parseValue(itemPath));
+				skipSpace();
+				if (text[i] === ",") {
+					i += 1;
+				} else if (text[i] === "]") {
+					i += 1;
+					return items;
+				} else {
+					throw jsonError(`Expected ',' or ']', not ${describeNext()}`);
+				}
+			}
+		} else if (c === "\"") {
+			return parseString();
+		}
+		for (let [literal, value] of /** @type {[string, *][]} */([["true", true], ["false", false], ["null", null]])) {
+			if (text.startsWith(literal, i)) {
+				i += literal.length;
+				return value;
+			}
+		}
+		JSON_NUMBER_REGEX.lastIndex = i;
+		const number = JSON_NUMBER_REGEX.exec(text);
+		if (number) {
+			i += number[0].length;
+			return Number(number[0]);
+		}
+		throw jsonError(`Unexpected ${describeNext()}`);
+	};
+
+	const value = parseValue([]);
+	skipSpace();
+	if (i < text.length) {
+		throw jsonError(`Unexpected ${describeNext()} after the JSON value`);
+	}
+	return value;
+}
+
+/**
+ * Parse JSONL prompts, where each line is a prompt group like {"promptGrp": "name", "prompts": [...]}.
+ * A line can also have an 'extends', see PromptGrpDef.
+ * Locations are collected as if the file were a JSON object of the groups.
+ * @param {string} text
+ * @param {PromptLocations} [locations] - Collects where values start
+ * @returns {Object.<string, Prompt[]|PromptGrpDef>}
+ * @throws {SyntaxError} - A PromptParseError, or a line's JSON.parse error when no locations are collected
+ */
+export function parsePromptJSONL(text, locations=undefined) {
+	/** @type {Object.<string, Prompt[]|PromptGrpDef>} */
+	const promptMap = {};
+	const lines = text.split(/\r?\n/);
+	for (let i = 0; i < lines.length; i++) {
+		if (!lines[i].trim()) {
+			continue;
+		}
+		/** @type {undefined|PromptLocations} */
+		const lineLocations = locations ? { locations: new Map(), duplicateKeys: [] } : undefined;
+		/** @type {*} */
+		let row;
+		if (lineLocations) {
+			row = parseJSON(lines[i], lineLocations, i + 1);
+		} else {
+			try {
+				row = JSON.parse(lines[i]);
+			} catch(e) {
+				throw new SyntaxError(`Line ${i + 1}: ${e instanceof Error ? e.message : "Bad JSON"}`);
+			}
+		}
+		if (!row || typeof row !== "object" || typeof row.promptGrp !== "string" || !row.promptGrp) {
+			throw new PromptParseError("Missing 'promptGrp'", i + 1, 1);
+		}
+		const promptGrp = row.promptGrp;
+		if (Object.prototype.hasOwnProperty.call(promptMap, promptGrp)) {
+			if (!locations) {
+				throw new PromptParseError(`Duplicate promptGrp '${promptGrp}'`, i + 1, 1);
+			}
+			locations.duplicateKeys.push({ path: [promptGrp], line: i + 1, column: 1 });
+		}
+		setKey(promptMap, promptGrp, row.extends === undefined ? row.prompts : { extends: row.extends, prompts: row.prompts });
+
+		if (locations && lineLocations) {
+			// A row's prompts are at [promptGrp, ...] for an array group and [promptGrp, "prompts", ...] otherwise
+			const prefix = row.extends === undefined ? [promptGrp] : [promptGrp, "prompts"];
+			locations.locations.set(JSON.stringify([promptGrp]), { line: i + 1, column: 1 });
+			for (let [key, location] of lineLocations.locations) {
+				const path = JSON.parse(key);
+				if (path[0] === "prompts") {
+					locations.locations.set(JSON.stringify([...prefix, ...path.slice(1)]), location);
+				} else if (path[0] === "extends") {
+					locations.locations.set(JSON.stringify([promptGrp, ...path]), location);
+				}
+			}
+		}
+	}
+	return promptMap;
+}
+
+/**
+ * Parse Markdown prompts, where each '## group' heading starts a prompt group and each
+ * '### role' subheading starts a message whose content is the text under it.
+ * A '# heading' ends the group, and the text under it is ignored, like notes before the first group.
+ * '#' and '##' headings always end the current message, but '###' headings that aren't a role
+ * and deeper ones are part of its content. Text in a group that isn't in a message throws
+ * instead of being lost, and headings inside fenced code blocks are always content.
+ * @param {string} text
+ * @param {PromptLocations} [locations] - Collects where groups and messages start
+ * @returns {PromptMap}
+ * @throws {PromptParseError}
+ */
+export function parsePromptMarkdown(text, locations=undefined) {
+	/** @type {PromptMap} */
+	const promptMap = {};
+	/** @type {undefined|{ name: string, prompts: Prompt[] }} */
+	let group = undefined;
+	/** @type {undefined|{ role: string, lines: string[], start: number }} */
+	let message = undefined;
+
+	const endMessage = () => {
+		if (group && message) {
+			const path = [group.name, group.prompts.length];
+			group.prompts.push({ role: message.role, content: message.lines.join("\n").replace(/^\s*\n|\s+$/g, "") });
+			if (locations) {
+				const line = message.start + 1;
+				locations.locations.set(JSON.stringify(path), { line, column: 1 });
+				locations.locations.set(JSON.stringify([...path, "role"]), { line, column: 5 });
+				locations.locations.set(JSON.stringify([...path, "content"]), { line: line + 1, column: 1 });
+			}
+		}
+		message = undefined;
+	};
+
+	const lines = text.split(/\r?\n/);
+	/**
+	 * @param {string} line
+	 * @returns {null|{ level: number, title: string }} - Only '#' to '###' headings
+	 */
+	const parseHeading = (line) => {
+		const heading = /^(#{1,3})\s+(.*?)\s*#*\s*$/.exec(line);
+		return heading ? { level: heading[1].length, title: heading[2].trim() } : null;
+	};
+	/** @param {string} title */
+	const isRole = (title) => MESSAGE_ROLES.includes(title.toLowerCase());
+
+	/** @type {null|string} */
+	let fence = null;
+	for (let i = 0; i < lines.length; i++) {
+		const line = lines[i];
+		const fenceMatch = /^\s{0,3}(`{3,}|~{3,})/.exec(line);
+		const inFence = fence !== null || fenceMatch !== null;
+		if (fenceMatch) {
+			if (fence === null) {
+				fence = fenceMatch[1];
+			} else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+				fence = null;
+			}
+		}
+		const heading = inFence ? null : parseHeading(line);
+		// Headings of the group level or higher are always structure
+		if (message && (!heading || (heading.level === 3 && !isRole(heading.title)))) {
+			message.lines.push(line);
+			continue;
+		}
+		if (!heading) {
+			if (group && line.trim() !== "") {
+				throw new PromptParseError(
+					"Text in a group has to be in a message, put it under a '### role' heading",
+					i + 1,
+					line.search(/\S/) + 1
+				);
+			}
+			continue;
+		}
+
+		endMessage();
+		if (heading.level === 2) {
+			if (Object.prototype.hasOwnProperty.call(promptMap, heading.title)) {
+				if (!locations) {
+					throw new PromptParseError(`Duplicate promptGrp '${heading.title}'`, i + 1, 1);
+				}
+				locations.duplicateKeys.push({ path: [heading.title], line: i + 1, column: 1 });
+			}
+			group = { name: heading.title, prompts: [] };
+			setKey(promptMap, heading.title, group.prompts);
+			locations?.locations.set(JSON.stringify([heading.title]), { line: i + 1, column: 1 });
+		} else if (heading.level === 3) {
+			if (!group) {
+				throw new PromptParseError(`Message '${heading.title}' isn't under a '## group' heading`, i + 1, 1);
+			} else if (!isRole(heading.title)) {
+				throw new PromptParseError(
+					`'${heading.title}' isn't a message role. Use one of ${MESSAGE_ROLES.join(", ")}`,
+					i + 1,
+					5
+				);
+			}
+			message = { role: heading.title.toLowerCase(), lines: [], start: i };
+		} else {
+			group = undefined;
+		}
+	}
+	endMessage();
+	return promptMap;
+}
+
+/**
+ * Parse the text of a prompt file in the given format.
+ * @param {string} text
+ * @param {PromptFileFormat} format
+ * @param {PromptLocations} [locations] - Collects where values start
+ * @returns {*} - Should be a PromptMap, see checkValidPromptMap
+ * @throws {SyntaxError} - A PromptParseError or YAMLError, both with a line and column, or JSON.parse's
+ * error when no locations are collected
+ */
+export function parsePromptText(text, format, locations=undefined) {
+	switch (format) {
+		case "yaml":
+			return parseYAML(text, locations);
+		case "jsonl":
+			return parsePromptJSONL(text, locations);
+		case "markdown":
+			return parsePromptMarkdown(text, locations);
+		default:
+			return locations ? parseJSON(text, locations) : JSON.parse(text);
+	}
+}
@@ -0,0 +1,319 @@
+/**
+ * Checks prompt files for mistakes that would otherwise only show up as odd model output,
+ * and reports each one with its line and column.
+ *
+ * @typedef {import('./promptFormats.js').PromptFileFormat} PromptFileFormat
+ * @typedef {import('./promptFormats.js').PromptLocations} PromptLocations
+ * @typedef {import('./promptFormats.js').SourceLocation} SourceLocation
+ *
+ * @typedef {"error"|"warning"|"off"} LintSeverity
+ *
+ * @typedef {Object} LintRule
+ * @property {LintSeverity} severity - Used unless LintOptions.rules sets another
+ * @property {string} description
+ *
+ * @typedef {Object} LintOptions
+ * @property {Object.<string, LintSeverity>} [rules] - Severities by rule name, see LINT_RULES
+ * @property {string[]} [roles] - The roles messages can have. Defaults to DEFAULT_LINT_ROLES
+ *
+ * @typedef {Object} LintDiagnostic
+ * @property {string} file
+ * @property {number} line - Starts at 1
+ * @property {number} column - Starts at 1
+ * @property {"error"|"warning"} severity
+ * @property {string} rule - A key of LINT_RULES, or "syntax" when the file can't be parsed
+ * @property {string} message
+ * @property {null|string} promptGrp - null for fragments and problems with the whole file
+ */
+
+import { MESSAGE_ROLES, parsePromptText } from "./promptFormats.js";
+
+export const DEFAULT_LINT_ROLES = MESSAGE_ROLES;
+
+/** @type {Object.<string, LintRule>} */
+export const LINT_RULES = {
+	"invalid-group": {
+		severity: "error",
+		description: "A prompt group must be an array of messages or an object with 'extends' and 'prompts'"
+	},
+	"duplicate-group": {
+		severity: "error",
+		description: "Prompt group names must be unique, otherwise the last one silently wins"
+	},
+	"empty-group": {
+		severity: "warning",
+		description: "A prompt group has no messages"
+	},
+	"invalid-message": {
+		severity: "error",
+		description: "A message must be an object with a 'role', or a { \"$ref\": \"fragment\" }"
+	},
+	"unknown-role": {
+		severity: "error",
+		description: "A message's role isn't one of the allowed roles"
+	},
+	"empty-content": {
+		severity: "error",
+		description: "A message has no content and no tool calls"
+	},
+	"non-string-content": {
+		severity: "warning",
+		description: "A message's content isn't a string, like an array of content parts"
+	},
+	"consecutive-user": {
+		severity: "warning",
+		description: "Two user messages follow each other"
+	},
+	"system-not-first": {
+		severity: "error",
+		description: "A system message isn't the first message of its group"
+	},
+	"ends-on-assistant": {
+		severity: "warning",
+		description: "A prompt group ends on an assistant message, so the model continues it instead of replying"
+	},
+	"composition": {
+		severity: "error",
+		description: "The file's imports, fragments, $refs or extends don't resolve, see readPromptFile"
+	}
+};
+
+const LINT_SEVERITIES = ["error", "warning", "off"];
+
+/**
+ * Get the severity of every rule, with the given ones replacing the defaults.
+ * @param {Object.<string, LintSeverity>} [rules]
+ * @returns {Object.<string, LintSeverity>}
+ * @throws {Error}
+ */
+export function getLintSeverities(rules={}) {
+	/** @type {Object.<string, LintSeverity>} */
+	const severities = {};
+	for (let [rule, { severity }] of Object.entries(LINT_RULES)) {
+		severities[rule] = severity;
+	}
+	for (let [rule, severity] of Object.entries(rules)) {
+		if (!Object.prototype.hasOwnProperty.call(LINT_RULES, rule)) {
+			throw new Error(`Unknown lint rule '${rule}'. Use one of ${Object.keys(LINT_RULES).join(", ")}`);
+		}
+		if (!LINT_SEVERITIES.includes(severity)) {
+			throw new Error(`Lint rule '${rule}': Severity must be one of ${LINT_SEVERITIES.join(", ")}`);
+		}
+		severities[rule] = severity;
+	}
+	return severities;
+}
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+function describeType(value) {
+	if (value === null) {
+		return "null";
+	}
+	return Array.isArray(value) ? "an array" : `a ${typeof value}`;
+}
+
+/**
+ * Lint the text of a prompt file. Diagnostics are sorted by position.
+ * Imports, $refs and extends aren't followed, see lintPromptFile for that.
+ * @param {string} text
+ * @param {PromptFileFormat} format
+ * @param {LintOptions} [lintOptions]
+ * @param {string} [file] - Set as each diagnostic's file
+ * @returns {LintDiagnostic[]}
+ * @throws {Error} - On bad lintOptions
+ */
+export function lintPromptText(text, format, lintOptions={}, file="") {
+	const severities = getLintSeverities(lintOptions.rules);
+	const roles = lintOptions.roles ?? DEFAULT_LINT_ROLES;
+	/** @type {LintDiagnostic[]} */
+	const diagnostics = [];
+	/** @type {PromptLocations} */
+	const locations = { locations: new Map(), duplicateKeys: [] };
+
+	/**
+	 * Where the value at path starts, or its closest parent with a known location
+	 * @param {(string|number)[]} path
+	 * @returns {SourceLocation}
+	 */
+	const locate = (path) => {
+		for (let n = path.length; n > 0; n--) {
+			const location = locations.locations.get(JSON.stringify(path.slice(0, n)));
+			if (location) {
+				return location;
+			}
+		}
+		return { line: 1, column: 1 };
+	};
+
+	/**
+	 * @param {string} rule
+	 * @param {SourceLocation} location
+	 * @param {string} message
+	 * @param {null|string} promptGrp
+	 */
+	const report = (rule, { line, column }, message, promptGrp) => {
+		const severity = rule === "syntax" ? "error" : severities[rule];
+		if (severity !== "off") {
+			diagnostics.push({ file, line, column, severity, rule, message, promptGrp });
+		}
+	};
+
+	// Editors on Windows can add a byte order mark
+	text = text.replace(/^\uFEFF/, "");
+	if (!text.trim()) {
+		report("syntax", { line: 1, column: 1 }, "File is empty", null);
+		return diagnostics;
+	}
+
+	/** @type {*} */
+	let data;
+	try {
+		data = parsePromptText(text, format, locations);
+	} catch(e) {
+		const error = /** @type {*} */(e);
+		const message = error instanceof Error ? error.message.replace(/^(YAML line \d+|Line \d+, column \d+): /, "") : `Error parsing ${format}`;
+		report("syntax", { line: error?.line ?? 1, column: error?.column ?? 1 }, message, null);
+		return diagnostics;
+	}
+	if (!data || typeof data !== "object" || Array.isArray(data)) {
+		report("syntax", { line: 1, column: 1 }, `Expected an object of prompt groups, not ${describeType(data)}`, null);
+		return diagnostics;
+	}
+
+	for (let { path, line, column } of locations.duplicateKeys) {
+		const name = String(path[0]);
+		const key = path[path.length - 1];
+		if (name.startsWith("$")) {
+			const what = name === "$fragments" && path.length === 2 ? `Fragment '${key}' is defined` : `Key '${key}' is used`;
+			report("composition", { line, column }, `${what} more than once`, null);
+		} else if (path.length === 1) {
+			report("duplicate-group", { line, column }, `Prompt group '${name}' is defined more than once`, name);
+		} else if (path.length === 2 && typeof key === "string") {
+			report("invalid-group", { line, column }, `Prompt group '${name}': Duplicate key '${key}'`, name);
+		} else {
+			report("invalid-message", { line, column }, `Duplicate key '${key}' in a message`, name);
+		}
+	}
+
+	/**
+	 * Check a message on its own. Returns its role, or null for $refs and invalid messages.
+	 * @param {*} message
+	 * @param {(string|number)[]} path
+	 * @param {null|string} promptGrp
+	 * @returns {null|string}
+	 */
+	const checkMessage = (message, path, promptGrp) => {
+		if (message && typeof message === "object" && Object.prototype.hasOwnProperty.call(message, "$ref")) {
+			return null;
+		}
+		if (!message || typeof message !== "object" || Array.isArray(message)) {
+			report("invalid-message", locate(path), `A message must be an object, not ${describeType(message)}`, promptGrp);
+			return null;
+		}
+		if (typeof message.role !== "string") {
+			const problem = message.role === undefined ? "is missing a 'role'" : `has ${describeType(message.role)} 'role'`;
+			report("invalid-message", locate(path), `The message ${problem}`, promptGrp);
+			return null;
+		}
+		if (!roles.includes(message.role)) {
+			report("unknown-role", locate([...path, "role"]), `Unknown role '${message.role}'. Use one of ${roles.join(", ")}`, promptGrp);
+		}
+
+		// Assistant messages that call tools don't need content
+		const hasToolCalls = message.tool_calls !== undefined || message.function_call !== undefined;
+		const content = message.content;
+		const contentLocation = locate([...path, "content"]);
+		if (content === undefined || content === null) {
+			if (!hasToolCalls) {
+				report("empty-content", locate(path), `The ${message.role} message has no content`, promptGrp);
+			}
+		} else if (typeof content !== "string") {
+			report("non-string-content", contentLocation, `The ${message.role} message's content is ${describeType(content)}, not a string`, promptGrp);
+			if (Array.isArray(content) && content.length === 0 && !hasToolCalls) {
+				report("empty-content", contentLocation, `The ${message.role} message's content is empty`, promptGrp);
+			}
+		} else if (!content.trim() && !hasToolCalls) {
+			report("empty-content", contentLocation, `The ${message.role} message's content is empty`, promptGrp);
+		}
+		return message.role;
+	};
+
+	const fragmentDefs = data.$fragments;
+	if (fragmentDefs && typeof fragmentDefs === "object" && !Array.isArray(fragmentDefs)) {
+		for (let [name, fragmentDef] of Object.entries(fragmentDefs)) {
+			const path = ["$fragments", name];
+			if (Array.isArray(fragmentDef)) {
+				fragmentDef.forEach((message, i) => checkMessage(message, [...path, i], null));
+			} else {
+				checkMessage(fragmentDef, path, null);
+			}
+		}
+	}
+
+	for (let [name, groupDef] of Object.entries(data)) {
+		if (name.startsWith("$")) {
+			continue;
+		}
+		/** @type {*[]} */
+		let messages;
+		/** @type {(string|number)[]} */
+		let path;
+		let extendsGroup = false;
+		if (Array.isArray(groupDef)) {
+			messages = groupDef;
+			path = [name];
+		} else if (groupDef && typeof groupDef === "object") {
+			const unknownKeys = Object.keys(groupDef).filter((key) => key !== "extends" && key !== "prompts");
+			for (let key of unknownKeys) {
+				report("invalid-group", locate([name, key]), `Prompt group '${name}': Unknown key '${key}', only 'extends' and 'prompts' are allowed`, name);
+			}
+			if (groupDef.extends !== undefined && typeof groupDef.extends !== "string") {
+				report("invalid-group", locate([name, "extends"]), `Prompt group '${name}': 'extends' must be a prompt group name`, name);
+			}
+			if (groupDef.prompts !== undefined && !Array.isArray(groupDef.prompts)) {
+				report("invalid-group", locate([name, "prompts"]), `Prompt group '${name}': 'prompts' must be an array`, name);
+				continue;
+			}
+			messages = groupDef.prompts ?? [];
+			path = [name, "prompts"];
+			extendsGroup = groupDef.extends !== undefined;
+		} else {
+			report("invalid-group", locate([name]), `Prompt group '${name}' must be an array of messages, not ${describeType(groupDef)}`, name);
+			continue;
+		}
+
+		if (messages.length === 0 && !extendsGroup) {
+			report("empty-group", locate([name]), `Prompt group '${name}' has no messages`, name);
+			continue;
+		}
+
+		// $refs and invalid messages have a null role, which the order checks skip
+		const messageRoles = messages.map((message, i) => checkMessage(message, [...path, i], name));
+		messageRoles.forEach((role, i) => {
+			if (role === "system" && (i > 0 || extendsGroup)) {
+				const after = i > 0 ? "the first message" : "the first message, but it comes after the extended group's";
+				report("system-not-first", locate([...path, i]), `The system message should be ${after}`, name);
+			} else if (role === "user" && i > 0 && messageRoles[i - 1] === "user") {
+				report("consecutive-user", locate([...path, i]), "Two user messages in a row, which some providers reject", name);
+			}
+		});
+		if (messageRoles.length > 0 && messageRoles[messageRoles.length - 1] === "assistant") {
+			report("ends-on-assistant", locate([...path, messageRoles.length - 1]), `Prompt group '${name}' ends on an assistant message`, name);
+		}
+	}
+
+	return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Format a diagnostic as 'file:line:column: severity: message (rule)', like compilers do.
+ * @param {LintDiagnostic} diagnostic
+ * @returns {string}
+ */
+export function formatLintDiagnostic(diagnostic) {
+	const { file, line, column, severity, message, rule } = diagnostic;
+	return `${file}:${line}:${column}: ${severity}: ${message} (${rule})`;
+}
@@ -0,0 +1,395 @@
+/**
+ * CompletionFunc factories for common model providers, using Node's built-in fetch.
+ * Each one sends the prompts in the provider's request shape and normalizes the reply to a
+ * ProviderResponse, which is also a Prompt that can go back into the conversation.
+ *
+ * @typedef {import('./main.js').Prompt} Prompt
+ * @typedef {import('./main.js').CompletionFunc} CompletionFunc
+ * @typedef {import('./main.js').CompletionOptions} CompletionOptions
+ * @typedef {import('./main.js').ToolCall} ToolCall
+ * @typedef {import('./main.js').Usage} Usage
+ *
+ * @typedef {Object} ProviderOptions
+ * @property {string} model
+ * @property {string} [baseUrl] - Defaults to the provider's public API
+ * @property {string} [apiKey]
+ * @property {Object.<string, *>} [params] - Added to the request body, like temperature or tools
+ * @property {Object.<string, string>} [headers] - Added to the request headers
+ *
+ * @typedef {Object} AnthropicOptions
+ * @property {string} model
+ * @property {string} [baseUrl]
+ * @property {string} [apiKey]
+ * @property {Object.<string, *>} [params]
+ * @property {Object.<string, string>} [headers]
+ * @property {number} [maxTokens] - Sent as max_tokens, which Anthropic requires. Defaults to 1024
+ *
+ * @typedef {Object} ProviderResponse
+ * @property {"assistant"} role
+ * @property {string} content - The text of the reply
+ * @property {ToolCall[]} toolCalls
+ * @property {null|Usage} usage - null if the provider didn't say
+ */
+
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+const ANTHROPIC_BASE_URL = "https://api.anthropic.com/v1";
+const ANTHROPIC_VERSION = "2023-06-01";
+const OLLAMA_BASE_URL = "http://localhost:11434";
+const DEFAULT_ANTHROPIC_MAX_TOKENS = 1024;
+
+// What a provider sent back when a request failed. It becomes the cause of the test's QError
+export class ProviderError extends Error {
+	/**
+	 * Construct a ProviderError
+	 * @param {string} message
+	 * @param {string} provider
+	 * @param {number} status - The HTTP status code
+	 * @param {*} body - The response body, parsed from JSON if it could be
+	 */
+	constructor(message, provider, status, body) {
+		super(message);
+		/** @type {string} */
+		this.name = "ProviderError";
+		/** @type {string} */
+		this.provider = provider;
+		/** @type {number} */
+		this.status = status;
+		/** @type {*} */
+		this.body = body;
+	}
+}
+
+/**
+ * Check the options shared by every provider.
+ * @param {string} provider
+ * @param {ProviderOptions} providerOptions
+ * @throws {TypeError}
+ */
+function checkProviderOptions(provider, providerOptions) {
+	if (!providerOptions || typeof providerOptions.model !== "string" || !providerOptions.model) {
+		throw new TypeError(`${provider}: 'model' must be a non-empty string`);
+	}
+	const { baseUrl, params, headers } = providerOptions;
+	if (baseUrl !== undefined && typeof baseUrl !== "string") {
+		throw new TypeError(`${provider}: 'baseUrl' must be a string`);
+	}
+	for (let [name, value] of Object.entries({ params, headers })) {
+		if (value !== undefined && (!value || typeof value !== "object" || Array.isArray(value))) {
+			throw new TypeError(`${provider}: '${name}' must be an object`);
+		}
+	}
+	if (params?.stream) {
+		throw new TypeError(`${provider}: Streaming isn't supported, write a CompletionFunc that returns chunks instead`);
+	}
+}
+
+/**
+ * POST a JSON body and parse the JSON response, throwing a ProviderError if the request failed.
+ * @param {string} provider
+ * @param {string} url
+ * @param {Object.<string, string>} headers
+ * @param {*} body
+ * @param {undefined|AbortSignal} signal
+ * @returns {Promise<*>}
+ * @throws {ProviderError}
+ */
+async function postJSON(provider, url, headers, body, signal) {
+	const response = await fetch(url, {
+		method: "POST",
+		headers: { "content-type": "application/json", ...headers },
+		body: JSON.stringify(body),
+		signal
+	});
+	const text = await response.text();
+	/** @type {*} */
+	let data = text;
+	try {
+		data = JSON.parse(text);
+	} catch(e) {
+		if (response.ok) {
+			throw new ProviderError(`${provider} returned a response that isn't JSON`, provider, response.status, text);
+		}
+	}
+	if (!response.ok) {
+		// OpenAI and Anthropic send { error: { message } } and Ollama sends { error: "message" }
+		const error = data?.error;
+		const message = typeof error === "string" ? error : error?.message ?? (text.trim() || response.statusText);
+		throw new ProviderError(`${provider} returned HTTP ${response.status}: ${message}`, provider, response.status, data);
+	}
+	return data;
+}
+
+/**
+ * @param {*} args
+ * @returns {*}
+ */
+function parseArgs(args) {
+	if (typeof args !== "string") {
+		return args ?? {};
+	}
+	try {
+		return JSON.parse(args);
+	} catch(e) {
+		return args;
+	}
+}
+
+/**
+ * Turn a Prompt into a message object, dropping the fields only promptqc uses.
+ * Plain string prompts are user messages.
+ * @param {Prompt} prompt
+ * @returns {Object.<string, *>}
+ */
+function toMessage(prompt) {
+	if (typeof prompt === "string") {
+		return { role: "user", content: prompt };
+	}
+	const { toolCalls, usage, ...message } = /** @type {*} */(prompt);
+	return message;
+}
+
+/**
+ * @param {Prompt} prompt
+ * @returns {ToolCall[]}
+ */
+function getToolCalls(prompt) {
+	const toolCalls = typeof prompt === "object" ? /** @type {*} */(prompt).toolCalls : undefined;
+	return Array.isArray(toolCalls) ? toolCalls : [];
+}
+
+/**
+ * @param {Prompt[]} prompts
+ * @returns {*[]}
+ */
+function toOpenAIMessages(prompts) {
+	return prompts.map((prompt) => {
+		const message = toMessage(prompt);
+		const toolCalls = getToolCalls(prompt);
+		if (toolCalls.length === 0) {
+			return message;
+		}
+		return {
+			...message,
+			content: message.content || null,
+			tool_calls: toolCalls.map((toolCall) => ({
+				id: toolCall.id,
+				type: "function",
+				function: {
+					name: toolCall.name,
+					arguments: typeof toolCall.args === "string" ? toolCall.args : JSON.stringify(toolCall.args)
+				}
+			}))
+		};
+	});
+}
+
+/**
+ * Make a CompletionFunc for the OpenAI chat completions API, or any server that copies it
+ * like vLLM, LM Studio, llama.cpp, OpenRouter, Groq or Together.
+ * @param {ProviderOptions} providerOptions
+ * @returns {CompletionFunc}
+ * @throws {TypeError}
+ */
+export function openAICompatible(providerOptions) {
+	checkProviderOptions("openAICompatible", providerOptions);
+	const { model, apiKey, params = {}, headers = {} } = providerOptions;
+	const url = `${(providerOptions.baseUrl ?? OPENAI_BASE_URL).replace(/\/+$/, "")}/chat/completions`;
+
+	return async (prompts, options) => {
+		const data = await postJSON("openAICompatible", url, {
+			...(apiKey ? { authorization: `Bearer ${apiKey}` } : {}),
+			...headers
+		}, { model, messages: toOpenAIMessages(prompts), ...params }, options?.signal);
+
+		const message = data?.choices?.[0]?.message;
+		if (!message || typeof message !== "object") {
+			throw new ProviderError("openAICompatible returned no message in 'choices'", "openAICompatible", 200, data);
+		}
+		const toolCalls = (Array.isArray(message.tool_calls) ? message.tool_calls : [])
+			.filter((/** @type {*} */ toolCall) => typeof toolCall?.function?.name === "string")
+			.map((/** @type {*} */ toolCall, /** @type {number} */ i) => ({
+				id: toolCall.id ?? `call_${i}`,
+				name: toolCall.function.name,
+				args: parseArgs(toolCall.function.arguments)
+			}));
+		const usage = data.usage
+			? { inputTokens: data.usage.prompt_tokens ?? 0, outputTokens: data.usage.completion_tokens ?? 0 }
+			: null;
+		return makeResponse(typeof message.content === "string" ? message.content : "", toolCalls, usage, options);
+	};
+}
+
+/**
+ * @param {*} content - A string or Anthropic content blocks
+ * @returns {*[]}
+ */
+function toBlocks(content) {
+	if (typeof content === "string") {
+		return content ? [{ type: "text", text: content }] : [];
+	}
+	return Array.isArray(content) ? content : [];
+}
+
+/**
+ * Convert prompts to an Anthropic system prompt and messages. System and developer messages
+ * go in the system prompt, tool results go in user messages and messages from the same
+ * role are merged, since Anthropic needs user and assistant messages to alternate.
+ * @param {Prompt[]} prompts
+ * @returns {{ system: string, messages: *[] }}
+ */
+function toAnthropicMessages(prompts) {
+	/** @type {string[]} */
+	const system = [];
+	/** @type {{ role: string, content: *[] }[]} */
+	const messages = [];
+
+	/**
+	 * @param {string} role
+	 * @param {*[]} blocks
+	 */
+	const addBlocks = (role, blocks) => {
+		const last = messages[messages.length - 1];
+		if (last && last.role === role) {
+			last.content.push(...blocks);
+		} else {
+			messages.push({ role, content: blocks });
+		}
+	};
+
+	for (let prompt of prompts) {
+		const message = toMessage(prompt);
+		if (message.role === "system" || message.role === "developer") {
+			system.push(typeof message.content === "string" ? message.content : JSON.stringify(message.content));
+		} else if (message.role === "tool") {
+			addBlocks("user", [{ type: "tool_result", tool_use_id: message.tool_call_id, content: message.content ?? "" }]);
+		} else if (message.role === "assistant") {
+			const toolUses = getToolCalls(prompt).map((toolCall) => ({
+				type: "tool_use",
+				id: toolCall.id,
+				name: toolCall.name,
+				input: typeof toolCall.args === "string" ? parseArgs(toolCall.args) : toolCall.args
+			}));
+			addBlocks("assistant", [...toBlocks(message.content), ...toolUses]);
+		} else {
+			addBlocks("user", toBlocks(message.content));
+		}
+	}
+
+	// Single text blocks are sent as plain strings, which is how most Anthropic examples look
+	const simplified = messages.map((message) => message.content.length === 1 && message.content[0].type === "text"
+		? { role: message.role, content: message.content[0].text }
+		: message);
+	return { system: system.join("\n\n"), messages: simplified };
+}
+
+/**
+ * Make a CompletionFunc for the Anthropic Messages API.
+ * @param {AnthropicOptions} providerOptions
+ * @returns {CompletionFunc}
+ * @throws {TypeError}
+ */
+export function anthropic(providerOptions) {
+	checkProviderOptions("anthropic", providerOptions);
+	const { model, apiKey, params = {}, headers = {} } = providerOptions;
+	const maxTokens = providerOptions.maxTokens ?? DEFAULT_ANTHROPIC_MAX_TOKENS;
+	if (!Number.isInteger(maxTokens) || maxTokens <= 0) {
+		throw new TypeError("anthropic: 'maxTokens' must be an integer > 0");
+	}
+	const url = `${(providerOptions.baseUrl ?? ANTHROPIC_BASE_URL).replace(/\/+$/, "")}/messages`;
+
+	return async (prompts, options) => {
+		const { system, messages } = toAnthropicMessages(prompts);
+		const data = await postJSON("anthropic", url, {
+			"anthropic-version": ANTHROPIC_VERSION,
+			...(apiKey ? { "x-api-key": apiKey } : {}),
+			...headers
+		}, { model, max_tokens: maxTokens, ...(system ? { system } : {}), messages, ...params }, options?.signal);
+
+		if (!data || !Array.isArray(data.content)) {
+			throw new ProviderError("anthropic returned no 'content' blocks", "anthropic", 200, data);
+		}
+		const content = data.content
+			.filter((/** @type {*} */ block) => block?.type === "text")
+			.map((/** @type {*} */ block) => block.text)
+			.join("");
+		const toolCalls = data.content
+			.filter((/** @type {*} */ block) => block?.type === "tool_use" && typeof block.name === "string")
+			.map((/** @type {*} */ block, /** @type {number} */ i) => ({ id: block.id ?? `toolu_${i}`, name: block.name, args: block.input ?? {} }));
+		const usage = data.usage
+			? { inputTokens: data.usage.input_tokens ?? 0, outputTokens: data.usage.output_tokens ?? 0 }
+			: null;
+		return makeResponse(content, toolCalls, usage, options);
+	};
+}
+
+/**
+ * @param {Prompt[]} prompts
+ * @returns {*[]}
+ */
+function toOllamaMessages(prompts) {
+	return prompts.map((prompt) => {
+		const message = toMessage(prompt);
+		const toolCalls = getToolCalls(prompt);
+		if (toolCalls.length === 0) {
+			return message;
+		}
+		return {
+			...message,
+			tool_calls: toolCalls.map((toolCall) => ({
+				function: { name: toolCall.name, arguments: parseArgs(toolCall.args) }
+			}))
+		};
+	});
+}
+
+/**
+ * Make a CompletionFunc for a local Ollama server's chat API.
+ * Model settings like temperature go in params.options, as Ollama expects.
+ * @param {ProviderOptions} providerOptions
+ * @returns {CompletionFunc}
+ * @throws {TypeError}
+ */
+export function ollama(providerOptions) {
+	checkProviderOptions("ollama", providerOptions);
+	const { model, apiKey, params = {}, headers = {} } = providerOptions;
+	const url = `${(providerOptions.baseUrl ?? OLLAMA_BASE_URL).replace(/\/+$/, "")}/api/chat`;
+
+	return async (prompts, options) => {
+		const data = await postJSON("ollama", url, {
+			...(apiKey ? { authorization: `Bearer ${apiKey}` } : {}),
+			...headers
+		}, { model, messages: toOllamaMessages(prompts), stream: false, ...params }, options?.signal);
+
+		const message = data?.message;
+		if (!message || typeof message !== "object") {
+			throw new ProviderError("ollama returned no 'message'", "ollama", 200, data);
+		}
+		// Ollama doesn't give tool calls ids, so they're numbered like OpenAI's
+		const toolCalls = (Array.isArray(message.tool_calls) ? message.tool_calls : [])
+			.filter((/** @type {*} */ toolCall) => typeof toolCall?.function?.name === "string")
+			.map((/** @type {*} */ toolCall, /** @type {number} */ i) => ({
+				id: toolCall.id ?? `call_${i}`,
+				name: toolCall.function.name,
+				args: parseArgs(toolCall.function.arguments)
+			}));
+		const usage = data.prompt_eval_count !== undefined || data.eval_count !== undefined
+			? { inputTokens: data.prompt_eval_count ?? 0, outputTokens: data.eval_count ?? 0 }
+			: null;
+		return makeResponse(typeof message.content === "string" ? message.content : "", toolCalls, usage, options);
+	};
+}
+
+/**
+ * Build the normalized response and report its usage.
+ * @param {string} content
+ * @param {ToolCall[]} toolCalls
+ * @param {null|Usage} usage
+ * @param {undefined|CompletionOptions} options
+ * @returns {ProviderResponse}
+ */
+function makeResponse(content, toolCalls, usage, options) {
+	if (usage) {
+		options?.reportUsage?.(usage);
+	}
+	return { role: "assistant", content, toolCalls, usage };
+}
@@ -0,0 +1,727 @@
+/**
+ * A YAML subset parser, so prompt files can be written in YAML without extra packages.
+ *
+ * Supported: block mappings and sequences, flow [sequences] and {mappings}, plain, 'single' and
+ * "double" quoted scalars, literal | and folded > block scalars with their chomping and indentation
+ * indicators, comments and a single document with optional --- and ... markers.
+ * Plain scalars are resolved with the YAML 1.2 core schema (null, booleans, numbers and strings).
+ * Anchors, aliases, tags and multiple documents aren't supported and throw a YAMLError.
+ *
+ * @typedef {Object} YAMLLocations - Where block mapping entries and sequence items start, for linters
+ * @property {Map<string, { line: number, column: number }>} locations - Keyed by the JSON of each value's path, like '["greeting",0]'
+ * @property {{ path: (string|number)[], line: number, column: number }[]} duplicateKeys - Duplicate keys are
+ *     added here instead of throwing, and the last value is kept
+ *
+ * @typedef {Object} YAMLState
+ * @property {string[]} lines
+ * @property {number} pos - Index of the next line to read
+ * @property {undefined|YAMLLocations} locations
+ */
+
+const NULL_REGEX = /^(null|Null|NULL|~)?$/;
+const TRUE_REGEX = /^(true|True|TRUE)$/;
+const FALSE_REGEX = /^(false|False|FALSE)$/;
+const INT_REGEX = /^[-+]?[0-9]+$/;
+const OCT_REGEX = /^0o[0-7]+$/;
+const HEX_REGEX = /^0x[0-9a-fA-F]+$/;
+const FLOAT_REGEX = /^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/;
+const INF_REGEX = /^([-+]?)\.(inf|Inf|INF)$/;
+const NAN_REGEX = /^\.(nan|NaN|NAN)$/;
+
+/** @type {Object.<string, string>} */
+const DOUBLE_QUOTE_ESCAPES = {
+	"0": "\0",
+	"a": "\x07",
+	"b": "\b",
+	"t": "\t",
+	"\t": "\t",
+	"n": "\n",
+	"v": "\v",
+	"f": "\f",
+	"r": "\r",
+	"e": "\x1b",
+	" ": " ",
+	"\"": "\"",
+	"/": "/",
+	"\\": "\\",
+	"N": "\x85",
+	"_": "\xa0"
+};
+
+export class YAMLError extends SyntaxError {
+	/**
+	 * @param {string} message
+	 * @param {number} line - Starts at 1
+	 * @param {number} column - Starts at 1
+	 */
+	constructor(message, line, column) {
+		super(`YAML line ${line}: ${message}`);
+		this.name = "YAMLError";
+		this.line = line;
+		this.column = column;
+	}
+}
+
+/**
+ * @param {YAMLState} state
+ * @param {string} message
+ * @returns {YAMLError}
+ */
+function yamlError(state, message) {
+	const pos = Math.min(state.pos, state.lines.length - 1);
+	return new YAMLError(message, pos + 1, indentOf(state.lines[pos] ?? "") + 1);
+}
+
+/**
+ * Note where the value at path starts, if locations are being collected.
+ * @param {YAMLState} state
+ * @param {(string|number)[]} path
+ * @param {number} indent
+ */
+function addLocation(state, path, indent) {
+	state.locations?.locations.set(JSON.stringify(path), { line: state.pos + 1, column: indent + 1 });
+}
+
+/**
+ * @param {string} line
+ * @returns {number}
+ */
+function indentOf(line) {
+	return line.length - line.trimStart().length;
+}
+
+/**
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isBlank(line) {
+	return line.trim() === "" || line.trimStart().startsWith("#");
+}
+
+/**
+ * Skip blank and comment lines, returning the next line with content or undefined at the end.
+ * @param {YAMLState} state
+ * @returns {undefined|string}
+ */
+function peekLine(state) {
+	while (state.pos < state.lines.length && isBlank(state.lines[state.pos])) {
+		state.pos += 1;
+	}
+	const line = state.lines[state.pos];
+	if (line !== undefined && line.slice(0, indentOf(line)).includes("\t")) {
+		throw yamlError(state, "Tabs can't be used for indentation");
+	}
+	return line;
+}
+
+/**
+ * Remove a trailing # comment that isn't inside quotes.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripComment(text) {
+	/** @type {null|string} */
+	let quote = null;
+	for (let i = 0; i < text.length; i++) {
+		const c = text[i];
+		if (quote) {
+			if (c === "\\" && quote === "\"") {
+				i += 1;
+			} else if (c === quote) {
+				quote = null;
+			}
+		} else if ((c === "\"" || c === "'") && (i === 0 || /[\s[{,:]/.test(text[i - 1]))) {
+			quote = c;
+		} else if (c === "#" && (i === 0 || /\s/.test(text[i - 1]))) {
+			return text.slice(0, i).trimEnd();
+		}
+	}
+	return text.trimEnd();
+}
+
+/**
+ * Resolve a plain scalar to null, a boolean, a number or a string.
+ * @param {string} text
+ * @returns {*}
+ */
+function resolvePlain(text) {
+	if (NULL_REGEX.test(text)) {
+		return null;
+	} else if (TRUE_REGEX.test(text)) {
+		return true;
+	} else if (FALSE_REGEX.test(text)) {
+		return false;
+	} else if (INT_REGEX.test(text) || FLOAT_REGEX.test(text)) {
+		return Number(text);
+	} else if (OCT_REGEX.test(text)) {
+		return parseInt(text.slice(2), 8);
+	} else if (HEX_REGEX.test(text)) {
+		return parseInt(text.slice(2), 16);
+	}
+	const inf = INF_REGEX.exec(text);
+	if (inf) {
+		return inf[1] === "-" ? -Infinity : Infinity;
+	} else if (NAN_REGEX.test(text)) {
+		return NaN;
+	}
+	return text;
+}
+
+/**
+ * Find the end of a quoted scalar that starts at text[start]. Returns the index of the closing quote or -1.
+ * @param {string} text
+ * @param {number} start
+ * @returns {number}
+ */
+function findClosingQuote(text, start) {
+	const quote = text[start];
+	for (let i = start + 1; i < text.length; i++) {
+		if (quote === "\"" && text[i] === "\\") {
+			i += 1;
+		} else if (text[i] === quote) {
+			if (quote === "'" && text[i + 1] === "'") {
+				i += 1;
+			} else {
+				return i;
+			}
+		}
+	}
+	return -1;
+}
+
+/**
+ * Fold the line breaks of a multi-line flow scalar: single breaks become spaces and
+ * each blank line becomes a newline.
+ * @param {string} text
+ * @returns {string}
+ */
+function foldFlowLines(text) {
+	if (!text.includes("\n")) {
+		return text;
+	}
+	const lines = text.split("\n");
+	let folded = lines[0].trimEnd();
+	let numBreaks = 0;
+	for (let i = 1; i < lines.length; i++) {
+		const line = i === lines.length - 1 ? lines[i].trimStart() : lines[i].trim();
+		if (line === "" && i < lines.length - 1) {
+			numBreaks += 1;
+			continue;
+		}
+		folded += numBreaks > 0 ? "\n".repeat(numBreaks) : " ";
+		folded += line;
+		numBreaks = 0;
+	}
+	return folded;
+}
+
+/**
+ * Parse the inside of a quoted scalar, without its quotes.
+ * @param {YAMLState} state
+ * @param {string} body
+ * @param {string} quote
+ * @returns {string}
+ */
+function unquote(state, body, quote) {
+	if (quote === "'") {
+		return foldFlowLines(body).replace(/''/g, "'");
+	}
+	// An escaped line break joins the lines without a space
+	const folded = foldFlowLines(body.replace(/\\\n\s*/g, ""));
+	let text = "";
+	for (let i = 0; i < folded.length; i++) {
+		const c = folded[i];
+		if (c !== "\\") {
+			text += c;
+			continue;
+		}
+		const escape = folded[i + 1];
+		const hexLength = escape === "x" ? 2 : escape === "u" ? 4 : escape === "U" ? 8 : 0;
+		if (hexLength) {
+			const hex = folded.slice(i + 2, i + 2 + hexLength);
+			if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== hexLength) {
+				throw yamlError(state, `Bad escape '\\${escape}${hex}'`);
+			}
+			text += String.fromCodePoint(parseInt(hex, 16));
+			i += 1 + hexLength;
+		} else if (escape !== undefined && Object.prototype.hasOwnProperty.call(DOUBLE_QUOTE_ESCAPES, escape)) {
+			text += DOUBLE_QUOTE_ESCAPES[escape];
+			i += 1;
+		} else {
+			throw yamlError(state, `Bad escape '\\${escape ?? ""}'`);
+		}
+	}
+	return text;
+}
+
+/**
+ * Parse a flow value like [a, "b", {c: d}] that's been joined into one string.
+ * @param {YAMLState} state
+ * @param {string} text
+ * @returns {*}
+ */
+function parseFlow(state, text) {
+	let i = 0;
+
+	const skipSpace = () => {
+		while (i < text.length && /\s/.test(text[i])) {
+			i += 1;
+		}
+	};
+
+	/**
+	 * @param {string} terminators
+	 * @returns {*}
+	 */
+	const parseFlowNode = (terminators) => {
+		skipSpace();
+		const c = text[i];
+		if (c === "[") {
+			i += 1;
+			const items = [];
+			skipSpace();
+			while (text[i] !== "]") {
+				items.push(parseFlowNode(",]"));
+				skipSpace();
+				if (text[i] === ",") {
+					i += 1;
+					skipSpace();
+				} else if (text[i] !== "]") {
+					throw yamlError(state, "Expected ',' or ']' in flow sequence");
+				}
+			}
+			i += 1;
+			return items;
+		} else if (c === "{") {
+			i += 1;
+			/** @type {Object.<string, *>} */
+			const map = {};
+			skipSpace();
+			while (text[i] !== "}") {
+				const key = parseFlowNode(":,}");
+				skipSpace();
+				let value = null;
+				if (text[i] === ":") {
+					i += 1;
+					value = parseFlowNode(",}");
+					skipSpace();
+				}
+				if (typeof key === "object" && key !== null) {
+					throw yamlError(state, "Mapping keys must be scalars");
+				}
+				map[String(key)] = value;
+				if (text[i] === ",") {
+					i += 1;
+					skipSpace();
+				} else if (text[i] !== "}") {
+					throw yamlError(state, "Expected ',' or '}' in flow mapping");
+				}
+			}
+			i += 1;
+			return map;
+		} else if (c === "\"" || c === "'") {
+			const end = findClosingQuote(text, i);
+			if (end === -1) {
+				throw yamlError(state, "Unterminated quoted scalar");
+			}
+			const value = unquote(state, text.slice(i + 1, end), c);
+			i = end + 1;
+			return value;
+		} else if (c === undefined) {
+			throw yamlError(state, "Unterminated flow collection");
+		}
+
+		const start = i;
+		while (i < text.length && !terminators.includes(text[i]) && !"[]{}".includes(text[i])) {
+			// A ':' only ends a plain key when followed by a space
+			if (text[i] === ":" && terminators.includes(":") && /[\s,}\]]/.test(text[i + 1] ?? " ")) {
+				break;
+			}
+			i += 1;
+		}
+		return resolvePlain(foldFlowLines(text.slice(start, i).trim()));
+	};
+
+	const value = parseFlowNode("");
+	skipSpace();
+	if (i < text.length) {
+		throw yamlError(state, `Unexpected '${text.slice(i, i + 10)}' after flow collection`);
+	}
+	return value;
+}
+
+/**
+ * Read a block scalar's lines after its | or > header.
+ * @param {YAMLState} state
+ * @param {string} header
+ * @param {number} parentIndent
+ * @returns {string}
+ */
+function parseBlockScalar(state, header, parentIndent) {
+	const match = /^([|>])([-+]?)([1-9]?)([-+]?)$/.exec(stripComment(header));
+	if (!match || (match[2] && match[4])) {
+		throw yamlError(state, `Bad block scalar header '${header}'`);
+	}
+	const folded = match[1] === ">";
+	const chomping = match[2] || match[4];
+	state.pos += 1;
+
+	let blockIndent = match[3] ? parentIndent + Number(match[3]) : -1;
+	/** @type {string[]} */
+	const body = [];
+	while (state.pos < state.lines.length) {
+		const line = state.lines[state.pos];
+		if (line.trim() === "") {
+			body.push("");
+			state.pos += 1;
+			continue;
+		}
+		const indent = indentOf(line);
+		if (blockIndent < 0) {
+			if (indent <= parentIndent) {
+				break;
+			}
+			blockIndent = indent;
+		}
+		if (indent < blockIndent) {
+			break;
+		}
+		body.push(line.slice(blockIndent));
+		state.pos += 1;
+	}
+
+	let numTrailing = 0;
+	while (body.length > 0 && body[body.length - 1].trim() === "") {
+		body.pop();
+		numTrailing += 1;
+	}
+
+	let text = "";
+	if (!folded) {
+		text = body.join("\n");
+	} else {
+		let numBreaks = 0;
+		let started = false;
+		let prevMoreIndented = false;
+		for (let line of body) {
+			if (line === "") {
+				numBreaks += 1;
+				continue;
+			}
+			// More indented lines keep their line breaks
+			const moreIndented = /^\s/.test(line);
+			if (started) {
+				const keepBreak = moreIndented || prevMoreIndented;
+				text += numBreaks === 0 && !keepBreak ? " " : "\n".repeat(numBreaks + (keepBreak ? 1 : 0));
+			} else {
+				text += "\n".repeat(numBreaks);
+			}
+			text += line;
+			started = true;
+			numBreaks = 0;
+			prevMoreIndented = moreIndented;
+		}
+	}
+
+	if (chomping === "-") {
+		return text;
+	} else if (chomping === "+") {
+		return body.length > 0 ? `${text}\n${"\n".repeat(numTrailing)}` : "\n".repeat(numTrailing);
+	}
+	return body.length > 0 ? `${text}\n` : "";
+}
+
+/**
+ * Parse a value that starts on the current line, after a 'key:' or '- ', and may continue on the lines after it.
+ * @param {YAMLState} state
+ * @param {string} text - What's left of the current line
+ * @param {number} parentIndent - Indent of the mapping or sequence holding the value
+ * @param {boolean} inMapping - A sequence at the parent's indent can be a mapping's value
+ * @param {(string|number)[]} path
+ * @returns {*}
+ */
+function parseValue(state, text, parentIndent, inMapping, path) {
+	text = text.trim();
+	const c = text[0];
+	if (c === "&" || c === "*" || c === "!") {
+		throw yamlError(state, "Anchors, aliases and tags aren't supported");
+	}
+
+	if (c === "|" || c === ">") {
+		return parseBlockScalar(state, text, parentIndent);
+	}
+
+	if (stripComment(text) === "") {
+		state.pos += 1;
+		const next = peekLine(state);
+		if (next === undefined) {
+			return null;
+		}
+		const indent = indentOf(next);
+		if (indent > parentIndent || (inMapping && indent === parentIndent && isSequenceItem(next.trimStart()))) {
+			return parseNode(state, indent, path);
+		}
+		return null;
+	}
+
+	// Quoted and flow values can run over the lines after them
+	if (c === "\"" || c === "'" || c === "[" || c === "{") {
+		let joined = text;
+		const startPos = state.pos;
+		while (true) {
+			const end = c === "\"" || c === "'" ? findClosingQuote(joined, 0) : findFlowEnd(joined);
+			if (end !== -1) {
+				const rest = stripComment(joined.slice(end + 1));
+				if (rest !== "") {
+					throw yamlError(state, `Unexpected '${rest}' after ${c === "[" || c === "{" ? "flow collection" : "quoted scalar"}`);
+				}
+				state.pos += 1;
+				if (c === "[" || c === "{") {
+					return parseFlow(state, joined.split("\n").map(stripComment).join("\n"));
+				}
+				return unquote(state, joined.slice(1, end), c);
+			}
+			state.pos += 1;
+			if (state.pos >= state.lines.length) {
+				state.pos = startPos;
+				throw yamlError(state, c === "[" || c === "{" ? "Unterminated flow collection" : "Unterminated quoted scalar");
+			}
+			joined += `\n${state.lines[state.pos]}`;
+		}
+	}
+
+	// Plain scalars continue on more indented lines
+	let plain = stripComment(text);
+	state.pos += 1;
+	let numBreaks = 0;
+	while (state.pos < state.lines.length) {
+		const line = state.lines[state.pos];
+		if (line.trim() === "") {
+			numBreaks += 1;
+			state.pos += 1;
+			continue;
+		}
+		if (indentOf(line) <= parentIndent || line.trimStart().startsWith("#")) {
+			break;
+		}
+		plain += numBreaks > 0 ? "\n".repeat(numBreaks) : " ";
+		plain += stripComment(line.trim());
+		numBreaks = 0;
+		state.pos += 1;
+	}
+	return resolvePlain(plain);
+}
+
+/**
+ * Find the index of the bracket that closes the flow collection at text[0], or -1.
+ * @param {string} text
+ * @returns {number}
+ */
+function findFlowEnd(text) {
+	let depth = 0;
+	for (let i = 0; i < text.length; i++) {
+		const c = text[i];
+		if (c === "\"" || c === "'") {
+			const end = findClosingQuote(text, i);
+			if (end === -1) {
+				return -1;
+			}
+			i = end;
+		} else if (c === "#" && /\s/.test(text[i - 1] ?? "")) {
+			// Skip the comment to the end of its line
+			const lineEnd = text.indexOf("\n", i);
+			if (lineEnd === -1) {
+				return -1;
+			}
+			i = lineEnd;
+		} else if (c === "[" || c === "{") {
+			depth += 1;
+		} else if (c === "]" || c === "}") {
+			depth -= 1;
+			if (depth === 0) {
+				return i;
+			}
+		}
+	}
+	return -1;
+}
+
+/**
+ * @param {string} content - A line without its indent
+ * @returns {boolean}
+ */
+function isSequenceItem(content) {
+	return content === "-" || content.startsWith("- ");
+}
+
+/**
+ * Split a 'key: value' line. Returns null if the line isn't a mapping entry.
+ * @param {YAMLState} state
+ * @param {string} content - A line without its indent
+ * @returns {null|{ key: string, rest: string }}
+ */
+function splitKey(state, content) {
+	if (content[0] === "\"" || content[0] === "'") {
+		const end = findClosingQuote(content, 0);
+		if (end === -1) {
+			return null;
+		}
+		const after = content.slice(end + 1);
+		const match = /^\s*:(\s|$)/.exec(after);
+		if (!match) {
+			return null;
+		}
+		return { key: unquote(state, content.slice(1, end), content[0]), rest: after.slice(match[0].length) };
+	}
+	if ("[{#|>-".includes(content[0]) && !/^-[^\s]/.test(content)) {
+		return null;
+	}
+	const match = /:(\s|$)/.exec(content);
+	if (!match || content.slice(0, match.index).includes(" #")) {
+		return null;
+	}
+	const key = content.slice(0, match.index).trim();
+	if (key[0] === "&" || key[0] === "*" || key[0] === "!") {
+		throw yamlError(state, "Anchors, aliases and tags aren't supported");
+	}
+	return { key, rest: content.slice(match.index + 1) };
+}
+
+/**
+ * @param {YAMLState} state
+ * @param {number} indent
+ * @param {(string|number)[]} path
+ * @returns {Object.<string, *>}
+ */
+function parseMapping(state, indent, path) {
+	/** @type {Object.<string, *>} */
+	const map = {};
+	while (true) {
+		const line = peekLine(state);
+		if (line === undefined || indentOf(line) < indent || isDocumentMarker(line)) {
+			return map;
+		}
+		if (indentOf(line) > indent) {
+			throw yamlError(state, "Bad indentation");
+		}
+		const entry = splitKey(state, line.trimStart());
+		if (!entry) {
+			throw yamlError(state, `Expected 'key: value', not '${line.trim()}'`);
+		}
+		const keyPath = [...path, entry.key];
+		if (Object.prototype.hasOwnProperty.call(map, entry.key)) {
+			if (!state.locations) {
+				throw yamlError(state, `Duplicate key '${entry.key}'`);
+			}
+			state.locations.duplicateKeys.push({ path: keyPath, line: state.pos + 1, column: indent + 1 });
+		}
+		addLocation(state, keyPath, indent);
+		map[entry.key] = parseValue(state, entry.rest, indent, true, keyPath);
+	}
+}
+
+/**
+ * @param {YAMLState} state
+ * @param {number} indent
+ * @param {(string|number)[]} path
+ * @returns {*[]}
+ */
+function parseSequence(state, indent, path) {
+	/** @type {*[]} */
+	const items = [];
+	while (true) {
+		const line = peekLine(state);
+		if (line === undefined || indentOf(line) < indent || isDocumentMarker(line)) {
+			return items;
+		}
+		const content = line.trimStart();
+		if (indentOf(line) > indent) {
+			throw yamlError(state, "Bad indentation");
+		} else if (!isSequenceItem(content)) {
+			// The next key of the mapping this sequence is a value of
+			return items;
+		}
+		/** @type {(string|number)[]} */
+		const itemPath = [...path, items.length];
+		addLocation(state, itemPath, indent);
+		const itemText = content.slice(1);
+		const itemContent = itemText.trimStart();
+		const itemIndent = indent + 1 + itemText.length - itemContent.length;
+		if (itemContent !== "" && !itemContent.startsWith("#")
+			&& (isSequenceItem(itemContent) || splitKey(state, itemContent))) {
+			// Parse a nested mapping or sequence as if it started on its own line
+			state.lines[state.pos] = " ".repeat(itemIndent) + itemContent;
+			items.push(parseNode(state, itemIndent, itemPath));
+		} else {
+			items.push(parseValue(state, itemText, indent, false, itemPath));
+		}
+	}
+}
+
+/**
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isDocumentMarker(line) {
+	return /^(---|\.\.\.)(\s|$)/.test(line);
+}
+
+/**
+ * Parse the mapping, sequence or scalar starting at the next line.
+ * @param {YAMLState} state
+ * @param {number} indent
+ * @param {(string|number)[]} path
+ * @returns {*}
+ */
+function parseNode(state, indent, path) {
+	const line = peekLine(state);
+	if (line === undefined) {
+		return null;
+	}
+	const content = line.trimStart();
+	if (isSequenceItem(content)) {
+		return parseSequence(state, indent, path);
+	} else if (splitKey(state, content)) {
+		return parseMapping(state, indent, path);
+	}
+	return parseValue(state, content, indent - 1, false, path);
+}
+
+/**
+ * Parse a YAML document.
+ * @param {string} text
+ * @param {YAMLLocations} [locations] - Collects where values start
+ * @returns {*}
+ * @throws {YAMLError}
+ */
+export function parseYAML(text, locations=undefined) {
+	/** @type {YAMLState} */
+	const state = { lines: text.replace(/\r\n?/g, "\n").split("\n"), pos: 0, locations };
+
+	// Skip directives and the start marker
+	let line = peekLine(state);
+	while (line !== undefined && line.startsWith("%")) {
+		state.pos += 1;
+		line = peekLine(state);
+	}
+	if (line !== undefined && /^---(\s|$)/.test(line)) {
+		const rest = stripComment(line.slice(3)).trim();
+		if (rest !== "") {
+			state.lines[state.pos] = rest;
+		} else {
+			state.pos += 1;
+		}
+	}
+
+	const value = parseNode(state, 0, []);
+
+	line = peekLine(state);
+	if (line !== undefined && line.startsWith("...")) {
+		state.pos += 1;
+		line = peekLine(state);
+	}
+	if (line !== undefined) {
+		throw yamlError(state, isDocumentMarker(line) ? "Only one document is supported" : `Unexpected '${line.trim()}'`);
+	}
+	return value;
+}
@@ -0,0 +1,168 @@
+import * as assert from "node:assert";
+import { execFile } from "node:child_process";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { test } from "node:test";
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+import { findTestFiles, globToRegExp } from "../src/cli.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const cliPath = join(__dirname, "..", "src", "cli.js");
+const qcDir = join(__dirname, "qc");
+const outDir = join(__dirname, "out");
+
+/**
+ * Run the promptqc command from the qc test directory
+ * @param {string[]} args
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+ */
+function runCLI(args) {
+	return new Promise((resolve) => {
+		execFile(process.execPath, [cliPath, ...args], { cwd: qcDir }, (error, stdout, stderr) => {
+			resolve({
+				code: error ? Number(error.code) : 0,
+				stdout,
+				stderr
+			});
+		});
+	});
+}
+
+test("globToRegExp", (t) => {
+	const regExp = globToRegExp("**/*.qc.{js,mjs}");
+	assert.strictEqual(regExp.test("a.qc.js"), true);
+	assert.strictEqual(regExp.test("dir/sub/a.qc.mjs"), true);
+	assert.strictEqual(regExp.test("a.qc.ts"), false);
+	assert.strictEqual(regExp.test("aqc.js"), false);
+
+	assert.strictEqual(globToRegExp("dir/?.js").test("dir/a.js"), true);
+	assert.strictEqual(globToRegExp("dir/?.js").test("dir/sub/a.js"), false);
+});
+
+test("findTestFiles", async (t) => {
+	const testFiles = await findTestFiles(["**/*.qc.{js,mjs}"], __dirname);
+	assert.deepStrictEqual(testFiles, [join(qcDir, "greeting.qc.js")]);
+});
+
+test("promptqc exits with 1 when a test fails", async (t) => {
+	const { code, stdout } = await runCLI(["--prompt-dir", "../prompts"]);
+	assert.strictEqual(code, 1);
+	assert.ok(stdout.includes("Greeting passes"));
+	assert.ok(stdout.includes("Greeting fails"));
+});
+
+test("promptqc with a filter, reporter and out file", async (t) => {
+	await mkdir(outDir, { recursive: true });
+	const outFile = join(outDir, "cli.out.json");
+	const { code, stdout } = await runCLI([
+		"run",
+		"--prompt-dir", "../prompts",
+		"--filter", "passes$",
+		"--reporter", "none",
+		"--out", outFile
+	]);
+	assert.strictEqual(code, 0);
+	assert.strictEqual(stdout, "");
+
+	const qcSummary = JSON.parse(await readFile(outFile, { encoding: "utf8" }));
+	assert.strictEqual(qcSummary.qcResults.length, 2);
+	assert.strictEqual(qcSummary.qcResults[0].testName, "Greeting passes");
+	assert.strictEqual(qcSummary.qcResults[1].skipped, true);
+	assert.strictEqual(qcSummary.qcResults[1].skipReason, "Filtered out by test name");
+});
+
+test("promptqc with tags and prompt group filters", async (t) => {
+	const tagged = await runCLI(["--prompt-dir", "../prompts", "--tags", "smoke && !slow"]);
+	assert.strictEqual(tagged.code, 0);
+	assert.ok(tagged.stdout.includes("Greeting fails | test2 | Skipped: Filtered out by tags"));
+	assert.ok(tagged.stdout.includes("2 qcs, 1 skipped"));
+
+	const grouped = await runCLI(["--prompt-dir", "../prompts", "--prompt-grp", "test2", "--reporter", "json"]);
+	assert.strictEqual(grouped.code, 1);
+	const qcSummary = JSON.parse(grouped.stdout);
+	assert.deepStrictEqual(qcSummary.qcResults.map((/** @type {*} */ qcResult) => qcResult.skipped), [true, false]);
+
+	assert.strictEqual((await runCLI(["--tags", "smoke &&"])).code, 2);
+});
+
+test("promptqc exits with 1 when a prompt file is bad", async (t) => {
+	const badDir = join(outDir, "badPrompts");
+	await mkdir(badDir, { recursive: true });
+	await writeFile(join(badDir, "test1.prompt.json"), `{ "test1": [`);
+	const unreadable = await runCLI(["--prompt-dir", "../out/badPrompts", "--tags", "smoke", "--reporter", "json"]);
+	assert.strictEqual(unreadable.code, 1);
+	const qcSummary = JSON.parse(unreadable.stdout);
+	assert.strictEqual(qcSummary.qcResults[0].passed, false);
+	assert.strictEqual(qcSummary.qcResults[0].error.step, "ReadPromptFile");
+
+	await writeFile(join(badDir, "test1.prompt.json"), JSON.stringify({ test2: ["Hi"] }));
+	const missingGrp = await runCLI(["--prompt-dir", "../out/badPrompts", "--tags", "smoke"]);
+	assert.strictEqual(missingGrp.code, 1);
+	assert.ok(missingGrp.stdout.includes("promptGrp 'test1' does not exist"));
+});
+
+test("promptqc with bad arguments", async (t) => {
+	assert.strictEqual((await runCLI(["--reporter", "nope"])).code, 2);
+	assert.strictEqual((await runCLI(["--unknown"])).code, 2);
+	assert.strictEqual((await runCLI(["missing/*.qc.js"])).code, 2);
+});
+
+test("promptqc compare", async (t) => {
+	await mkdir(outDir, { recursive: true });
+	/**
+	 * @param {number} score
+	 * @returns {*}
+	 */
+	const makeSummary = (score) => ({
+		qcResults: [{
+			testName: "Greeting",
+			promptGrp: "test1",
+			score,
+			passed: score >= 0.5,
+			error: null,
+			timeStats: { totalMs: 10 }
+		}],
+		timeStats: { totalMs: 10 }
+	});
+	const baselineFile = join(outDir, "compare.baseline.json");
+	const currentFile = join(outDir, "compare.current.json");
+	const comparisonFile = join(outDir, "compare.out.json");
+	await writeFile(baselineFile, JSON.stringify(makeSummary(0.9)));
+	await writeFile(currentFile, JSON.stringify(makeSummary(0.8)));
+
+	const regressed = await runCLI(["compare", baselineFile, currentFile, "--out", comparisonFile]);
+	assert.strictEqual(regressed.code, 1);
+	assert.ok(regressed.stdout.includes("Greeting"));
+	const comparison = JSON.parse(await readFile(comparisonFile, { encoding: "utf8" }));
+	assert.strictEqual(comparison.numRegressed, 1);
+
+	const tolerated = await runCLI(["compare", "--tolerance", "0.2", "--reporter", "json", baselineFile, currentFile]);
+	assert.strictEqual(tolerated.code, 0);
+	assert.strictEqual(JSON.parse(tolerated.stdout).hasRegressions, false);
+
+	assert.strictEqual((await runCLI(["compare", baselineFile])).code, 2);
+	assert.strictEqual((await runCLI(["compare", baselineFile, "missing.json"])).code, 2);
+});
+
+test("promptqc lint", async (t) => {
+	const lintFile = join("..", "prompts", "lint.prompt.json");
+	const failed = await runCLI(["lint", lintFile]);
+	assert.strictEqual(failed.code, 1);
+	assert.ok(failed.stdout.includes(`${lintFile}:5:3: warning: Two user messages in a row`));
+	assert.ok(failed.stdout.includes("4 errors, 4 warnings in 1 files"));
+
+	const errorsOff = ["empty-content", "system-not-first", "unknown-role", "invalid-group"].flatMap((rule) => ["--rule", `${rule}=off`]);
+	const passed = await runCLI(["lint", "--reporter", "json", ...errorsOff, lintFile]);
+	assert.strictEqual(passed.code, 0);
+	const report = JSON.parse(passed.stdout);
+	assert.strictEqual(report.numErrors, 0);
+	assert.strictEqual(report.results[0].diagnostics[0].rule, "consecutive-user");
+	assert.strictEqual((await runCLI(["lint", "--max-warnings", "0", ...errorsOff, lintFile])).code, 1);
+
+	assert.strictEqual((await runCLI(["lint", "../prompts/compose/shared.prompt.yaml"])).code, 0);
+	assert.strictEqual((await runCLI(["lint", "--rule", "nope=off", lintFile])).code, 2);
+	assert.strictEqual((await runCLI(["lint", "--rule", "empty-group", lintFile])).code, 2);
+	assert.strictEqual((await runCLI(["lint", "missing/*.prompt.json"])).code, 2);
+});
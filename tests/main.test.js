@@ -1,15 +1,63 @@
 import * as assert from "node:assert";
 import { test } from "node:test";
+import { mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import { getEventListeners } from "node:events";
+import { createServer } from "node:http";
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
 
 import {
 	AssertionError,
+	calcCost,
+	calcPassAtK,
+	calcPercentile,
+	calcPassHatK,
+	compareModels,
+	compareSummaries,
+	CompletionScheduler,
+	cosineSimilarity,
+	defaultSnapshotFile,
+	diffLines,
+	extractToolCalls,
+	extractUsage,
+	getPromptFileFormat,
+	lintPromptFile,
+	lintPromptText,
+	normalizeSnapshot,
+	QBudgetError,
 	QCRunner,
+	QError,
+	QTimeoutError,
+	ProviderError,
+	Step,
+	anthropic,
+	loadPromptGrp,
+	makeAssertionHumanReadable,
+	makeJudgePrompts,
+	matchesPartial,
+	ngramSimilarity,
+	ollama,
+	openAICompatible,
+	parseJudgeReply,
+	parseTagFilter,
+	parseCSV,
+	parseJSON,
+	parseJSONText,
+	parsePromptJSONL,
+	parsePromptMarkdown,
+	parseYAML,
+	readCasesFile,
 	readPromptFile,
+	renderPrompts,
 	roundToNearest100th,
+	printComparison,
 	printSummary,
-	saveSummaryToJSON
+	saveSummaryToHTML,
+	saveSummaryToJSON,
+	saveSummaryToJUnit,
+	summaryToHTML,
+	summaryToJUnit,
+	validateJsonSchema
 } from "../src/main.js";
 
 /**
@@ -37,6 +85,14 @@ const EMPTY_FILEPATH = join(promptsDir, "empty.prompt.json");
 const UNPARSABLE_FILEPATH = join(promptsDir, "unparse.prompt.json");
 const NO_PROMPTGRPS_FILEPATH = join(promptsDir, "nopromptgrps.prompt.json");
 const MISSING_PROMPTARRAY_FILEPATH = join(promptsDir, "misspromptarray.prompt.json");
+const VARS_FILEPATH = join(promptsDir, "vars.prompt.json");
+const composeDir = join(promptsDir, "compose");
+const LINT_FILEPATH = join(promptsDir, "lint.prompt.json");
+const FORMATS_FILEPATHS = ["json", "yaml", "jsonl", "md"].map((extension) => join(promptsDir, `formats.prompt.${extension}`));
+
+const casesDir = join(__dirname, "cases");
+const JSONL_CASES_FILEPATH = join(casesDir, "greeting.cases.jsonl");
+const CSV_CASES_FILEPATH = join(casesDir, "greeting.cases.csv");
 
 /** @type {Prompt} **/
 const DUMMY_PROMPT = {
@@ -94,6 +150,21 @@ test("QCRunner.test with valid args", (t) => {
 	assert.strictEqual(throws, false);
 });
 
+test("QCRunner.test only keeps the documented PartialQConfig fields", (t) => {
+	const qc = new QCRunner();
+	/** @type {*} */
+	const partialQConfig = { scoreReq: 0.5, modelKey: "internal", testCase: { name: "0" }, scoreReqq: 0.9 };
+	const qcDef = qc.test("Test 1", TEST1_FILEPATH, "test1", dummyCompletion, dummyTest, partialQConfig);
+	assert.strictEqual(qcDef.qConfig.scoreReq, 0.5);
+	for (let key of ["modelKey", "testCase", "scoreReqq"]) {
+		assert.strictEqual(Object.prototype.hasOwnProperty.call(qcDef.qConfig, key), false);
+	}
+
+	const [matrixDef] = qc.matrix("Matrix", TEST1_FILEPATH, "test1", { small: dummyCompletion }, dummyTest, partialQConfig);
+	assert.strictEqual(matrixDef.qConfig.modelKey, "small");
+	assert.strictEqual(matrixDef.qConfig.modelId, "small");
+});
+
 test("QCRunner.complete with valid args", (t) => {
 	const qc = new QCRunner();
 	let throws = false;
@@ -270,6 +341,277 @@ test("readPromptFile with missing prompt array", async (t) => {
 	assert.strictEqual(throws, true);
 });
 
+test("readPromptFile with YAML, JSONL and Markdown files", async (t) => {
+	assert.deepStrictEqual(FORMATS_FILEPATHS.map(getPromptFileFormat), ["json", "yaml", "jsonl", "markdown"]);
+	assert.strictEqual(getPromptFileFormat("prompts.YML"), "yaml");
+	assert.strictEqual(getPromptFileFormat("prompts.txt"), "json");
+
+	const [expected, ...others] = await Promise.all(FORMATS_FILEPATHS.map(readPromptFile));
+	assert.deepStrictEqual(expected.greeting[1], { role: "user", content: "Bonjour, ça va ?" });
+	for (let promptMap of others) {
+		assert.deepStrictEqual(promptMap, expected);
+	}
+});
+
+test("readPromptFile with imports, fragments and extends", async (t) => {
+	const promptMap = await readPromptFile(join(composeDir, "main.prompt.json"));
+	const system = {
+		role: "system",
+		content: "You are a support assistant for Acme.\nNever share internal ticket numbers."
+	};
+	const examples = [
+		{ role: "user", content: "Where is my order?" },
+		{ role: "assistant", content: "Let me look that up for you." }
+	];
+	const refund = [
+		system,
+		...examples,
+		{ role: "user", content: "I want a refund." },
+		{ role: "user", content: "Today, please." }
+	];
+	assert.deepStrictEqual(promptMap, {
+		greeting: [system, { role: "user", content: "Hi" }],
+		refund,
+		escalate: [...refund, { role: "user", content: "Let me talk to a person." }]
+	});
+
+	const cycleA = join(composeDir, "cycleA.prompt.json");
+	await assert.rejects(readPromptFile(cycleA), {
+		message: `${join(composeDir, "cycleB.prompt.json")}: Import cycle ${cycleA} -> ${join(composeDir, "cycleB.prompt.json")} -> ${cycleA}`
+	});
+
+	await mkdir(outDir, { recursive: true });
+	/**
+	 * @param {string} name
+	 * @param {Object.<string, *>} promptMap
+	 * @returns {Promise<string>}
+	 */
+	const writePromptFile = async (name, promptMap) => {
+		const filepath = join(outDir, name);
+		await writeFile(filepath, JSON.stringify(promptMap), { encoding: "utf8" });
+		return filepath;
+	};
+	const missingRef = await writePromptFile("missing-ref.prompt.json", { greeting: [{ $ref: "system" }] });
+	await assert.rejects(readPromptFile(missingRef), {
+		message: `${missingRef}: Prompt group 'greeting': $ref 'system' doesn't exist`
+	});
+	const refCycle = await writePromptFile("ref-cycle.prompt.json", {
+		$fragments: { a: { $ref: "b" }, b: [{ $ref: "a" }] },
+		greeting: []
+	});
+	await assert.rejects(readPromptFile(refCycle), { message: `${refCycle}: Fragment 'b': $ref cycle a -> b -> a` });
+	const extendsCycle = await writePromptFile("extends-cycle.prompt.json", {
+		a: { extends: "b" },
+		b: { extends: "a", prompts: [] }
+	});
+	await assert.rejects(readPromptFile(extendsCycle), {
+		message: `${extendsCycle}: Prompt group 'b': extends cycle a -> b -> a`
+	});
+	const missingBase = await writePromptFile("missing-base.prompt.json", { a: { extends: "base" } });
+	await assert.rejects(readPromptFile(missingBase), {
+		message: `${missingBase}: Prompt group 'a': extends 'base', which doesn't exist`
+	});
+	const missingImport = await writePromptFile("missing-import.prompt.json", { $import: "nope.json", a: [] });
+	await assert.rejects(readPromptFile(missingImport), {
+		message: `${missingImport}: Imported file 'nope.json' doesn't exist`
+	});
+});
+
+test("parseYAML", (t) => {
+	assert.deepStrictEqual(parseYAML([
+		"---",
+		"list:",
+		"- plain text # comment",
+		"- 'it''s'",
+		"- \"tab\\there \\u00e9\"",
+		"- [1, 2.5, true, ~, {a: b}]",
+		"folded: >",
+		"  one",
+		"  two",
+		"",
+		"  three",
+		"keep: |+",
+		"  line",
+		"",
+		"nested:",
+		"  - - a",
+		"    - b",
+		"  - key: value",
+		"    other: continued",
+		"      on the next line",
+		"..."
+	].join("\n")), {
+		list: ["plain text", "it's", "tab\there é", [1, 2.5, true, null, { a: "b" }]],
+		folded: "one two\nthree\n",
+		keep: "line\n\n",
+		nested: [["a", "b"], { key: "value", other: "continued on the next line" }]
+	});
+	assert.strictEqual(parseYAML(""), null);
+	assert.throws(() => parseYAML("a: 1\na: 2"), /line 2: Duplicate key 'a'/);
+	assert.throws(() => parseYAML("a:\n\tb: 1"), /Tabs/);
+	assert.throws(() => parseYAML("a: *ref"), /aren't supported/);
+	assert.throws(() => parseYAML("a: 1\n---\nb: 2"), /Only one document/);
+	assert.throws(() => parseYAML("a: \"open"), /Unterminated quoted scalar/);
+});
+
+test("parsePromptJSONL and parsePromptMarkdown", (t) => {
+	assert.throws(() => parsePromptJSONL(`{"prompts": []}`), /Line 1, column 1: Missing 'promptGrp'/);
+	assert.throws(() => parsePromptJSONL(`{"promptGrp": "a", "prompts": []}\n{"promptGrp": `), /^SyntaxError: Line 2: /);
+	assert.throws(() => parsePromptJSONL(`{"promptGrp": "a", "prompts": []}\n{"promptGrp": "a", "prompts": []}`), /Duplicate/);
+	assert.deepStrictEqual(parsePromptMarkdown([
+		"# Prompts",
+		"## empty",
+		"",
+		"## one",
+		"### User",
+		"#### Kept as content",
+		"  Indented"
+	].join("\n")), {
+		empty: [],
+		one: [{ role: "user", content: "#### Kept as content\n  Indented" }]
+	});
+	assert.deepStrictEqual(parsePromptMarkdown([
+		"## support",
+		"### system",
+		"You are a bot.",
+		"### Examples",
+		"#### Style",
+		"Be short.",
+		"```md",
+		"## Not a group",
+		"```",
+		"### user",
+		"Hi",
+		"",
+		"## other",
+		"### user",
+		"Bye",
+		"",
+		"# Notes",
+		"These are for the people editing the prompts."
+	].join("\n")), {
+		support: [
+			{ role: "system", content: "You are a bot.\n### Examples\n#### Style\nBe short.\n```md\n## Not a group\n```" },
+			{ role: "user", content: "Hi" }
+		],
+		other: [{ role: "user", content: "Bye" }]
+	});
+	// A '##' heading in a message starts a group, so the text under it isn't silently sent
+	assert.throws(() => parsePromptMarkdown("## support\n### system\nYou are a bot.\n## Style\nBe short."), /Line 5, column 1: Text in a group/);
+	assert.throws(() => parsePromptMarkdown("### user\nHello"), /isn't under a '## group' heading/);
+	assert.throws(() => parsePromptMarkdown("## one\n### Notes\nHello"), /Line 2, column 5: 'Notes' isn't a message role/);
+	assert.throws(() => parsePromptMarkdown("## one\n\n  Notes"), /Line 3, column 3: Text in a group has to be in a message/);
+});
+
+test("parseJSON", (t) => {
+	const text = `{"a": [1, -2.5e3, "x\\n\\u00e9", true, null], "__proto__": {}}`;
+	assert.deepStrictEqual(parseJSON(text), JSON.parse(text));
+	assert.throws(() => parseJSON(`{\n  "a": 1,\n}`), { name: "PromptParseError", line: 3, column: 1 });
+	assert.throws(() => parseJSON(`{"a": "b}`), /Line 1, column 7: Unterminated string/);
+	assert.throws(() => parseJSON(`[1] 2`), /Unexpected '2' after the JSON value/);
+
+	const locations = { locations: new Map(), duplicateKeys: [] };
+	parseJSON(`{\n  "a": [\n    {"role": "user"}\n  ],\n  "a": []\n}`, locations);
+	assert.deepStrictEqual(locations.locations.get(`["a",0,"role"]`), { line: 3, column: 6 });
+	assert.deepStrictEqual(locations.duplicateKeys, [{ path: ["a"], line: 5, column: 3 }]);
+
+	const yamlLocations = { locations: new Map(), duplicateKeys: [] };
+	parseYAML("a:\n  - role: user\n    content: hi\na: []", yamlLocations);
+	assert.deepStrictEqual(yamlLocations.locations.get(`["a",0,"content"]`), { line: 3, column: 5 });
+	assert.deepStrictEqual(yamlLocations.duplicateKeys, [{ path: ["a"], line: 4, column: 1 }]);
+	assert.throws(() => parseYAML("a:\n  b: 'c"), { name: "YAMLError", line: 2, column: 3 });
+});
+
+test("lintPromptText", (t) => {
+	/**
+	 * @param {import('../src/main.js').LintDiagnostic[]} diagnostics
+	 * @returns {string[]}
+	 */
+	const describe = (diagnostics) => diagnostics.map((d) => `${d.line}:${d.column} ${d.severity} ${d.rule}`);
+
+	const json = [
+		`{`,
+		`  "chat": [`,
+		`    {"role": "user", "content": "Hi"},`,
+		`    {"role": "user", "content": " "},`,
+		`    {"role": "system", "content": "Be brief"},`,
+		`    {"role": "bot", "content": ["Hello"]},`,
+		`    {"role": "assistant", "tool_calls": []}`,
+		`  ],`,
+		`  "none": [],`,
+		`  "bad": {"prompts": "x"},`,
+		`  "chat": [{"role": "system", "content": "Hi"}, {"$ref": "missing"}]`,
+		`}`
+	].join("\n");
+	// The duplicate's messages replace the first ones, so only those are checked
+	assert.deepStrictEqual(describe(lintPromptText(json, "json")), [
+		"9:3 warning empty-group",
+		"10:11 error invalid-group",
+		"11:3 error duplicate-group"
+	]);
+	assert.deepStrictEqual(describe(lintPromptText(json.replace(`"chat": [{`, `"other": [{`), "json", {
+		rules: { "consecutive-user": "error", "ends-on-assistant": "off" }
+	})), [
+		"4:5 error consecutive-user",
+		"4:22 error empty-content",
+		"5:5 error system-not-first",
+		"6:6 error unknown-role",
+		"6:21 warning non-string-content",
+		"9:3 warning empty-group",
+		"10:11 error invalid-group"
+	]);
+	assert.deepStrictEqual(lintPromptText(`{"a": [{"role": "bot", "content": "Hi"}]}`, "json", { roles: ["bot"] }), []);
+
+	assert.deepStrictEqual(describe(lintPromptText("## chat\n### User\nHi\n### User\n\n## other\n## last\n### user\nBye", "markdown")), [
+		"4:1 warning consecutive-user",
+		"5:1 error empty-content",
+		"6:1 warning empty-group"
+	]);
+	assert.deepStrictEqual(describe(lintPromptText("## chat\n### Bot\nHi", "markdown")), ["2:5 error syntax"]);
+	assert.deepStrictEqual(describe(lintPromptText("## a\n### user\nHi\n## a\n### user\nHi", "markdown")), ["4:1 error duplicate-group"]);
+
+	assert.deepStrictEqual(lintPromptText(`{"a": [}`, "json", {}, "bad.json"), [{
+		file: "bad.json",
+		line: 1,
+		column: 8,
+		severity: "error",
+		rule: "syntax",
+		message: "Unexpected '}'",
+		promptGrp: null
+	}]);
+	assert.strictEqual(lintPromptText("a:\n\tb: 1", "yaml")[0].line, 2);
+	assert.throws(() => lintPromptText("{}", "json", { rules: { "nope": "error" } }), /Unknown lint rule 'nope'/);
+	assert.throws(() => lintPromptText("{}", "json", { rules: { "empty-group": /** @type {*} */("loud") } }), /Severity must be one of/);
+});
+
+test("lintPromptFile", async (t) => {
+	const lintResult = await lintPromptFile(LINT_FILEPATH);
+	assert.deepStrictEqual(lintResult.diagnostics.map((d) => `${d.line} ${d.rule}`), [
+		"5 consecutive-user",
+		"5 empty-content",
+		"6 system-not-first",
+		"7 unknown-role",
+		"8 ends-on-assistant",
+		"8 non-string-content",
+		"10 empty-group",
+		"11 invalid-group"
+	]);
+	assert.strictEqual(lintResult.numErrors, 4);
+	assert.strictEqual(lintResult.numWarnings, 4);
+	assert.strictEqual(lintResult.diagnostics[0].promptGrp, "greeting");
+
+	assert.deepStrictEqual((await lintPromptFile(join(composeDir, "main.prompt.json"))).diagnostics, []);
+
+	await mkdir(outDir, { recursive: true });
+	const missingRef = join(outDir, "lint-missing-ref.prompt.yaml");
+	await writeFile(missingRef, "$fragments:\n  system: {role: system, content: Hi}\nchat:\n  - $ref: sytem\n  - role: user\n    content: Hi\n");
+	const composition = await lintPromptFile(missingRef);
+	assert.deepStrictEqual(composition.diagnostics.map((d) => [d.line, d.column, d.rule, d.message, d.promptGrp]), [
+		[3, 1, "composition", "Prompt group 'chat': $ref 'sytem' doesn't exist", "chat"]
+	]);
+	assert.deepStrictEqual((await lintPromptFile(missingRef, { rules: { composition: "off" } })).diagnostics, []);
+});
+
 test("QCRunner.run from same file with no issues and all assertions passing", async (t) => {
 	const qc = new QCRunner();
 	qc.test(
@@ -539,3 +881,1640 @@ test("QCRunner.run Multiple Files", async (t) => {
 	assert.doesNotThrow(() => { printSummary(qcSummary) });
 	await saveSummaryToJSON(qcSummary, join(outDir, "testRun3.out.json"));
 });
+
+test("renderPrompts fills in template vars", (t) => {
+	const prompts = [
+		"Plain {{name}}",
+		{ role: "user", content: "Hello {{ name }}, you are {{age}}" },
+		{ role: "user", content: [{ type: "text", text: "{{name}}" }] }
+	];
+	const rendered = renderPrompts(prompts, { name: "Ada", age: 36 });
+	assert.deepStrictEqual(rendered, [
+		"Plain Ada",
+		{ role: "user", content: "Hello Ada, you are 36" },
+		{ role: "user", content: [{ type: "text", text: "Ada" }] }
+	]);
+	// The original prompts are left alone
+	assert.deepStrictEqual(prompts[1], { role: "user", content: "Hello {{ name }}, you are {{age}}" });
+});
+
+test("renderPrompts with missing and unused vars", (t) => {
+	const prompts = [{ role: "user", content: "Hello {{name}}" }];
+	assert.throws(() => renderPrompts(prompts, {}), (e) => {
+		return e instanceof QError && e.step === Step.ParseConfig && e.message.includes("'name'");
+	});
+	assert.throws(() => renderPrompts(prompts, { name: "Ada", extra: 1 }), (e) => {
+		return e instanceof QError && e.step === Step.ParseConfig && e.message.includes("'extra'");
+	});
+});
+
+test("loadPromptGrp with vars", async (t) => {
+	const prompts = await loadPromptGrp(VARS_FILEPATH, "greeting", {
+		product: "Widget",
+		customerName: "Sam"
+	});
+	assert.deepStrictEqual(prompts[1], { role: "user", content: "Hi, I'm Sam. Is Widget any good?" });
+});
+
+test("QCRunner.run with template vars", async (t) => {
+	const qc = new QCRunner();
+	qc.test(
+		"Vars 1",
+		VARS_FILEPATH,
+		"greeting",
+		/** @param {*} prompts */
+		async (prompts) => {
+			assert.strictEqual(prompts[0].content, "You are a support agent for Widget.");
+			return DUMMY_PROMPT;
+		},
+		dummyTest,
+		{
+			vars: { product: "Widget", customerName: "Sam" }
+		}
+	);
+	qc.complete(
+		"Vars 2 - Missing",
+		VARS_FILEPATH,
+		"greeting",
+		dummyCompletion,
+		{
+			vars: { product: "Widget" }
+		}
+	);
+
+	const qcSummary = await qc.run();
+	assert.strictEqual(qcSummary.qcResults.length, 2);
+
+	const qcResult1 = qcSummary.qcResults[0];
+	/** @type {*} */
+	const prompts1 = qcResult1.prompts;
+	assert.strictEqual(qcResult1.passed, true);
+	assert.strictEqual(prompts1[1].content, "Hi, I'm Sam. Is Widget any good?");
+
+	const qcResult2 = qcSummary.qcResults[1];
+	assert.strictEqual(qcResult2.passed, false);
+	assert.notStrictEqual(qcResult2.error, null);
+	assert.strictEqual(qcResult2.error?.step, Step.ParseConfig);
+});
+
+test("parseCSV with quoted fields", (t) => {
+	const rows = parseCSV('a,b\n"1,2","say ""hi""\nthere"\r\n\n3,4\n');
+	assert.deepStrictEqual(rows, [
+		{ a: "1,2", b: 'say "hi"\nthere' },
+		{ a: "3", b: "4" }
+	]);
+	assert.throws(() => parseCSV("a,b\n1"));
+});
+
+test("readCasesFile with JSONL and CSV", (t) => {
+	const jsonlCases = readCasesFile(JSONL_CASES_FILEPATH);
+	assert.strictEqual(jsonlCases.length, 3);
+	assert.strictEqual(jsonlCases[2].name, "2");
+	assert.deepStrictEqual(jsonlCases[0].vars, { product: "Widget", customerName: "Ada" });
+	assert.deepStrictEqual(jsonlCases[0].expected, { name: "Ada" });
+
+	const csvCases = readCasesFile(CSV_CASES_FILEPATH, "id");
+	assert.strictEqual(csvCases.length, 2);
+	assert.strictEqual(csvCases[1].name, "sam, jr");
+	assert.deepStrictEqual(csvCases[1].vars, { product: "Gadget", customerName: 'Sam "Jr"' });
+	assert.deepStrictEqual(csvCases[1].expected, { name: 'Sam "Jr"' });
+
+	assert.throws(() => readCasesFile(JSONL_CASES_FILEPATH, "missing"));
+	assert.throws(() => readCasesFile(TEST1_FILEPATH));
+});
+
+test("QCRunner.each over a cases file", async (t) => {
+	const qc = new QCRunner();
+	const qcDefs = qc.each(
+		"Greeting",
+		VARS_FILEPATH,
+		"greeting",
+		JSONL_CASES_FILEPATH,
+		/** @param {*} prompts */
+		async (prompts) => {
+			const name = prompts[1].content.split(" ")[2];
+			return { role: "assistant", content: `Hello ${name}` };
+		},
+		(q, response) => {
+			q.assertIncludes(response.content, q.expected.name);
+		},
+		{
+			keyColumn: "id"
+		}
+	);
+	assert.strictEqual(qcDefs.length, 3);
+	assert.strictEqual(qcDefs[0].qConfig.testName, "Greeting [ada]");
+
+	assert.throws(() => {
+		qc.each("Bad", VARS_FILEPATH, "greeting", "missing.jsonl", dummyCompletion, dummyTest);
+	}, QError);
+
+	const qcSummary = await qc.run();
+	assert.strictEqual(qcSummary.qcResults.length, 3);
+	assert.strictEqual(qcSummary.qcResults[0].dataset, "Greeting");
+	assert.strictEqual(qcSummary.qcResults[0].passed, true);
+	assert.strictEqual(qcSummary.qcResults[2].passed, false);
+	assert.deepStrictEqual(qcSummary.datasetStats["Greeting"], {
+		numCases: 3,
+		numPassed: 2,
+		numFailed: 1,
+		numErrors: 0,
+		meanScore: 0.67,
+		passRate: 0.67
+	});
+
+	assert.doesNotThrow(() => { printSummary(qcSummary) });
+});
+
+test("calcPassAtK and calcPassHatK", (t) => {
+	assert.strictEqual(calcPassAtK(5, 0, 1), 0);
+	assert.strictEqual(calcPassAtK(5, 5, 1), 1);
+	assert.strictEqual(roundToNearest100th(calcPassAtK(4, 2, 1)), 0.5);
+	assert.strictEqual(roundToNearest100th(calcPassAtK(4, 2, 2)), 0.83);
+	assert.strictEqual(calcPassAtK(4, 1, 4), 1);
+	assert.strictEqual(roundToNearest100th(calcPassHatK(4, 2, 1)), 0.5);
+	assert.strictEqual(roundToNearest100th(calcPassHatK(4, 2, 2)), 0.17);
+	assert.strictEqual(calcPassHatK(4, 3, 4), 0);
+});
+
+test("QCRunner.test with samples", async (t) => {
+	const qc = new QCRunner();
+	/**
+	 * Passes on every other call
+	 * @returns {TestFunc}
+	 */
+	function alternatingTest() {
+		let calls = 0;
+		return (q, response) => {
+			calls += 1;
+			q.assertEqual(calls % 2, 1);
+		};
+	}
+
+	qc.test("Samples Mean", TEST1_FILEPATH, "test1", dummyCompletion, alternatingTest(), {
+		samples: 4
+	});
+	qc.test("Samples pass@k", TEST1_FILEPATH, "test1", dummyCompletion, alternatingTest(), {
+		samples: 4,
+		passCriteria: "passAtK"
+	});
+	qc.test("Samples pass^k", TEST1_FILEPATH, "test1", dummyCompletion, alternatingTest(), {
+		samples: 4,
+		k: 1,
+		passCriteria: "passHatK",
+		scoreReq: 0.5
+	});
+	assert.throws(() => {
+		qc.test("Bad Samples", TEST1_FILEPATH, "test1", dummyCompletion, dummyTest, { samples: 0 });
+	}, QError);
+	assert.throws(() => {
+		qc.test("Bad k", TEST1_FILEPATH, "test1", dummyCompletion, dummyTest, { samples: 2, k: 3 });
+	}, QError);
+
+	const qcSummary = await qc.run();
+	assert.strictEqual(qcSummary.qcResults.length, 3);
+
+	const qcResult1 = qcSummary.qcResults[0];
+	assert.strictEqual(qcResult1.samples.length, 4);
+	assert.strictEqual(qcResult1.numAssertions, 4);
+	assert.strictEqual(qcResult1.failedAssertions.length, 2);
+	assert.strictEqual(qcResult1.score, 0.5);
+	assert.strictEqual(qcResult1.passed, false);
+	assert.deepStrictEqual(qcResult1.sampleStats, {
+		numSamples: 4,
+		numPassed: 2,
+		k: 4,
+		passCriteria: "mean",
+		scores: [1, 0, 1, 0],
+		mean: 0.5,
+		min: 0,
+		max: 1,
+		stdDev: 0.5,
+		passAtK: 1,
+		passHatK: 0
+	});
+
+	const qcResult2 = qcSummary.qcResults[1];
+	assert.strictEqual(qcResult2.passed, true);
+
+	const qcResult3 = qcSummary.qcResults[2];
+	assert.strictEqual(qcResult3.sampleStats?.passHatK, 0.5);
+	assert.strictEqual(qcResult3.passed, true);
+
+	assert.doesNotThrow(() => { printSummary(qcSummary) });
+});
+
+test("CompletionScheduler with requestsPerMinute and tokensPerMinute", async (t) => {
+	const windowMs = 50;
+	const requestScheduler = new CompletionScheduler({ requestsPerMinute: 2, windowMs });
+	let start = performance.now();
+	for (let i = 0; i < 3; i++) {
+		await requestScheduler.acquire();
+		requestScheduler.release();
+	}
+	assert.ok(performance.now() - start >= windowMs - 1);
+
+	const tokenScheduler = new CompletionScheduler({ tokensPerMinute: 100, windowMs });
+	start = performance.now();
+	// Bigger than the limit, but nothing else is waiting
+	await tokenScheduler.acquire(150);
+	tokenScheduler.release();
+	assert.ok(performance.now() - start < windowMs);
+	await tokenScheduler.acquire(10);
+	tokenScheduler.release();
+	assert.ok(performance.now() - start >= windowMs - 1);
+});
+
+test("QCRunner.run with concurrency", async (t) => {
+	const qc = new QCRunner();
+	let numInFlight = 0;
+	let maxInFlight = 0;
+	/** @type {import('../src/main.js').CompletionFunc} */
+	async function slowCompletion(prompts) {
+		numInFlight += 1;
+		maxInFlight = Math.max(maxInFlight, numInFlight);
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		numInFlight -= 1;
+		return DUMMY_PROMPT;
+	}
+	for (let i = 0; i < 6; i++) {
+		qc.test(`Concurrency ${i}`, TEST1_FILEPATH, "test1", slowCompletion, dummyTest);
+	}
+
+	await assert.rejects(qc.run({ concurrency: 0 }), QError);
+
+	const qcSummary = await qc.run({ concurrency: 2 });
+	assert.strictEqual(qcSummary.qcResults.length, 6);
+	assert.strictEqual(maxInFlight, 2);
+	const lastResult = qcSummary.qcResults[5];
+	assert.strictEqual(lastResult.passed, true);
+	// Waited on the first two rounds of completions
+	assert.ok(lastResult.timeStats.queueMs >= 15);
+});
+
+test("QCRunner.run with timeouts and retries", async (t) => {
+	const qc = new QCRunner();
+	/** @type {AbortSignal[]} */
+	const signals = [];
+	qc.test(
+		"Hangs",
+		TEST1_FILEPATH,
+		"test1",
+		// Never resolves and ignores its signal
+		async (prompts, options) => {
+			if (options) {
+				signals.push(options.signal);
+			}
+			return new Promise(() => {});
+		},
+		dummyTest,
+		{ timeoutMs: 10 }
+	);
+
+	let flakyCalls = 0;
+	qc.test(
+		"Flaky",
+		TEST1_FILEPATH,
+		"test1",
+		async (prompts) => {
+			flakyCalls += 1;
+			if (flakyCalls < 3) {
+				throw new Error(`Network error ${flakyCalls}`);
+			}
+			return DUMMY_PROMPT;
+		},
+		dummyTest,
+		{ retries: 3 }
+	);
+
+	qc.test(
+		"Not Retryable",
+		TEST1_FILEPATH,
+		"test1",
+		async (prompts) => {
+			throw new Error("Bad request");
+		},
+		dummyTest,
+		{
+			retries: 3,
+			retryable: (error) => !error.message.includes("Bad request")
+		}
+	);
+
+	assert.throws(() => {
+		qc.test("Bad Retries", TEST1_FILEPATH, "test1", dummyCompletion, dummyTest, { retries: -1 });
+	}, QError);
+
+	const qcSummary = await qc.run({ retryDelayMs: 1 });
+	assert.strictEqual(qcSummary.qcResults.length, 3);
+
+	const hangsResult = qcSummary.qcResults[0];
+	assert.ok(hangsResult.error instanceof QTimeoutError);
+	assert.strictEqual(hangsResult.error.step, Step.CallCompletion);
+	assert.strictEqual(signals.length, 1);
+	assert.strictEqual(signals[0].aborted, true);
+
+	const flakyResult = qcSummary.qcResults[1];
+	assert.strictEqual(flakyResult.error, null);
+	assert.strictEqual(flakyResult.passed, true);
+	assert.strictEqual(flakyResult.numRetries, 2);
+	assert.strictEqual(flakyResult.attemptErrors.length, 2);
+	assert.strictEqual(flakyResult.attemptErrors[1].cause?.message, "Network error 2");
+
+	const notRetryableResult = qcSummary.qcResults[2];
+	assert.strictEqual(notRetryableResult.numRetries, 0);
+	assert.strictEqual(notRetryableResult.error?.cause?.message, "Bad request");
+});
+
+test("QCRunner.run cancelled with a signal", async (t) => {
+	const qc = new QCRunner();
+	qc.test(
+		"Cancelled",
+		TEST1_FILEPATH,
+		"test1",
+		async (prompts) => new Promise(() => {}),
+		dummyTest,
+		{ retries: 5 }
+	);
+	const controller = new AbortController();
+	setTimeout(() => controller.abort(), 10);
+	const qcSummary = await qc.run({ signal: controller.signal });
+	const qcResult = qcSummary.qcResults[0];
+	assert.ok(qcResult.error instanceof QError);
+	assert.strictEqual(qcResult.error.message, "Run was cancelled");
+	assert.strictEqual(qcResult.numRetries, 0);
+});
+
+test("QCRunner.run retries don't leave listeners on the run's signal", async (t) => {
+	const qc = new QCRunner();
+	qc.test("Always Fails", TEST1_FILEPATH, "test1", async () => {
+		throw new Error("Network error");
+	}, dummyTest, { retries: 12, retryDelayMs: 0 });
+	let backoffCalls = 0;
+	qc.test("Backoff", TEST1_FILEPATH, "test1", async () => {
+		backoffCalls += 1;
+		if (backoffCalls === 1) {
+			throw new Error("Network error");
+		}
+		return DUMMY_PROMPT;
+	}, dummyTest, { retries: 1, retryDelayMs: 30 });
+	const controller = new AbortController();
+	const qcSummary = await qc.run({ signal: controller.signal });
+
+	assert.strictEqual(qcSummary.qcResults[0].numRetries, 12);
+	assert.strictEqual(getEventListeners(controller.signal, "abort").length, 0);
+	// The wait between attempts isn't counted as completion time
+	const backoffStats = qcSummary.qcResults[1].timeStats;
+	assert.ok(backoffStats.totalMs >= 30);
+	assert.ok(backoffStats.completionMs < 30);
+});
+
+test("QCRunner.run with a cassette", async (t) => {
+	await mkdir(outDir, { recursive: true });
+	const cassetteFile = join(outDir, "cassette.json");
+	await rm(cassetteFile, { force: true });
+
+	let numCalls = 0;
+	/** @type {import('../src/main.js').CompletionFunc} */
+	async function countingCompletion(prompts) {
+		numCalls += 1;
+		return { role: "assistant", content: `Call ${numCalls}` };
+	}
+
+	const recordQC = new QCRunner({ cassette: { file: cassetteFile, mode: "record" } });
+	recordQC.test("Record 1", TEST1_FILEPATH, "test1", countingCompletion, dummyTest, { modelId: "model-a" });
+	recordQC.test("Record 2", TEST1_FILEPATH, "test2", countingCompletion, dummyTest, { modelId: "model-a" });
+	const recordSummary = await recordQC.run();
+	assert.strictEqual(numCalls, 2);
+	assert.strictEqual(recordSummary.qcResults[0].replayed, false);
+
+	const cassetteJSON = JSON.parse(await readFile(cassetteFile, { encoding: "utf8" }));
+	assert.strictEqual(Object.keys(cassetteJSON.entries).length, 2);
+
+	const replayQC = new QCRunner({ cassette: { file: cassetteFile, mode: "replay" } });
+	replayQC.test("Replay 1", TEST1_FILEPATH, "test1", countingCompletion, (q, response) => {
+		q.assertEqual(response.content, "Call 1");
+	}, { modelId: "model-a" });
+	replayQC.test("Replay Miss", TEST1_FILEPATH, "test1", countingCompletion, dummyTest, { modelId: "model-b" });
+	replayQC.test("Live", TEST1_FILEPATH, "test1", countingCompletion, dummyTest, {
+		modelId: "model-b",
+		cassette: { mode: "off" }
+	});
+	const replaySummary = await replayQC.run();
+	assert.strictEqual(numCalls, 3);
+
+	const replayResult = replaySummary.qcResults[0];
+	assert.strictEqual(replayResult.replayed, true);
+	assert.strictEqual(replayResult.passed, true);
+
+	const missResult = replaySummary.qcResults[1];
+	assert.strictEqual(missResult.error?.step, Step.CallCompletion);
+	assert.strictEqual(replaySummary.qcResults[2].replayed, false);
+
+	const autoQC = new QCRunner({ cassette: { file: cassetteFile } });
+	autoQC.test("Auto Hit", TEST1_FILEPATH, "test1", countingCompletion, dummyTest, { modelId: "model-a" });
+	autoQC.test("Auto Miss", TEST1_FILEPATH, "test1", countingCompletion, dummyTest, { modelId: "model-c" });
+	const autoSummary = await autoQC.run();
+	assert.strictEqual(numCalls, 4);
+	assert.strictEqual(autoSummary.qcResults[0].replayed, true);
+	assert.strictEqual(autoSummary.qcResults[1].replayed, false);
+
+	const updatedJSON = JSON.parse(await readFile(cassetteFile, { encoding: "utf8" }));
+	assert.strictEqual(Object.keys(updatedJSON.entries).length, 3);
+
+	// @ts-ignore
+	assert.throws(() => new QCRunner({ cassette: { file: cassetteFile, mode: "rewind" } }), QError);
+	assert.doesNotThrow(() => { printSummary(replaySummary) });
+});
+
+test("normalizeSnapshot and diffLines", (t) => {
+	assert.deepStrictEqual(
+		normalizeSnapshot({ text: "  Hello\n\n there ", n: 1 }, { normalizeWhitespace: true }),
+		{ text: "Hello there", n: 1 }
+	);
+	assert.deepStrictEqual(
+		normalizeSnapshot('{"id":"abc","items":[{"id":1,"name":"a"}],"meta":{"at":5,"ok":true}}', {
+			ignoreFields: ["id", "items.id", "meta.at"]
+		}),
+		{ items: [{ name: "a" }], meta: { ok: true } }
+	);
+	assert.strictEqual(normalizeSnapshot("not json", { ignoreFields: ["id"] }), "not json");
+	assert.throws(() => normalizeSnapshot(undefined));
+
+	assert.strictEqual(diffLines("a\nb\nc", "a\nx\nc"), "  a\n- b\n+ x\n  c");
+	assert.strictEqual(defaultSnapshotFile("prompts/a.prompt.json"), "prompts/a.prompt.snap.json");
+});
+
+test("QCRunner.run with snapshots", async (t) => {
+	await mkdir(outDir, { recursive: true });
+	const snapshotFile = join(outDir, "test.snap.json");
+	await rm(snapshotFile, { force: true });
+
+	let answer = "Hello  there";
+	/** @type {import('../src/main.js').CompletionFunc} */
+	async function answerCompletion(prompts) {
+		return { role: "assistant", content: answer };
+	}
+
+	/**
+	 * @param {import('../src/main.js').RunOptions} [runOptions]
+	 * @param {boolean} [withObsolete]
+	 */
+	async function runSnapshots(runOptions={}, withObsolete=false) {
+		const qc = new QCRunner({ snapshotFile });
+		qc.test("Snapshot", TEST1_FILEPATH, "test1", answerCompletion, async (q, response) => {
+			await q.assertMatchesSnapshot(response.content);
+			await q.assertMatchesSnapshot(response.content, "normalized", { normalizeWhitespace: true });
+			if (withObsolete) {
+				await q.assertMatchesSnapshot(response.role, "role");
+			}
+		});
+		return await qc.run(runOptions);
+	}
+
+	const firstSummary = await runSnapshots({}, true);
+	assert.strictEqual(firstSummary.qcResults[0].passed, true);
+	assert.strictEqual(firstSummary.snapshotStats.numAdded, 3);
+	const snapshotJSON = JSON.parse(await readFile(snapshotFile, { encoding: "utf8" }));
+	assert.deepStrictEqual(snapshotJSON.snapshots[`Snapshot | test1`], {
+		"1": "Hello  there",
+		"normalized": "Hello there",
+		"role": "assistant"
+	});
+
+	answer = "Hello there";
+	const changedSummary = await runSnapshots();
+	const changedResult = changedSummary.qcResults[0];
+	assert.strictEqual(changedResult.passed, false);
+	assert.strictEqual(changedResult.failedAssertions.length, 1);
+	assert.strictEqual(changedResult.failedAssertions[0].type, "Snapshot");
+	assert.strictEqual(changedResult.failedAssertions[0].name, "1");
+	assert.strictEqual(changedResult.failedAssertions[0].diff, `- "Hello  there"\n+ "Hello there"`);
+	assert.deepStrictEqual(changedSummary.snapshotStats.obsolete, [`${snapshotFile}: Snapshot | test1 | role`]);
+	assert.doesNotThrow(() => { printSummary(changedSummary) });
+
+	const updateSummary = await runSnapshots({ updateSnapshots: true });
+	assert.strictEqual(updateSummary.qcResults[0].passed, true);
+	assert.strictEqual(updateSummary.snapshotStats.numUpdated, 1);
+	assert.strictEqual(updateSummary.snapshotStats.numRemoved, 1);
+	const updatedJSON = JSON.parse(await readFile(snapshotFile, { encoding: "utf8" }));
+	assert.deepStrictEqual(updatedJSON.snapshots[`Snapshot | test1`], {
+		"1": "Hello there",
+		"normalized": "Hello there"
+	});
+
+	const passingSummary = await runSnapshots();
+	assert.strictEqual(passingSummary.qcResults[0].passed, true);
+	assert.deepStrictEqual(passingSummary.snapshotStats.obsolete, []);
+
+	// The snapshot file is only read once a test checks a snapshot
+	const badSnapshotFile = join(outDir, "bad.snap.json");
+	await writeFile(badSnapshotFile, "not json");
+	const lazyQC = new QCRunner({ snapshotFile: badSnapshotFile });
+	lazyQC.test("No Snapshots", TEST1_FILEPATH, "test1", answerCompletion, dummyTest);
+	lazyQC.test("Snapshot", TEST1_FILEPATH, "test1", answerCompletion, async (q, response) => {
+		await q.assertMatchesSnapshot(response.content);
+	});
+	const log = t.mock.method(console, "log", () => {});
+	const lazySummary = await lazyQC.run({ testNameFilter: /^No Snapshots$/ });
+	log.mock.restore();
+	assert.strictEqual(lazySummary.qcResults[0].passed, true);
+	assert.strictEqual(log.mock.calls.length, 0);
+	const badSummary = await lazyQC.run();
+	assert.match(badSummary.qcResults[1].error?.cause?.message ?? "", /bad\.snap\.json: Bad snapshot file/);
+	assert.strictEqual(await readFile(badSnapshotFile, { encoding: "utf8" }), "not json");
+});
+
+test("parseJudgeReply", (t) => {
+	assert.deepStrictEqual(
+		parseJudgeReply("REASONING: Polite and\non topic.\nSCORE: 0.8"),
+		{ score: 0.8, reasoning: "Polite and\non topic." }
+	);
+	assert.deepStrictEqual(
+		parseJudgeReply({ role: "assistant", content: "Reasoning: Rude.\nScore: 1/5" }),
+		{ score: 0.2, reasoning: "Rude." }
+	);
+	assert.deepStrictEqual(parseJudgeReply("VERDICT: pass"), { score: 1, reasoning: "" });
+	assert.deepStrictEqual(
+		parseJudgeReply('```json\n{"verdict": "FAIL", "reasoning": "Off topic"}\n```'),
+		{ score: 0, reasoning: "Off topic" }
+	);
+	assert.deepStrictEqual(parseJudgeReply('{"score": 0.25}'), { score: 0.25, reasoning: "" });
+	assert.strictEqual(parseJudgeReply("SCORE: 7"), null);
+	assert.strictEqual(parseJudgeReply("Looks good to me"), null);
+	assert.strictEqual(parseJudgeReply(undefined), null);
+});
+
+test("QContext.assertJudge", async (t) => {
+	/** @type {Prompt[][]} */
+	const judgeCalls = [];
+	/** @type {import('../src/main.js').JudgeFunc} */
+	async function fakeJudge(prompts) {
+		judgeCalls.push(prompts);
+		await new Promise((resolve) => setTimeout(resolve, 20));
+		/** @type {*} */
+		const userPrompt = prompts[1];
+		const polite = userPrompt.content.includes("Hello");
+		return { role: "assistant", content: `REASONING: ${polite ? "Greets the user" : "No greeting"}\nSCORE: ${polite ? 0.9 : 0.1}` };
+	}
+
+	const qc = new QCRunner();
+	qc.test("Judged", TEST1_FILEPATH, "test1", dummyCompletion, async (q, response) => {
+		await q.assertJudge("Hello, how can I help?", "Is polite", fakeJudge);
+		await q.assertJudge("Go away", "Is polite", fakeJudge, { threshold: 0.5 });
+	});
+	qc.test("Bad Judge", TEST1_FILEPATH, "test1", dummyCompletion, async (q, response) => {
+		await q.assertJudge("Hello", "Is polite", async () => "Looks good");
+	});
+	qc.test("Parallel Judges", TEST1_FILEPATH, "test1", dummyCompletion, async (q, response) => {
+		await Promise.all([1, 2, 3].map((i) => q.assertJudge(`Hello ${i}`, "Is polite", fakeJudge)));
+	});
+	const qcSummary = await qc.run();
+
+	assert.deepStrictEqual(judgeCalls[0], makeJudgePrompts("Hello, how can I help?", "Is polite"));
+	const judged = qcSummary.qcResults[0];
+	assert.strictEqual(judged.numPassed, 1);
+	assert.strictEqual(judged.passed, false);
+	const failed = judged.failedAssertions[0];
+	assert.strictEqual(failed.type, "Judge");
+	assert.strictEqual(failed.score, 0.1);
+	assert.strictEqual(failed.threshold, 0.5);
+	assert.strictEqual(failed.reasoning, "No greeting");
+	assert.strictEqual(failed.judgeReply.content, "REASONING: No greeting\nSCORE: 0.1");
+	assert.ok(judged.timeStats.judgeMs >= 30);
+	assert.ok(judged.timeStats.testMs < judged.timeStats.judgeMs);
+
+	const badJudge = qcSummary.qcResults[1];
+	assert.strictEqual(badJudge.error?.step, Step.TestFunc);
+	assert.strictEqual(badJudge.error?.cause?.name, "AssertionError");
+
+	// Judges in flight at the same time are only timed once
+	const parallel = qcSummary.qcResults[2].timeStats;
+	assert.strictEqual(qcSummary.qcResults[2].numPassed, 3);
+	assert.ok(parallel.testMs >= 0);
+	assert.ok(parallel.judgeMs >= 20);
+	assert.ok(parallel.judgeMs <= parallel.totalMs);
+	assert.doesNotThrow(() => { printSummary(qcSummary) });
+});
+
+test("cosineSimilarity and ngramSimilarity", (t) => {
+	assert.strictEqual(cosineSimilarity([1, 0], [2, 0]), 1);
+	assert.strictEqual(cosineSimilarity([1, 0], [0, 3]), 0);
+	assert.strictEqual(cosineSimilarity([1, 0], [-1, 0]), -1);
+	assert.strictEqual(cosineSimilarity([0, 0], [1, 0]), 0);
+	assert.ok(Number.isNaN(cosineSimilarity([1, 0], [1, 0, 0])));
+	assert.ok(Number.isNaN(cosineSimilarity([], [])));
+
+	assert.strictEqual(ngramSimilarity("Hello, World!", "hello world"), 1);
+	assert.ok(ngramSimilarity("The capital of France is Paris", "Paris is the capital of France") > 0.8);
+	assert.ok(ngramSimilarity("The capital of France is Paris", "I like turtles") < 0.3);
+	assert.strictEqual(ngramSimilarity("", "anything"), 0);
+});
+
+test("QContext.assertSimilar", async (t) => {
+	/** @type {string[]} */
+	const embedded = [];
+	/** @type {Object.<string, number[]>} */
+	const vectors = {
+		"Paris": [1, 0, 0],
+		"It's Paris": [0.9, 0.1, 0],
+		"Berlin": [0, 1, 0]
+	};
+	/** @type {import('../src/main.js').EmbedFunc} */
+	async function fakeEmbed(text) {
+		embedded.push(text);
+		return vectors[text] ?? [];
+	}
+
+	const qc = new QCRunner();
+	qc.test("Similar 1", TEST1_FILEPATH, "test1", dummyCompletion, async (q, response) => {
+		await q.assertSimilar("It's Paris", "Paris", { embed: fakeEmbed });
+		await q.assertSimilar("Berlin", "Paris", { embed: fakeEmbed, threshold: 0.5 });
+	});
+	qc.test("Similar 2", TEST1_FILEPATH, "test1", dummyCompletion, async (q, response) => {
+		await q.assertSimilar({ role: "assistant", content: "It's Paris" }, "Paris", { embed: fakeEmbed });
+		await q.assertSimilar("Paris is the capital", "The capital is Paris", { threshold: 0.7 });
+	});
+	qc.test("Bad Embed", TEST1_FILEPATH, "test1", dummyCompletion, async (q, response) => {
+		await q.assertSimilar("Unknown", "Paris", { embed: fakeEmbed });
+	});
+	const qcSummary = await qc.run({ concurrency: 1 });
+
+	// Each text is only embedded once in the run
+	assert.deepStrictEqual(embedded.sort(), ["Berlin", "It's Paris", "Paris", "Unknown"]);
+
+	const similar1 = qcSummary.qcResults[0];
+	assert.strictEqual(similar1.numPassed, 1);
+	const failed = similar1.failedAssertions[0];
+	assert.strictEqual(failed.type, "Similar");
+	assert.strictEqual(failed.similarity, 0);
+	assert.strictEqual(failed.threshold, 0.5);
+
+	assert.strictEqual(qcSummary.qcResults[1].passed, true);
+	assert.strictEqual(qcSummary.qcResults[2].error?.step, Step.TestFunc);
+	assert.doesNotThrow(() => { printSummary(qcSummary) });
+});
+
+test("parseJSONText", (t) => {
+	assert.deepStrictEqual(parseJSONText('{"a": 1}'), { value: { a: 1 } });
+	assert.deepStrictEqual(parseJSONText('Here you go:\n```json\n{"a": [1, 2]}\n```\nAnything else?'), { value: { a: [1, 2] } });
+	assert.deepStrictEqual(parseJSONText("The list is [1, 2, 3]."), { value: [1, 2, 3] });
+	const bad = parseJSONText("{not json}");
+	assert.strictEqual(bad.value, undefined);
+	assert.ok(bad.error?.length);
+});
+
+test("validateJsonSchema", (t) => {
+	const schema = {
+		type: "object",
+		required: ["name", "items"],
+		additionalProperties: false,
+		properties: {
+			name: { type: "string", minLength: 1 },
+			kind: { enum: ["a", "b"] },
+			items: {
+				type: "array",
+				minItems: 1,
+				items: { $ref: "#/definitions/item" }
+			}
+		},
+		definitions: {
+			item: {
+				type: "object",
+				required: ["id"],
+				properties: {
+					id: { type: "integer", minimum: 1 },
+					tags: { type: "array", uniqueItems: true, items: { type: "string", pattern: "^[a-z]+$" } }
+				}
+			}
+		}
+	};
+
+	assert.deepStrictEqual(validateJsonSchema({ name: "x", items: [{ id: 1, tags: ["a", "b"] }] }, schema), []);
+	assert.deepStrictEqual(validateJsonSchema({ name: "", kind: "c", items: [{ id: 0, tags: ["a", "a", "B"] }, {}], extra: 1 }, schema), [
+		"$.name: must have at least 1 characters (#/properties/name/minLength)",
+		"$.kind: must be one of [\"a\",\"b\"] (#/properties/kind/enum)",
+		"$.items[0].id: must be >= 1 (#/properties/items/items/$ref/properties/id/minimum)",
+		"$.items[0].tags: must have unique items, [1] is a duplicate (#/properties/items/items/$ref/properties/tags/uniqueItems)",
+		"$.items[0].tags[2]: must match /^[a-z]+$/ (#/properties/items/items/$ref/properties/tags/items/pattern)",
+		"$.items[1]: must have property 'id' (#/properties/items/items/$ref/required)",
+		"$.extra: is not an allowed property (#/additionalProperties)"
+	]);
+	assert.deepStrictEqual(validateJsonSchema(1.5, { type: ["integer", "null"] }), [
+		"$: must be integer or null, not number (#/type)"
+	]);
+	assert.deepStrictEqual(validateJsonSchema(3, { oneOf: [{ type: "number" }, { type: "integer" }] }), [
+		"$: must match exactly one schema in oneOf, matched 2 (#/oneOf)"
+	]);
+	assert.deepStrictEqual(validateJsonSchema({ a: 1 }, { if: { required: ["a"] }, then: { required: ["b"] } }), [
+		"$: must have property 'b' (#/then/required)"
+	]);
+	assert.deepStrictEqual(validateJsonSchema("x", false), ["$: no value is allowed (#)"]);
+	assert.throws(() => validateJsonSchema(1, { $ref: "#/definitions/missing" }));
+
+	// Identity escapes that the "u" flag rejects are fine in draft-07 patterns
+	const phone = { type: "string", pattern: "^\\d{3}\\-\\d{4}$" };
+	assert.deepStrictEqual(validateJsonSchema("123-4567", phone), []);
+	assert.strictEqual(validateJsonSchema("1234567", phone).length, 1);
+	assert.deepStrictEqual(validateJsonSchema({ "a-1": 1 }, { patternProperties: { "^a\\-": { type: "string" } } }), [
+		"$[\"a-1\"]: must be string, not integer (#/patternProperties/^a\\-/type)"
+	]);
+
+	// A $ref that loops without checking any data is a bad schema, but recursive ones that do are fine
+	const looping = { definitions: { a: { $ref: "#/definitions/a" } }, $ref: "#/definitions/a" };
+	assert.throws(() => validateJsonSchema(1, looping), /refers back to itself/);
+	const tree = { definitions: { node: { type: "object", properties: { child: { $ref: "#/definitions/node" } } } }, $ref: "#/definitions/node" };
+	assert.deepStrictEqual(validateJsonSchema({ child: { child: {} } }, tree), []);
+});
+
+test("QContext.assertMatches, assertValidJSON and assertJsonSchema", async (t) => {
+	const schema = { type: "object", required: ["answer"], properties: { answer: { type: "number" } } };
+	/** @type {*} */
+	let parsed = undefined;
+	const qc = new QCRunner();
+	qc.test("Structured", TEST1_FILEPATH, "test1", async () => {
+		return { role: "assistant", content: 'Sure!\n```json\n{"answer": "42"}\n```' };
+	}, (q, response) => {
+		q.assertMatches(response, /```json/);
+		q.assertMatches(response.content, "^Nope");
+		parsed = q.assertValidJSON(response);
+		q.assertValidJSON("not json");
+		q.assertJsonSchema(parsed, schema);
+	});
+	const qcSummary = await qc.run();
+	const qcResult = qcSummary.qcResults[0];
+
+	assert.deepStrictEqual(parsed, { answer: "42" });
+	assert.strictEqual(qcResult.numPassed, 2);
+	assert.deepStrictEqual(qcResult.failedAssertions.map((assertion) => assertion.type), ["Matches", "ValidJSON", "JsonSchema"]);
+	assert.strictEqual(qcResult.failedAssertions[0].rval, "/^Nope/");
+	assert.deepStrictEqual(qcResult.failedAssertions[2].errors, [
+		"$.answer: must be number, not string (#/properties/answer/type)"
+	]);
+	assert.doesNotThrow(() => { printSummary(qcSummary) });
+});
+
+test("QContext assertion messages, weights and critical", async (t) => {
+	const qc = new QCRunner();
+	qc.test("Weighted", TEST1_FILEPATH, "test1", dummyCompletion, (q, response) => {
+		q.assertEqual(response.role, "assistant", { weight: 3 });
+		q.assertIncludes(response.content, "Nope", { message: "Mentions the refund policy" });
+	}, { scoreReq: 0.7 });
+	qc.test("Critical", TEST1_FILEPATH, "test1", dummyCompletion, (q, response) => {
+		q.assertEqual(response.role, "assistant", { weight: 9 });
+		q.assertIncludes(response.content, "Nope", { message: "Never leaks the system prompt", critical: true });
+	}, { scoreReq: 0.5 });
+	qc.test("Bad Weight", TEST1_FILEPATH, "test1", dummyCompletion, (q, response) => {
+		q.assertEqual(response.role, "assistant", { weight: -1 });
+	});
+	const qcSummary = await qc.run();
+
+	const weighted = qcSummary.qcResults[0];
+	assert.strictEqual(weighted.score, 0.75);
+	assert.strictEqual(weighted.passed, true);
+	const failed = weighted.failedAssertions[0];
+	assert.strictEqual(failed.message, "Mentions the refund policy");
+	assert.strictEqual(failed.weight, 1);
+	assert.ok(makeAssertionHumanReadable(failed).startsWith("Mentions the refund policy: "));
+
+	const critical = qcSummary.qcResults[1];
+	assert.strictEqual(critical.score, 0.9);
+	assert.strictEqual(critical.passed, false);
+	assert.strictEqual(critical.failedAssertions[0].critical, true);
+	assert.ok(makeAssertionHumanReadable(critical.failedAssertions[0]).startsWith("[critical] Never leaks"));
+
+	assert.strictEqual(qcSummary.qcResults[2].error?.step, Step.TestFunc);
+	assert.doesNotThrow(() => { printSummary(qcSummary) });
+});
+
+test("QCRunner.conversation", async (t) => {
+	/** @type {import('../src/main.js').CompletionFunc} */
+	async function echoCompletion(prompts) {
+		/** @type {*} */
+		const lastPrompt = prompts[prompts.length - 1];
+		return { role: "assistant", content: `You said: ${lastPrompt.content}` };
+	}
+
+	const qc = new QCRunner();
+	qc.conversation("Scripted", TEST1_FILEPATH, "test1", echoCompletion, (q, response) => {
+		q.assertIncludes(response.content, "You said");
+		if (q.turn === 1) {
+			q.assertIncludes(response.content, "Nope");
+		}
+	}, { userTurns: ["Second", "Third", "Never sent"], maxTurns: 3 });
+	qc.conversation("Replies", TEST1_FILEPATH, "test1", echoCompletion, (q, response) => {
+		if (q.turn < 2) {
+			q.reply(`Reply ${q.turn}`);
+		}
+	});
+	qc.conversation("Stopped", TEST1_FILEPATH, "test1", echoCompletion, (q, response) => {}, {
+		userTurns: ["Second", "Third"],
+		stopWhen: (response, turn) => response.content.includes("Second")
+	});
+	qc.conversation("Bad Reply", TEST1_FILEPATH, "test1", echoCompletion, (q, response) => "Not a prompt object", {
+		userTurns: ["Second"]
+	});
+	qc.conversation("Bad Turn", TEST1_FILEPATH, "test1", echoCompletion, (q, response) => {}, {
+		// @ts-ignore
+		userTurns: [42]
+	});
+	const qcSummary = await qc.run();
+	const [scripted, replies, stopped, badReply, badTurn] = qcSummary.qcResults;
+
+	assert.strictEqual(scripted.prompts.length, 6);
+	assert.deepStrictEqual(scripted.prompts[4], { role: "user", content: "Third" });
+	assert.deepStrictEqual(scripted.prompts[5], { role: "assistant", content: "You said: Third" });
+	assert.strictEqual(scripted.turns.length, 3);
+	assert.deepStrictEqual(scripted.turns.map((turn) => turn.score), [1, 0.5, 1]);
+	assert.strictEqual(scripted.score, 0.75);
+	assert.ok(scripted.turns.every((turn) => turn.timeStats.totalMs >= 0));
+
+	assert.strictEqual(replies.turns.length, 3);
+	assert.deepStrictEqual(replies.prompts[4], { role: "user", content: "Reply 1" });
+
+	assert.strictEqual(stopped.turns.length, 2);
+	assert.strictEqual(stopped.passed, true);
+
+	assert.strictEqual(badReply.error?.step, Step.ResponsePrompt);
+	assert.strictEqual(badTurn.error?.step, Step.ResponsePrompt);
+	assert.strictEqual(badTurn.prompts.length, 2);
+
+	assert.throws(() => qc.conversation("Bad Max", TEST1_FILEPATH, "test1", echoCompletion, dummyTest, { maxTurns: 0 }), QError);
+	assert.doesNotThrow(() => { printSummary(qcSummary) });
+});
+
+test("extractToolCalls and matchesPartial", (t) => {
+	const openAI = {
+		role: "assistant",
+		content: null,
+		tool_calls: [
+			{ id: "call_1", type: "function", function: { name: "get_weather", arguments: '{"city": "Paris", "unit": "c"}' } },
+			{ id: "call_2", type: "function", function: { name: "broken", arguments: "{not json" } }
+		]
+	};
+	assert.deepStrictEqual(extractToolCalls(openAI), [
+		{ id: "call_1", name: "get_weather", args: { city: "Paris", unit: "c" } },
+		{ id: "call_2", name: "broken", args: "{not json" }
+	]);
+	const anthropic = {
+		role: "assistant",
+		content: [
+			{ type: "text", text: "Let me check." },
+			{ type: "tool_use", id: "toolu_1", name: "get_weather", input: { city: "Paris" } }
+		]
+	};
+	assert.deepStrictEqual(extractToolCalls(anthropic), [{ id: "toolu_1", name: "get_weather", args: { city: "Paris" } }]);
+	assert.deepStrictEqual(extractToolCalls({ role: "assistant", content: "Hi" }), []);
+
+	assert.ok(matchesPartial({ city: "Paris", unit: "c", extra: [1] }, { city: /^par/i, extra: [1] }));
+	assert.ok(!matchesPartial({ city: "Paris" }, { city: "Paris", unit: "c" }));
+	assert.ok(!matchesPartial({ tags: [1, 2] }, { tags: [1] }));
+});
+
+test("QCRunner.test with mock tools", async (t) => {
+	/**
+	 * @param {*[]} prompts
+	 * @returns {Promise<*>}
+	 */
+	async function openAICompletion(prompts) {
+		const lastPrompt = prompts[prompts.length - 1];
+		if (lastPrompt.role === "tool") {
+			return { role: "assistant", content: `It's ${lastPrompt.content} in Paris` };
+		}
+		return {
+			role: "assistant",
+			content: null,
+			tool_calls: [{ id: "call_1", type: "function", function: { name: "get_weather", arguments: '{"city":"Paris"}' } }]
+		};
+	}
+	/**
+	 * @param {*[]} prompts
+	 * @returns {Promise<*>}
+	 */
+	async function anthropicCompletion(prompts) {
+		const lastPrompt = prompts[prompts.length - 1];
+		if (Array.isArray(lastPrompt.content)) {
+			return { role: "assistant", content: [{ type: "text", text: `Result: ${lastPrompt.content[0].content}` }] };
+		}
+		return { role: "assistant", content: [{ type: "tool_use", id: "toolu_1", name: "lookup", input: { id: 7 } }] };
+	}
+	/** @type {import('../src/main.js').CompletionFunc} */
+	async function loopingCompletion(prompts) {
+		return { role: "assistant", content: null, tool_calls: [{ id: "c", type: "function", function: { name: "get_weather", arguments: "{}" } }] };
+	}
+
+	const tools = {
+		get_weather: (/** @type {*} */ args) => "sunny",
+		lookup: async (/** @type {*} */ args) => ({ id: args.id, name: "Widget" })
+	};
+
+	const qc = new QCRunner();
+	qc.test("OpenAI Tools", TEST1_FILEPATH, "test1", openAICompletion, (q, response) => {
+		q.assertToolCalled(q.toolCalls, "get_weather", { city: "Paris" });
+		q.assertToolCalled(q.toolCalls, "get_weather", (args) => args.city === "Berlin");
+		q.assertToolNotCalled(response);
+		q.assertIncludes(response.content, "sunny");
+	}, { tools });
+	qc.test("Anthropic Tools", TEST1_FILEPATH, "test1", anthropicCompletion, (q, response) => {
+		q.assertToolCalled(q.toolCalls, "lookup", { id: 7 });
+		q.assertStrictEqual(response.content[0].text, 'Result: {"id":7,"name":"Widget"}');
+	}, { tools });
+	qc.test("Missing Tool", TEST1_FILEPATH, "test1", anthropicCompletion, dummyTest, { tools: { get_weather: tools.get_weather } });
+	qc.test("Looping Tools", TEST1_FILEPATH, "test1", loopingCompletion, dummyTest, { tools, maxToolRounds: 2 });
+	qc.test("No Tools", TEST1_FILEPATH, "test1", openAICompletion, (q, response) => {
+		q.assertToolCalled(response, "get_weather", { city: "Paris" });
+	});
+	const qcSummary = await qc.run();
+	const [openAI, anthropic, missing, looping, noTools] = qcSummary.qcResults;
+
+	assert.strictEqual(openAI.numPassed, 3);
+	assert.strictEqual(openAI.failedAssertions[0].type, "ToolCalled");
+	assert.deepStrictEqual(openAI.toolCalls, [
+		{ id: "call_1", name: "get_weather", args: { city: "Paris" }, result: "sunny", turn: 0, round: 0 }
+	]);
+	/** @type {*} */
+	const toolPrompt = openAI.prompts[2];
+	assert.deepStrictEqual(toolPrompt, { role: "tool", tool_call_id: "call_1", content: "sunny" });
+	assert.strictEqual(openAI.prompts.length, 4);
+
+	assert.strictEqual(anthropic.passed, true);
+	assert.strictEqual(missing.error?.step, Step.CallTool);
+	assert.strictEqual(looping.error?.step, Step.CallTool);
+	assert.strictEqual(looping.toolCalls.length, 2);
+	assert.strictEqual(noTools.passed, true);
+	assert.deepStrictEqual(noTools.toolCalls, []);
+	assert.doesNotThrow(() => { printSummary(qcSummary) });
+});
+
+/**
+ * Start a local HTTP server that records each JSON request and answers with the next reply.
+ * The last reply is repeated once they run out.
+ * @param {{ status?: number, body: * }[]} replies
+ * @returns {Promise<{ url: string, requests: { url: string, headers: *, body: * }[], close: function(): Promise<void> }>}
+ */
+async function startMockServer(replies) {
+	/** @type {{ url: string, headers: *, body: * }[]} */
+	const requests = [];
+	const server = createServer((req, res) => {
+		let body = "";
+		req.setEncoding("utf8");
+		req.on("data", (chunk) => { body += chunk; });
+		req.on("end", () => {
+			requests.push({ url: req.url ?? "", headers: req.headers, body: JSON.parse(body) });
+			const reply = replies[Math.min(requests.length, replies.length) - 1];
+			res.writeHead(reply.status ?? 200, { "content-type": "application/json" });
+			res.end(typeof reply.body === "string" ? reply.body : JSON.stringify(reply.body));
+		});
+	});
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(undefined)));
+	const address = /** @type {import('node:net').AddressInfo} */(server.address());
+	return {
+		url: `http://127.0.0.1:${address.port}`,
+		requests,
+		close: () => new Promise((resolve) => {
+			server.closeAllConnections();
+			server.close(() => resolve(undefined));
+		})
+	};
+}
+
+test("openAICompatible against a mock server", async (t) => {
+	const server = await startMockServer([
+		{ body: {
+			choices: [{ message: {
+				role: "assistant",
+				content: null,
+				tool_calls: [{ id: "call_1", type: "function", function: { name: "get_weather", arguments: '{"city":"Paris"}' } }]
+			} }],
+			usage: { prompt_tokens: 20, completion_tokens: 5 }
+		} },
+		{ body: {
+			choices: [{ message: { role: "assistant", content: "It's sunny in Paris" } }],
+			usage: { prompt_tokens: 30, completion_tokens: 6 }
+		} }
+	]);
+	t.after(() => server.close());
+
+	const qc = new QCRunner();
+	const completion = openAICompatible({ baseUrl: `${server.url}/v1/`, model: "gpt-test", apiKey: "sk-test", params: { temperature: 0 } });
+	qc.test("Weather", TEST1_FILEPATH, "test1", completion, (q, response) => {
+		q.assertToolCalled(q.toolCalls, "get_weather", { city: "Paris" });
+		q.assertIncludes(response.content, "sunny");
+	}, { tools: { get_weather: () => "sunny" } });
+	const [qcResult] = (await qc.run()).qcResults;
+
+	assert.strictEqual(qcResult.passed, true);
+	assert.deepStrictEqual(qcResult.usage && [qcResult.usage.inputTokens, qcResult.usage.outputTokens], [50, 11]);
+	const [first, second] = server.requests;
+	assert.strictEqual(first.url, "/v1/chat/completions");
+	assert.strictEqual(first.headers.authorization, "Bearer sk-test");
+	assert.deepStrictEqual(first.body, {
+		model: "gpt-test",
+		messages: [{ role: "user", content: "Hello there I'm test1 from test1" }],
+		temperature: 0
+	});
+	assert.deepStrictEqual(second.body.messages.slice(1), [
+		{
+			role: "assistant",
+			content: null,
+			tool_calls: [{ id: "call_1", type: "function", function: { name: "get_weather", arguments: '{"city":"Paris"}' } }]
+		},
+		{ role: "tool", tool_call_id: "call_1", content: "sunny" }
+	]);
+	assert.deepStrictEqual(qcResult.prompts[1], {
+		role: "assistant",
+		content: "",
+		toolCalls: [{ id: "call_1", name: "get_weather", args: { city: "Paris" } }],
+		usage: { inputTokens: 20, outputTokens: 5 }
+	});
+
+	assert.throws(() => openAICompatible(/** @type {*} */({})), { name: "TypeError", message: /'model'/ });
+	assert.throws(() => openAICompatible({ model: "m", params: { stream: true } }), /Streaming isn't supported/);
+});
+
+test("anthropic against a mock server", async (t) => {
+	const server = await startMockServer([{ body: {
+		content: [{ type: "text", text: "Hi " }, { type: "text", text: "there" }, { type: "tool_use", id: "toolu_1", name: "lookup", input: { id: 7 } }],
+		usage: { input_tokens: 12, output_tokens: 4 }
+	} }]);
+	t.after(() => server.close());
+
+	const completion = anthropic({ baseUrl: server.url, model: "claude-test", apiKey: "key", maxTokens: 50 });
+	const response = await completion([
+		{ role: "system", content: "Be brief." },
+		{ role: "user", content: "Look up 7" },
+		{ role: "assistant", content: "", toolCalls: [{ id: "toolu_0", name: "lookup", args: { id: 6 } }] },
+		{ role: "tool", tool_call_id: "toolu_0", content: "Missing" },
+		{ role: "user", content: "Try 7" }
+	]);
+
+	assert.deepStrictEqual(response, {
+		role: "assistant",
+		content: "Hi there",
+		toolCalls: [{ id: "toolu_1", name: "lookup", args: { id: 7 } }],
+		usage: { inputTokens: 12, outputTokens: 4 }
+	});
+	const [request] = server.requests;
+	assert.strictEqual(request.url, "/messages");
+	assert.strictEqual(request.headers["x-api-key"], "key");
+	assert.strictEqual(request.headers["anthropic-version"], "2023-06-01");
+	assert.deepStrictEqual(request.body, {
+		model: "claude-test",
+		max_tokens: 50,
+		system: "Be brief.",
+		messages: [
+			{ role: "user", content: "Look up 7" },
+			{ role: "assistant", content: [{ type: "tool_use", id: "toolu_0", name: "lookup", input: { id: 6 } }] },
+			{ role: "user", content: [{ type: "tool_result", tool_use_id: "toolu_0", content: "Missing" }, { type: "text", text: "Try 7" }] }
+		]
+	});
+
+	// Called directly, the options don't have to include reportUsage
+	/** @type {*} */
+	const options = { signal: new AbortController().signal };
+	const direct = await completion([{ role: "user", content: "Hi" }], options);
+	assert.deepStrictEqual(direct.usage, { inputTokens: 12, outputTokens: 4 });
+});
+
+test("ollama against a mock server", async (t) => {
+	const server = await startMockServer([{ body: {
+		message: { role: "assistant", content: "Hello", tool_calls: [{ function: { name: "get_weather", arguments: { city: "Oslo" } } }] },
+		prompt_eval_count: 8,
+		eval_count: 2
+	} }]);
+	t.after(() => server.close());
+
+	const completion = ollama({ baseUrl: server.url, model: "llama-test", params: { options: { temperature: 0 } } });
+	/** @type {*[]} */
+	const reported = [];
+	const response = await completion(["Hi"], {
+		signal: new AbortController().signal,
+		attempt: 0,
+		reportUsage: (usage) => reported.push(usage)
+	});
+
+	assert.deepStrictEqual(response, {
+		role: "assistant",
+		content: "Hello",
+		toolCalls: [{ id: "call_0", name: "get_weather", args: { city: "Oslo" } }],
+		usage: { inputTokens: 8, outputTokens: 2 }
+	});
+	assert.deepStrictEqual(reported, [{ inputTokens: 8, outputTokens: 2 }]);
+	assert.strictEqual(server.requests[0].url, "/api/chat");
+	assert.deepStrictEqual(server.requests[0].body, {
+		model: "llama-test",
+		messages: [{ role: "user", content: "Hi" }],
+		stream: false,
+		options: { temperature: 0 }
+	});
+});
+
+test("Provider errors are QError causes with status codes", async (t) => {
+	const server = await startMockServer([
+		{ status: 429, body: { error: { type: "rate_limit_error", message: "Slow down" } } },
+		{ status: 400, body: { error: "model 'nope' not found" } }
+	]);
+	t.after(() => server.close());
+
+	const qc = new QCRunner();
+	qc.test("Rate Limited", TEST1_FILEPATH, "test1", openAICompatible({ baseUrl: server.url, model: "m" }), dummyTest, {
+		retries: 2,
+		retryDelayMs: 1,
+		retryable: (error) => error instanceof ProviderError && error.status === 429
+	});
+	const [qcResult] = (await qc.run()).qcResults;
+
+	// The 429 is retried and the 400 isn't
+	assert.strictEqual(qcResult.numRetries, 1);
+	assert.strictEqual(qcResult.error?.step, Step.CallCompletion);
+	const causes = qcResult.attemptErrors.map((error) => /** @type {*} */(error.cause));
+	assert.deepStrictEqual(causes.map((cause) => [cause instanceof ProviderError, cause.status, cause.message]), [
+		[true, 429, "openAICompatible returned HTTP 429: Slow down"],
+		[true, 400, "openAICompatible returned HTTP 400: model 'nope' not found"]
+	]);
+	assert.deepStrictEqual(causes[0].body, { error: { type: "rate_limit_error", message: "Slow down" } });
+});
+
+test("calcPercentile", (t) => {
+	const values = [5, 1, 4, 2, 3, 10, 9, 8, 7, 6];
+	assert.strictEqual(calcPercentile(values, 50), 5);
+	assert.strictEqual(calcPercentile(values, 90), 9);
+	assert.strictEqual(calcPercentile(values, 99), 10);
+	assert.strictEqual(calcPercentile(values, 0), 1);
+	assert.ok(Number.isNaN(calcPercentile([], 50)));
+});
+
+test("QCRunner.run with streamed completions", async (t) => {
+	await mkdir(outDir, { recursive: true });
+	const cassetteFile = join(outDir, "stream-cassette.json");
+	await rm(cassetteFile, { force: true });
+
+	/**
+	 * @param {*[]} chunks
+	 * @param {number} delayMs
+	 */
+	async function* streamChunks(chunks, delayMs) {
+		for (let chunk of chunks) {
+			await new Promise((resolve) => setTimeout(resolve, delayMs));
+			yield chunk;
+		}
+	}
+
+	const deltas = [
+		{ choices: [{ delta: { role: "assistant", content: "I can't " } }] },
+		{ choices: [{ delta: { content: "help with " } }] },
+		{ choices: [{ delta: { content: "that." } }] }
+	];
+	/** @type {import('../src/main.js').ReduceChunksFunc} */
+	function reduceDeltas(chunks) {
+		return {
+			role: "assistant",
+			content: chunks.map((chunk) => chunk.choices[0].delta.content ?? "").join("")
+		};
+	}
+
+	const qc = new QCRunner({ cassette: { file: cassetteFile, mode: "record" } });
+	qc.test("Deltas", TEST1_FILEPATH, "test1", async () => streamChunks(deltas, 10), (q, response) => {
+		q.assertStrictEqual(response.content, "I can't help with that.");
+		q.assertIncludes(q.chunks[0].choices[0].delta.content, "can't", { message: "Refuses in the first chunk" });
+	}, { reduceChunks: reduceDeltas, modelId: "stream" });
+	qc.test("Strings", TEST1_FILEPATH, "test1", () => streamChunks(["Hel", "lo"], 5), (q, response) => {
+		q.assertStrictEqual(response, "Hello");
+		q.assertStrictEqual(q.chunks.length, 2);
+	}, { modelId: "stream" });
+	qc.test("Bad Chunks", TEST1_FILEPATH, "test1", async () => streamChunks(deltas, 0), dummyTest, { modelId: "bad" });
+	qc.test("Slow Stream", TEST1_FILEPATH, "test1", () => streamChunks(["a", "b", "c"], 50), dummyTest, {
+		modelId: "slow",
+		timeoutMs: 75
+	});
+	qc.test("Not Streamed", TEST1_FILEPATH, "test1", dummyCompletion, dummyTest);
+	// Stops sending chunks, like a connection that stalls, and notes when it's closed
+	let stalledClosed = false;
+	const stalledStream = {
+		[Symbol.asyncIterator]() {
+			return {
+				next: () => new Promise(() => {}),
+				return: async () => {
+					stalledClosed = true;
+					return { done: true, value: undefined };
+				}
+			};
+		}
+	};
+	qc.test("Stalled Stream", TEST1_FILEPATH, "test1", async () => stalledStream, dummyTest, { modelId: "stalled", timeoutMs: 20 });
+	const qcSummary = await qc.run();
+	const [deltaResult, stringsResult, badChunks, slowStream, notStreamed, stalled] = qcSummary.qcResults;
+
+	assert.strictEqual(deltaResult.passed, true);
+	assert.strictEqual(deltaResult.timeStats.numChunks, 3);
+	assert.ok((deltaResult.timeStats.ttftMs ?? 0) >= 5);
+	assert.ok((deltaResult.timeStats.interChunkMs?.p50 ?? 0) >= 5);
+	assert.strictEqual(stringsResult.passed, true);
+	assert.strictEqual(badChunks.error?.step, Step.CallCompletion);
+	assert.ok(slowStream.error instanceof QTimeoutError);
+	assert.strictEqual(notStreamed.timeStats.ttftMs, null);
+	assert.strictEqual(notStreamed.timeStats.interChunkMs, null);
+	assert.ok(stalled.error instanceof QTimeoutError);
+	assert.strictEqual(stalledClosed, true);
+
+	const replayQC = new QCRunner({ cassette: { file: cassetteFile, mode: "replay" } });
+	replayQC.test("Replayed Deltas", TEST1_FILEPATH, "test1", async () => streamChunks([], 0), (q, response) => {
+		q.assertStrictEqual(response.content, "I can't help with that.");
+		q.assertStrictEqual(q.chunks.length, 3);
+	}, { reduceChunks: reduceDeltas, modelId: "stream" });
+	const replaySummary = await replayQC.run();
+	assert.strictEqual(replaySummary.qcResults[0].passed, true);
+	assert.strictEqual(replaySummary.qcResults[0].timeStats.ttftMs, null);
+	assert.doesNotThrow(() => { printSummary(qcSummary) });
+});
+
+test("extractUsage and calcCost", (t) => {
+	assert.deepStrictEqual(
+		extractUsage({ usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } }),
+		{ inputTokens: 10, outputTokens: 5 }
+	);
+	assert.deepStrictEqual(
+		extractUsage({ content: [], usage: { input_tokens: 7, output_tokens: 3 } }),
+		{ inputTokens: 7, outputTokens: 3 }
+	);
+	assert.deepStrictEqual(extractUsage({ usage: { inputTokens: 1 } }), { inputTokens: 1, outputTokens: 0 });
+	assert.strictEqual(extractUsage(DUMMY_PROMPT), null);
+	assert.strictEqual(extractUsage("Hello"), null);
+	// Anthropic streams the input tokens first and a running output count after
+	const events = [
+		{ type: "message_start", message: { usage: { input_tokens: 20, output_tokens: 1 } } },
+		{ type: "content_block_delta", delta: { text: "Hi" } },
+		{ type: "message_delta", usage: { output_tokens: 12 } }
+	];
+	assert.deepStrictEqual(extractUsage(undefined, events), { inputTokens: 20, outputTokens: 12 });
+
+	assert.strictEqual(calcCost({ inputTokens: 1_000_000, outputTokens: 500_000 }, { inputPerMTok: 3, outputPerMTok: 15 }), 10.5);
+});
+
+test("QCRunner.run with usage and pricing", async (t) => {
+	assert.throws(() => new QCRunner({ pricing: { "model-a": { inputPerMTok: -1, outputPerMTok: 1 } } }), QError);
+
+	const qc = new QCRunner({
+		pricing: {
+			"model-a": { inputPerMTok: 2, outputPerMTok: 10 }
+		}
+	});
+	qc.test("Returned", TEST1_FILEPATH, "test1", async () => ({
+		...DUMMY_PROMPT,
+		usage: { prompt_tokens: 1000, completion_tokens: 200 }
+	}), dummyTest, { modelId: "model-a" });
+	qc.test("Reported", TEST1_FILEPATH, "test2", async (prompts, options) => {
+		options?.reportUsage({ inputTokens: 500, outputTokens: 100 });
+		options?.reportUsage({ inputTokens: 500, outputTokens: 100 });
+		return DUMMY_PROMPT;
+	}, dummyTest, { modelId: "model-a", samples: 2 });
+	qc.test("Unpriced", TEST1_FILEPATH, "test1", async (prompts, options) => {
+		options?.reportUsage({ inputTokens: 50, outputTokens: 50 });
+		return DUMMY_PROMPT;
+	}, dummyTest, { modelId: "model-b" });
+	qc.test("Bad Usage", TEST1_FILEPATH, "test1", async (prompts, options) => {
+		options?.reportUsage({ inputTokens: -1, outputTokens: 0 });
+		return DUMMY_PROMPT;
+	}, dummyTest);
+	qc.test("Other File", TEST2_FILEPATH, "test1", async (prompts, options) => {
+		options?.reportUsage({ inputTokens: 10, outputTokens: 10 });
+		return DUMMY_PROMPT;
+	}, dummyTest);
+	const qcSummary = await qc.run();
+	const [returned, reported, unpriced, badUsage] = qcSummary.qcResults;
+
+	assert.deepStrictEqual(returned.usage, {
+		numCalls: 1,
+		inputTokens: 1000,
+		outputTokens: 200,
+		totalTokens: 1200,
+		cost: 0.004
+	});
+	assert.strictEqual(reported.usage.numCalls, 2);
+	assert.strictEqual(reported.usage.totalTokens, 2400);
+	assert.strictEqual(roundToNearest100th((reported.usage.cost ?? 0) * 1000), 8);
+	assert.strictEqual(unpriced.modelId, "model-b");
+	assert.strictEqual(unpriced.usage.cost, null);
+	assert.strictEqual(badUsage.error?.cause?.message, "'usage.inputTokens' must be a number >= 0");
+
+	const usageStats = qcSummary.usageStats;
+	assert.strictEqual(usageStats.total.numResults, 5);
+	assert.strictEqual(usageStats.total.totalTokens, 3720);
+	assert.strictEqual(usageStats.total.numUnpriced, 2);
+	assert.strictEqual(usageStats.byModel["model-a"].totalTokens, 3600);
+	assert.strictEqual(usageStats.byModel["model-b"].cost, null);
+	assert.strictEqual(usageStats.byModel["(none)"].totalTokens, 20);
+	// Groups with the same name in different files have their own totals
+	assert.deepStrictEqual(usageStats.byPromptGrp.map(({ promptFile, promptGrp, totalTokens }) => [promptFile, promptGrp, totalTokens]), [
+		[TEST1_FILEPATH, "test1", 1300],
+		[TEST1_FILEPATH, "test2", 2400],
+		[TEST2_FILEPATH, "test1", 20]
+	]);
+	assert.doesNotThrow(() => { printSummary(qcSummary) });
+});
+
+test("QCRunner.run with a budget", async (t) => {
+	const qc = new QCRunner();
+	let numCalls = 0;
+	/** @type {import('../src/main.js').CompletionFunc} */
+	const completion = async (prompts, options) => {
+		numCalls += 1;
+		options?.reportUsage({ inputTokens: 80, outputTokens: 20 });
+		return DUMMY_PROMPT;
+	};
+	for (let testName of ["First", "Second", "Third", "Fourth"]) {
+		qc.test(testName, TEST1_FILEPATH, "test1", completion, dummyTest);
+	}
+	await assert.rejects(qc.run({ maxTokens: -5 }), QError);
+
+	const qcSummary = await qc.run({ concurrency: 1, maxTokens: 150 });
+	const statuses = qcSummary.qcResults.map((qcResult) => qcResult.skipped ? "skipped" : qcResult.passed);
+	assert.deepStrictEqual(statuses, [true, true, "skipped", "skipped"]);
+	assert.strictEqual(numCalls, 2);
+	const skipped = qcSummary.qcResults[2];
+	assert.strictEqual(skipped.error, null);
+	assert.strictEqual(skipped.skipReason, "The run's budget was used up before this test started");
+	assert.strictEqual(qcSummary.usageStats.total.numResults, 2);
+	// Only the tests that ran count towards the average
+	assert.ok(Math.abs(qcSummary.timeStats.avgMs - qcSummary.timeStats.totalMs / 2) <= 0.01);
+	assert.strictEqual((await qc.run({ testNameFilter: /^$/ })).timeStats.avgMs, 0);
+
+	const xml = summaryToJUnit(qcSummary);
+	assert.ok(xml.includes(`tests="4" failures="0" errors="0" skipped="2"`));
+	assert.ok(xml.includes(`<skipped message="The run&apos;s budget was used up before this test started"/>`));
+	const html = summaryToHTML(qcSummary);
+	assert.ok(html.includes(`"status":"skipped"`));
+
+	const comparison = compareSummaries(await qc.run(), qcSummary);
+	assert.strictEqual(comparison.numSkipped, 2);
+	assert.strictEqual(comparison.hasRegressions, false);
+	assert.doesNotThrow(() => { printSummary(qcSummary) });
+	assert.doesNotThrow(() => { printComparison(comparison) });
+	assert.ok(new QBudgetError("", Step.CallCompletion) instanceof QError);
+
+	// Calls are made one at a time under a budget without a concurrency
+	numCalls = 0;
+	const defaultSummary = await qc.run({ maxTokens: 150 });
+	const defaultStatuses = defaultSummary.qcResults.map((qcResult) => qcResult.skipped ? "skipped" : qcResult.passed);
+	assert.deepStrictEqual(defaultStatuses, [true, true, "skipped", "skipped"]);
+	assert.strictEqual(numCalls, 2);
+});
+
+test("QCRunner.matrix", async (t) => {
+	const qc = new QCRunner({
+		pricing: {
+			large: { inputPerMTok: 10, outputPerMTok: 30 },
+			small: { inputPerMTok: 1, outputPerMTok: 2 }
+		}
+	});
+	/**
+	 * @param {string} content
+	 * @returns {import('../src/main.js').CompletionFunc}
+	 */
+	const makeCompletion = (content) => async (prompts, options) => {
+		options?.reportUsage({ inputTokens: 1000, outputTokens: 100 });
+		return { role: "assistant", content };
+	};
+	const completionFuncs = {
+		large: makeCompletion("This is some content"),
+		small: makeCompletion("This is some content"),
+		broken: makeCompletion("Nothing here")
+	};
+	/** @type {import('../src/main.js').TestFunc} */
+	const testFunc = (q, response) => {
+		q.assertIncludes(response.content, "content");
+	};
+
+	assert.throws(() => { qc.matrix("Bad", TEST1_FILEPATH, "test1", {}, testFunc) }, QError);
+	assert.throws(() => {
+		qc.matrix("Bad", TEST1_FILEPATH, "test1", /** @type {*} */({ large: "gpt" }), testFunc);
+	}, /'completionFuncs.large' must be a function/);
+
+	const qcDefs = qc.matrix("Models", TEST1_FILEPATH, "test1", completionFuncs, testFunc);
+	assert.deepStrictEqual(qcDefs.map((qcDef) => qcDef.qConfig.testName), ["Models [large]", "Models [small]", "Models [broken]"]);
+	qc.matrix("Models", TEST1_FILEPATH, "test2", completionFuncs, testFunc, { modelId: "unpriced" });
+	qc.test("Single", TEST1_FILEPATH, "test1", dummyCompletion, dummyTest);
+
+	const qcSummary = await qc.run();
+	const [large] = qcSummary.qcResults;
+	assert.strictEqual(large.modelKey, "large");
+	assert.strictEqual(large.modelId, "large");
+	assert.strictEqual(qcSummary.qcResults[3].modelId, "unpriced");
+	assert.strictEqual(qcSummary.qcResults[6].modelKey, null);
+
+	const modelComparison = qcSummary.modelComparison;
+	assert.ok(modelComparison);
+	assert.deepStrictEqual(modelComparison.modelKeys, ["large", "small", "broken"]);
+	const [test1, test2] = modelComparison.promptGrps;
+	// Without pricing the passing models are only told apart by time
+	assert.strictEqual(test1.best, "small");
+	assert.notStrictEqual(test2.best, "broken");
+	assert.strictEqual(test2.models["small"].cost, null);
+	assert.strictEqual(test1.promptFile, TEST1_FILEPATH);
+	assert.strictEqual(test1.models["large"].cost, 0.013);
+	assert.strictEqual(test1.models["broken"].meanScore, 0);
+	assert.strictEqual(test1.models["broken"].passRate, 0);
+	assert.strictEqual(modelComparison.totals["broken"].numResults, 2);
+	assert.strictEqual(modelComparison.numBest["broken"], 0);
+	assert.strictEqual(modelComparison.numBest["large"] + modelComparison.numBest["small"], 2);
+
+	assert.strictEqual(compareModels([qcSummary.qcResults[6]]), null);
+	assert.doesNotThrow(() => { printSummary(qcSummary) });
+});
+
+test("parseTagFilter", (t) => {
+	const smokeNotSlow = parseTagFilter("smoke && !slow");
+	assert.strictEqual(smokeNotSlow(["smoke"]), true);
+	assert.strictEqual(smokeNotSlow(["smoke", "slow"]), false);
+	assert.strictEqual(smokeNotSlow([]), false);
+
+	const grouped = parseTagFilter("!(a || b) && c || d");
+	assert.strictEqual(grouped(["c"]), true);
+	assert.strictEqual(grouped(["a", "c"]), false);
+	assert.strictEqual(grouped(["a", "d"]), true);
+	assert.strictEqual(parseTagFilter("team:search")(["team:search"]), true);
+
+	assert.throws(() => { parseTagFilter("") }, /Expected a tag, not end of input/);
+	assert.throws(() => { parseTagFilter("a & b") }, /Unexpected '&'/);
+	assert.throws(() => { parseTagFilter("(a || b") }, /Expected '\)'/);
+	assert.throws(() => { parseTagFilter("a b") }, QError);
+});
+
+test("QCRunner.run with tags, only, skip and filters", async (t) => {
+	const qc = new QCRunner();
+	let numCalls = 0;
+	/** @type {import('../src/main.js').CompletionFunc} */
+	const completion = async () => {
+		numCalls += 1;
+		return DUMMY_PROMPT;
+	};
+	assert.throws(() => { qc.test("Bad", TEST1_FILEPATH, "test1", completion, dummyTest, { tags: ["a b"] }) }, QError);
+	assert.throws(() => { qc.test("Bad", TEST1_FILEPATH, "test1", completion, dummyTest, /** @type {*} */({ skip: "yes" })) }, QError);
+
+	qc.test("Smoke", TEST1_FILEPATH, "test1", completion, dummyTest, { tags: ["smoke"] });
+	qc.test("Slow Smoke", TEST1_FILEPATH, "test2", completion, dummyTest, { tags: ["smoke", "slow"] });
+	qc.complete("Untagged", TEST1_FILEPATH, "test1", completion);
+	qc.test("Marked Skip", TEST1_FILEPATH, "test1", completion, dummyTest, { tags: ["smoke"], skip: true });
+
+	/** @param {import('../src/main.js').QCSummary} qcSummary */
+	const getSkipReasons = (qcSummary) => qcSummary.qcResults.map((qcResult) => qcResult.skipReason);
+
+	let qcSummary = await qc.run({ tagFilter: "smoke && !slow" });
+	assert.deepStrictEqual(getSkipReasons(qcSummary), [null, "Filtered out by tags", "Filtered out by tags", "Marked skip"]);
+	assert.deepStrictEqual(qcSummary.qcResults[1].tags, ["smoke", "slow"]);
+	assert.strictEqual(numCalls, 1);
+	assert.doesNotThrow(() => { printSummary(qcSummary) });
+
+	qcSummary = await qc.run({ promptFileFilter: [TEST1_FILEPATH], promptGrpFilter: ["test2"], testNameFilter: /Smoke/ });
+	assert.deepStrictEqual(getSkipReasons(qcSummary), ["Filtered out by prompt group", null, "Filtered out by test name", "Marked skip"]);
+	qcSummary = await qc.run({ promptFileFilter: ["other.prompt.json"] });
+	assert.strictEqual(qcSummary.qcResults.filter((qcResult) => qcResult.skipped).length, 4);
+	await assert.rejects(qc.run({ tagFilter: "smoke ||" }), QError);
+	await assert.rejects(qc.run({ promptGrpFilter: /** @type {*} */("test1") }), QError);
+
+	qc.test("Focused", TEST1_FILEPATH, "test2", completion, dummyTest, { only: true });
+	numCalls = 0;
+	qcSummary = await qc.run();
+	assert.strictEqual(numCalls, 1);
+	assert.strictEqual(qcSummary.qcResults[4].skipped, false);
+	assert.strictEqual(qcSummary.qcResults[0].skipReason, "Other tests are marked only");
+	assert.strictEqual(summaryToJUnit(qcSummary).includes(`skipped="4"`), true);
+});
+
+test("summaryToJUnit", async (t) => {
+	const qc = new QCRunner();
+	qc.test("Passes <1>", TEST1_FILEPATH, "test1", dummyCompletion, (q, response) => {
+		q.assertEqual(response.role, "assistant");
+		q.storeVar("tone", "friendly & warm");
+	});
+	qc.test("Fails", TEST1_FILEPATH, "test2", dummyCompletion, (q, response) => {
+		q.assertIncludes(response.content, "absent");
+		q.assertEqual(response.role, "user");
+	});
+	qc.test("Errors", TEST2_FILEPATH, "test1", dummyCompletion, (q, response) => {
+		throw new Error("Broken test");
+	});
+	const qcSummary = await qc.run();
+
+	const xml = summaryToJUnit(qcSummary);
+	assert.ok(xml.startsWith(`<?xml version="1.0" encoding="UTF-8"?>`));
+	assert.ok(xml.includes(`<testsuites name="promptqc" tests="3" failures="1" errors="1"`));
+	assert.ok(xml.includes(`<testsuite name="${TEST1_FILEPATH}" tests="2" failures="1" errors="0"`));
+	assert.ok(xml.includes(`<testcase name="Passes &lt;1&gt;" classname="test1"`));
+	assert.ok(xml.includes(`<property name="storedVars.tone" value="friendly &amp; warm"/>`));
+	assert.ok(xml.includes(`<property name="scoreReq" value="1"/>`));
+	assert.strictEqual(xml.match(/<failure /g)?.length, 2);
+	assert.ok(xml.includes(`type="Includes">&apos;This is some content&apos; expected to include &apos;absent&apos;</failure>`));
+	assert.ok(xml.includes(`<error message="TestFunc: Error: Broken test" type="TestFunc">`));
+
+	const byGrpXML = summaryToJUnit(qcSummary, { groupBy: "promptGrp" });
+	assert.ok(byGrpXML.includes(`<testsuite name="test1" tests="2" failures="0" errors="1"`));
+
+	await mkdir(outDir, { recursive: true });
+	await saveSummaryToJUnit(qcSummary, join(outDir, "testRun.junit.xml"));
+});
+
+test("summaryToHTML", async (t) => {
+	const qc = new QCRunner();
+	qc.test("Passes", TEST1_FILEPATH, "test1", dummyCompletion, dummyTest);
+	qc.test("Fails </script><b>", TEST1_FILEPATH, "test2", dummyCompletion, (q, response) => {
+		q.assertEqual(response.content, "Something else");
+		q.storeVar("length", response.content.length);
+	});
+	const qcSummary = await qc.run();
+
+	const html = summaryToHTML(qcSummary, "Run <1>");
+	assert.ok(html.startsWith("<!DOCTYPE html>"));
+	assert.ok(html.includes("<title>Run &lt;1&gt;</title>"));
+	// No external resources
+	assert.ok(!/<(script|link)[^>]+(src|href)=/.test(html));
+
+	const match = /<script type="application\/json" id="report-data">(.*)<\/script>/.exec(html);
+	assert.notStrictEqual(match, null);
+	const data = JSON.parse(match?.[1] ?? "");
+	assert.strictEqual(data.results.length, 2);
+	assert.strictEqual(data.results[0].status, "passed");
+	assert.strictEqual(data.results[1].status, "failed");
+	assert.strictEqual(data.results[1].testName, "Fails </script><b>");
+	assert.deepStrictEqual(data.results[1].failedAssertions[0], {
+		type: "StrictEqual",
+		lval: "This is some content",
+		rval: "Something else",
+		message: "'This is some content' expected to strict equal 'Something else'"
+	});
+	assert.strictEqual(data.results[1].storedVars.length, 20);
+
+	await mkdir(outDir, { recursive: true });
+	await saveSummaryToHTML(qcSummary, join(outDir, "testRun.html"));
+});
+
+test("compareSummaries", async (t) => {
+	/**
+	 * Run a set of tests where each one passes or fails by its score
+	 * @param {Object.<string, number>} scores
+	 * @returns {Promise<QCSummary>}
+	 */
+	async function runScores(scores) {
+		const qc = new QCRunner();
+		for (let [testName, score] of Object.entries(scores)) {
+			qc.test(testName, TEST1_FILEPATH, "test1", dummyCompletion, (q, response) => {
+				if (score < 0) {
+					throw new Error("Broken test");
+				}
+				q.score = score;
+			}, { scoreReq: 0.5 });
+		}
+		return qc.run();
+	}
+
+	const baseline = await runScores({
+		"Unchanged": 0.8,
+		"Small Drop": 0.8,
+		"Big Drop": 0.9,
+		"Newly Failing": 0.6,
+		"Newly Passing": 0.2,
+		"New Error": 1.0,
+		"Removed": 1.0
+	});
+	const current = await runScores({
+		"Unchanged": 0.8,
+		"Small Drop": 0.75,
+		"Big Drop": 0.6,
+		"Newly Failing": 0.4,
+		"Newly Passing": 0.7,
+		"New Error": -1,
+		"Added": 1.0
+	});
+
+	const comparison = compareSummaries(baseline, current, { tolerance: 0.1 });
+	/** @type {Object.<string, string>} */
+	const statuses = {};
+	for (let result of comparison.results) {
+		statuses[result.testName] = result.status;
+	}
+	assert.deepStrictEqual(statuses, {
+		"Unchanged": "unchanged",
+		"Small Drop": "unchanged",
+		"Big Drop": "regressed",
+		"Newly Failing": "regressed",
+		"Newly Passing": "improved",
+		"New Error": "regressed",
+		"Added": "added",
+		"Removed": "removed"
+	});
+	assert.strictEqual(comparison.numRegressed, 3);
+	assert.strictEqual(comparison.numNewlyFailing, 2);
+	assert.strictEqual(comparison.numNewlyPassing, 1);
+	assert.strictEqual(comparison.numNewErrors, 1);
+	assert.strictEqual(comparison.hasRegressions, true);
+
+	const bigDrop = comparison.results.find((result) => result.testName === "Big Drop");
+	assert.strictEqual(bigDrop?.scoreDelta, -0.3);
+	assert.strictEqual(bigDrop?.newlyFailing, false);
+
+	const strict = compareSummaries(baseline, current);
+	assert.strictEqual(strict.results.find((result) => result.testName === "Small Drop")?.status, "regressed");
+
+	assert.strictEqual(compareSummaries(baseline, baseline).hasRegressions, false);
+	assert.doesNotThrow(() => { printComparison(comparison) });
+});
@@ -0,0 +1,35 @@
+import { qc } from "../../src/main.js";
+
+/**
+ * @param {import('../../src/main.js').Prompt[]} prompts
+ * @returns {Promise<*>}
+ */
+async function callLLM(prompts) {
+	return {
+		role: "assistant",
+		content: "Hello there"
+	};
+}
+
+qc.test(
+	"Greeting passes",
+	"test1.prompt.json",
+	"test1",
+	callLLM,
+	(q, response) => {
+		q.assertIncludes(response.content, "Hello");
+	},
+	{
+		tags: ["smoke"]
+	}
+);
+
+qc.test(
+	"Greeting fails",
+	"test1.prompt.json",
+	"test2",
+	callLLM,
+	(q, response) => {
+		q.assertIncludes(response.content, "Goodbye");
+	}
+);